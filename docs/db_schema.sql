@@ -35,6 +35,7 @@ CREATE TABLE `banned_words_presets` (
   `preset_name` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
   `preset_description` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `language` varchar(10) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'english',
+  `severity` enum('mild','severe','slur') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'severe',
   `words` json NOT NULL,
   `is_active` tinyint(1) NOT NULL DEFAULT '1',
   `creation_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -76,6 +77,19 @@ CREATE TABLE `bot_entity_relations` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `bot_state`
+--
+
+CREATE TABLE `bot_state` (
+  `bot_id` int NOT NULL,
+  `state` json NOT NULL,
+  `creation_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `latest_update_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `entities`
 --
@@ -98,6 +112,32 @@ CREATE TABLE `entities` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `moderation_actions`
+--
+
+CREATE TABLE `moderation_actions` (
+  `action_id` bigint NOT NULL,
+  `entity_guid` varchar(36) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `action` enum('delete','mute','unmute','warn','detect') COLLATE utf8mb4_unicode_ci NOT NULL,
+  `reason` varchar(32) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `user_guid` varchar(36) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `user_nickname` varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `moderator_guid` varchar(36) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `moderator_nickname` varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `message_id` varchar(128) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `message_content` text COLLATE utf8mb4_unicode_ci,
+  `duration_seconds` int DEFAULT NULL,
+  `success` tinyint(1) NOT NULL DEFAULT '1',
+  `details` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `reverses_action_id` bigint DEFAULT NULL,
+  `matched_word` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `severity` enum('mild','severe','slur') COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `creation_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `profanity_filter_config`
 --
@@ -105,11 +145,22 @@ CREATE TABLE `entities` (
 CREATE TABLE `profanity_filter_config` (
   `entity_guid` varchar(36) COLLATE utf8mb4_unicode_ci NOT NULL,
   `banned_words_preset_id` int DEFAULT NULL,
+  `banned_words_preset_ids` json DEFAULT NULL,
   `custom_words` json DEFAULT NULL,
   `discord_webhook_url` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `discord_custom_message` text COLLATE utf8mb4_unicode_ci,
   `message_reply` text COLLATE utf8mb4_unicode_ci,
   `mute_duration_seconds` int DEFAULT '0',
+  `spam_rules` json DEFAULT NULL,
+  `link_rules` json DEFAULT NULL,
+  `strike_ladder` json DEFAULT NULL,
+  `strike_decay_hours` int DEFAULT NULL,
+  `enforcement_mode` enum('log_only','warn','enforce') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'enforce',
+  `severity_actions` json DEFAULT NULL,
+  `discord_events` json DEFAULT NULL,
+  `notification_sinks` json DEFAULT NULL,
+  `allowed_words` json DEFAULT NULL,
+  `exempt_user_guids` json DEFAULT NULL,
   `is_active` tinyint(1) NOT NULL DEFAULT '1',
   `creation_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `latest_update_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
@@ -146,6 +197,21 @@ CREATE TABLE `user_entity_relations` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `user_strikes`
+--
+
+CREATE TABLE `user_strikes` (
+  `entity_guid` varchar(36) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `user_guid` varchar(36) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `strike_count` int NOT NULL DEFAULT '0',
+  `last_strike_timestamp` datetime DEFAULT NULL,
+  `creation_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `latest_update_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `welcome_messages`
 --
@@ -153,6 +219,7 @@ CREATE TABLE `user_entity_relations` (
 CREATE TABLE `welcome_messages` (
   `entity_guid` varchar(36) COLLATE utf8mb4_unicode_ci NOT NULL,
   `message` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `dedupe_window_seconds` int DEFAULT NULL,
   `creation_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `latest_update_timestamp` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -196,6 +263,12 @@ ALTER TABLE `bot_entity_relations`
   ADD UNIQUE KEY `uk_ber_entity_guid_only` (`entity_guid`),
   ADD KEY `idx_bot_id` (`bot_id`);
 
+--
+-- Indexes for table `bot_state`
+--
+ALTER TABLE `bot_state`
+  ADD PRIMARY KEY (`bot_id`);
+
 --
 -- Indexes for table `entities`
 --
@@ -209,6 +282,16 @@ ALTER TABLE `entities`
   ADD KEY `idx_sync_query` (`entity_status`,`latest_sync_timestamp`),
   ADD KEY `idx_entity_guid_status` (`entity_guid`,`entity_status`);
 
+--
+-- Indexes for table `moderation_actions`
+--
+ALTER TABLE `moderation_actions`
+  ADD PRIMARY KEY (`action_id`),
+  ADD KEY `idx_entity_created` (`entity_guid`,`creation_timestamp`),
+  ADD KEY `idx_entity_user_created` (`entity_guid`,`user_guid`,`creation_timestamp`),
+  ADD KEY `idx_entity_action_created` (`entity_guid`,`action`,`creation_timestamp`),
+  ADD KEY `idx_reverses_action_id` (`reverses_action_id`);
+
 --
 -- Indexes for table `profanity_filter_config`
 --
@@ -232,6 +315,12 @@ ALTER TABLE `user_entity_relations`
   ADD UNIQUE KEY `uk_user_entity_unique` (`user_guid`,`entity_guid`),
   ADD KEY `idx_entity_guid` (`entity_guid`);
 
+--
+-- Indexes for table `user_strikes`
+--
+ALTER TABLE `user_strikes`
+  ADD PRIMARY KEY (`entity_guid`,`user_guid`);
+
 --
 -- Indexes for table `welcome_messages`
 --
@@ -260,6 +349,12 @@ ALTER TABLE `bots`
 ALTER TABLE `bot_entity_relations`
   MODIFY `relationship_id` int NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `moderation_actions`
+--
+ALTER TABLE `moderation_actions`
+  MODIFY `action_id` bigint NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `user_entity_relations`
 --
@@ -277,6 +372,18 @@ ALTER TABLE `bot_entity_relations`
   ADD CONSTRAINT `fk_ber_bot_id` FOREIGN KEY (`bot_id`) REFERENCES `bots` (`bot_id`) ON DELETE CASCADE,
   ADD CONSTRAINT `fk_ber_entity_guid` FOREIGN KEY (`entity_guid`) REFERENCES `entities` (`entity_guid`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `bot_state`
+--
+ALTER TABLE `bot_state`
+  ADD CONSTRAINT `fk_bs_bot_id` FOREIGN KEY (`bot_id`) REFERENCES `bots` (`bot_id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `moderation_actions`
+--
+ALTER TABLE `moderation_actions`
+  ADD CONSTRAINT `fk_ma_entity_guid` FOREIGN KEY (`entity_guid`) REFERENCES `entities` (`entity_guid`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `profanity_filter_config`
 --
@@ -290,6 +397,12 @@ ALTER TABLE `profanity_filter_config`
 ALTER TABLE `user_entity_relations`
   ADD CONSTRAINT `fk_uer_entity_guid` FOREIGN KEY (`entity_guid`) REFERENCES `entities` (`entity_guid`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `user_strikes`
+--
+ALTER TABLE `user_strikes`
+  ADD CONSTRAINT `fk_us_entity_guid` FOREIGN KEY (`entity_guid`) REFERENCES `entities` (`entity_guid`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `welcome_messages`
 --
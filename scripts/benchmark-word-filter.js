@@ -0,0 +1,108 @@
+/**
+ * @file benchmark-word-filter.js
+ * Compares the compiled banned words matcher with checking every word
+ * separately, which is how messages were checked before the word lists were
+ * compiled per entity.
+ *
+ * Usage: node scripts/benchmark-word-filter.js [wordCount] [messageCount]
+ */
+
+const SmartWordFilter = require('../src/modules/moderation/banned-words/smart-word-filter.js');
+
+// Word lists longer than 1000 entries are rejected by the filter
+const wordCount = Math.min(parseInt(process.argv[2], 10) || 1000, 1000);
+const messageCount = parseInt(process.argv[3], 10) || 2000;
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function randomWord(minLength, maxLength) {
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  const length = minLength + Math.floor(random() * (maxLength - minLength));
+  let word = '';
+  for (let i = 0; i < length; i++) {
+    word += letters.charAt(Math.floor(random() * letters.length));
+  }
+  return word;
+}
+
+const bannedWords = Array.from({ length: wordCount }, () => randomWord(5, 10));
+const messages = Array.from({ length: messageCount }, (_, index) => {
+  const words = Array.from({ length: 12 }, () => randomWord(2, 8));
+  // Every tenth message contains a banned word
+  if (index % 10 === 0) {
+    words.push(bannedWords[index % bannedWords.length]);
+  }
+  return words.join(' ');
+});
+
+/**
+ * Checks a message the way it was done before compiling: combine the lists
+ * and test every word with its own regular expressions.
+ */
+function checkEveryWord(filter, message, presetWords, customWords) {
+  const words = filter.combineWordLists(presetWords, customWords);
+  const lowerMessage = message.toLowerCase();
+  return words.some((word) => {
+    const escaped = filter.escapeRegex(word);
+    const leetspeak = word
+      .replace(/a/g, '4')
+      .replace(/e/g, '3')
+      .replace(/i/g, '1')
+      .replace(/o/g, '0')
+      .replace(/s/g, '5');
+    const patterns = [
+      `\\b${escaped}\\b`,
+      word.split('').join('\\s*'),
+      word.split('').join('\\.'),
+      word.replace(/[aeiou]/g, '\\*'),
+      leetspeak,
+    ];
+    return patterns.some((pattern) =>
+      filter._createSafeRegExp(pattern).test(lowerMessage),
+    );
+  });
+}
+
+function measure(label, messageList, check) {
+  const start = process.hrtime.bigint();
+  let matches = 0;
+  for (const message of messageList) {
+    if (check(message)) matches++;
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  const perMessageUs = (elapsedMs * 1000) / messageList.length;
+  console.log(
+    `${label}: ${elapsedMs.toFixed(1)} ms for ${messageList.length} messages (${perMessageUs.toFixed(1)} µs/message, ${matches} matches)`,
+  );
+  return perMessageUs;
+}
+
+const filter = new SmartWordFilter();
+console.log(
+  `${wordCount} banned words, ${messageCount} messages (${process.version})`,
+);
+
+// Only a sample for the slow path so large runs still finish
+const baselineUs = measure(
+  'Every word separately',
+  messages.slice(0, 200),
+  (message) => checkEveryWord(filter, message, bannedWords, []),
+);
+
+const compileStart = process.hrtime.bigint();
+const compiled = filter.compile(bannedWords);
+console.log(
+  `Compile: ${(Number(process.hrtime.bigint() - compileStart) / 1e6).toFixed(1)} ms`,
+);
+const compiledUs = measure(
+  'Compiled matcher',
+  messages,
+  (message) => filter.findBannedWord(message, compiled) !== null,
+);
+
+console.log(`Speedup: ${(baselineUs / compiledUs).toFixed(0)}x per message`);
@@ -0,0 +1,93 @@
+/**
+ * @file check-word-filter-corpus.js
+ * Checks the banned words filter against a corpus of clean and spoofed chat
+ * messages and compares it with how messages were checked before the filter
+ * normalized text (word boundaries plus spaced, dotted, asterisk and number
+ * evasions). Exits with 1 when the filter has more false positives or
+ * catches fewer spoofs than that baseline.
+ *
+ * Usage: node scripts/check-word-filter-corpus.js [corpusFile] [--verbose]
+ */
+
+const path = require('path');
+
+const SmartWordFilter = require('../src/modules/moderation/banned-words/smart-word-filter.js');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const corpusFile = path.resolve(
+  args.find((arg) => !arg.startsWith('--')) ||
+    path.join(__dirname, 'fixtures', 'word-filter-corpus.json'),
+);
+
+// eslint-disable-next-line security/detect-non-literal-require -- the corpus file is picked by whoever runs the script
+const corpus = require(corpusFile);
+
+/**
+ * Checks a message the way it was done before normalization: lowercase, the
+ * word on word boundaries and its evasion patterns anywhere in the message.
+ */
+function checkBaseline(filter, message, bannedWords) {
+  const lowerMessage = message.toLowerCase();
+  return bannedWords.some((word) => {
+    const escaped = filter.escapeRegex(word);
+    const leetspeak = word
+      .replace(/a/g, '4')
+      .replace(/e/g, '3')
+      .replace(/i/g, '1')
+      .replace(/o/g, '0')
+      .replace(/s/g, '5');
+    const patterns = [
+      `\\b${escaped}\\b`,
+      word.split('').join('\\s*'),
+      word.split('').join('\\.'),
+      word.replace(/[aeiou]/g, '\\*'),
+      leetspeak,
+    ];
+    return patterns.some((pattern) =>
+      filter._createSafeRegExp(pattern).test(lowerMessage),
+    );
+  });
+}
+
+function evaluate(label, check) {
+  const falsePositives = corpus.clean.filter((message) => check(message));
+  const missed = corpus.spoofed.filter(({ message }) => !check(message));
+
+  const falsePositiveRate = falsePositives.length / corpus.clean.length;
+  const detectionRate = 1 - missed.length / corpus.spoofed.length;
+  console.log(
+    `${label}: ${(falsePositiveRate * 100).toFixed(1)}% false positives (${falsePositives.length}/${corpus.clean.length}), ${(detectionRate * 100).toFixed(1)}% spoofs caught (${corpus.spoofed.length - missed.length}/${corpus.spoofed.length})`,
+  );
+  if (verbose) {
+    falsePositives.forEach((message) =>
+      console.log(`  false positive: ${JSON.stringify(message)}`),
+    );
+    missed.forEach(({ message, word }) =>
+      console.log(`  missed ${word}: ${JSON.stringify(message)}`),
+    );
+  }
+  return { falsePositiveRate, detectionRate };
+}
+
+const filter = new SmartWordFilter();
+const compiled = filter.compile(corpus.bannedWords);
+
+console.log(
+  `${corpus.bannedWords.length} banned words, ${corpus.clean.length} clean and ${corpus.spoofed.length} spoofed messages`,
+);
+const baseline = evaluate('Baseline', (message) =>
+  checkBaseline(filter, message, corpus.bannedWords),
+);
+const current = evaluate(
+  'Filter',
+  (message) => filter.findBannedWord(message, compiled) !== null,
+);
+
+if (
+  current.falsePositiveRate > baseline.falsePositiveRate ||
+  current.detectionRate < baseline.detectionRate
+) {
+  console.log('Regression: the filter does worse than the baseline');
+  process.exitCode = 1;
+}
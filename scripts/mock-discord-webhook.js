@@ -0,0 +1,170 @@
+/**
+ * @file mock-discord-webhook.js
+ * Local stand-in for a Discord webhook. It answers like Discord: rate limit
+ * headers on every response and 429 with retry_after once the bucket is
+ * empty. It can also fail a share of requests with 500 to exercise retries.
+ *
+ * Usage:
+ *   node scripts/mock-discord-webhook.js [--port 4999] [--limit 5]
+ *     [--window 2] [--fail-rate 0] [--burst 0]
+ *
+ * The webhook URL is http://localhost:<port>/api/webhooks/1/mock. With
+ * --burst N the script queues N notifications through the delivery queue,
+ * prints the delivery metrics and exits. Tests can require the module and
+ * call startMockWebhookServer().
+ */
+
+const express = require('express');
+
+const DiscordSink = require('../src/modules/moderation/notifications/discord-sink.js');
+const WebhookDeliveryQueue = require('../src/modules/moderation/notifications/webhook-delivery-queue.js');
+
+/**
+ * Starts a mock webhook server
+ * @param {object} options - Server options
+ * @param {number} options.port - Port to listen on, 0 for any free port
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Rate limit window in milliseconds
+ * @param {number} options.failRate - Share of requests answered with 500 (0 to 1)
+ * @returns {Promise<object>} - { url, received, stats, close }: received
+ *   holds the accepted payloads
+ */
+function startMockWebhookServer({
+  port = 0,
+  limit = 5,
+  windowMs = 2000,
+  failRate = 0,
+} = {}) {
+  const received = [];
+  const stats = { requests: 0, accepted: 0, rateLimited: 0, failed: 0 };
+  let windowStart = Date.now();
+  let remaining = limit;
+
+  const app = express();
+  app.use(express.json());
+
+  app.post('/api/webhooks/:webhookId/:token', (req, res) => {
+    stats.requests++;
+
+    const now = Date.now();
+    if (now - windowStart >= windowMs) {
+      windowStart = now;
+      remaining = limit;
+    }
+    const resetAfter = (windowMs - (now - windowStart)) / 1000;
+
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(remaining - 1, 0)),
+      'X-RateLimit-Reset-After': resetAfter.toFixed(3),
+      'X-RateLimit-Bucket': 'mock',
+    });
+
+    if (remaining === 0) {
+      stats.rateLimited++;
+      res.set('Retry-After', String(Math.ceil(resetAfter)));
+      res.status(429).json({
+        message: 'You are being rate limited.',
+        retry_after: Number(resetAfter.toFixed(3)),
+        global: false,
+      });
+      return;
+    }
+    remaining--;
+
+    if (Math.random() < failRate) {
+      stats.failed++;
+      res.status(500).json({ message: 'Internal Server Error' });
+      return;
+    }
+
+    stats.accepted++;
+    received.push(req.body);
+    res.status(204).end();
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}/api/webhooks/1/mock`,
+        received,
+        stats,
+        close: () => new Promise((_resolve) => server.close(_resolve)),
+      });
+    });
+  });
+}
+
+/**
+ * Reads a numeric command line option
+ * @param {string} name - The option name without dashes
+ * @param {number} fallback - Value if the option is missing
+ * @returns {number} - The value
+ */
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : parseFloat(process.argv[index + 1]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Queues a burst of notifications and waits until all are delivered or dropped
+ * @param {string} url - The webhook URL
+ * @param {number} count - Number of notifications
+ * @returns {Promise<object>} - The queue's delivery metrics
+ */
+function sendBurst(url, count) {
+  const sink = new DiscordSink({ url });
+  return new Promise((resolve) => {
+    const queue = new WebhookDeliveryQueue({ botId: 'mock' }, url, {
+      ...sink.getQueueOptions(),
+      name: sink.name,
+      onDrained: () => resolve(queue.getMetrics()),
+    });
+    for (let i = 1; i <= count; i++) {
+      queue.enqueue({
+        content: 'A message was caught by the profanity filter.',
+        embeds: [{ title: `Notification ${i}`, description: 'Burst test' }],
+      });
+    }
+  });
+}
+
+/**
+ * Runs the mock server from the command line
+ */
+async function main() {
+  const burst = readOption('burst', 0);
+  const mock = await startMockWebhookServer({
+    port: readOption('port', 4999),
+    limit: readOption('limit', 5),
+    windowMs: readOption('window', 2) * 1000,
+    failRate: readOption('fail-rate', 0),
+  });
+  console.log(`Mock Discord webhook listening at ${mock.url}`);
+  if (burst <= 0) {
+    return;
+  }
+
+  const startedAt = Date.now();
+  const metrics = await sendBurst(mock.url, burst);
+  console.log(`Burst of ${burst} done in ${Date.now() - startedAt} ms`);
+  console.log('Queue metrics:', metrics);
+  console.log('Server:', {
+    ...mock.stats,
+    embedsReceived: mock.received.reduce(
+      (sum, payload) => sum + payload.embeds.length,
+      0,
+    ),
+  });
+  await mock.close();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockWebhookServer };
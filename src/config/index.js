@@ -107,6 +107,20 @@ const constants = {
     xmppConnectionTimeout: 30 * 1000,
     /** XMPP stop operation timeout */
     xmppStopTimeout: 5 * 1000,
+    /** How long a resolved user role is cached before asking the database API again */
+    userRoleCacheTtl: 5 * 60 * 1000,
+    /** Default window during which a user is not welcomed again in the same room */
+    welcomeDedupeWindow: 6 * 60 * 60 * 1000,
+    /** Presence received this soon after tracking starts is the room's occupant list, not new joins */
+    welcomeJoinGracePeriod: 15 * 1000,
+    /** How often scheduled (interval/cron) timers are checked */
+    scheduledMessageCheck: 30 * 1000,
+    /** How often per-room counters are saved to the state store */
+    stateSnapshotInterval: 60 * 1000,
+    /** How long to wait for the echo of an announcement before giving up on pinning it */
+    pendingPinTimeout: 60 * 1000,
+    /** How long the chat connection must be down before Discord is told */
+    disconnectNotificationDelay: 2 * 60 * 1000,
   },
 
   /** XMPP protocol constants */
@@ -117,7 +131,7 @@ const constants = {
     maxMamMessages: 20,
     /** Maximum room roster entries */
     maxRoomRoster: 100,
-    /** Maximum pinned messages to fetch */
+    /** Maximum messages the bot keeps pinned per room; the oldest pin is replaced first */
     maxPinnedMessages: 10,
   },
 
@@ -127,6 +141,20 @@ const constants = {
     bannedWordMuteDuration: 24 * 60 * 60,
     /** Default mute duration for read-only violations (10 seconds) */
     readOnlyMuteDuration: 10,
+    /** Default mute duration for the !mute moderator command (10 minutes) */
+    moderatorMuteDuration: 10 * 60,
+    /** Recent messages kept per room for the !purge moderator command */
+    recentMessageHistorySize: 50,
+    /** One banned word strike expires per this many hours without a new one */
+    strikeDecayHours: 7 * 24,
+    /** How long strikes stay cached in the worker after last use (milliseconds) */
+    strikeCacheRetention: 24 * 60 * 60 * 1000,
+    /** Default escalating mute durations for repeated spam violations (seconds) */
+    spamMuteDurations: [60, 10 * 60, 60 * 60, 24 * 60 * 60],
+    /** Time without spam violations after which escalation starts over (milliseconds) */
+    spamViolationReset: 60 * 60 * 1000,
+    /** Longest window a spam rule may look back over (milliseconds) */
+    spamHistoryRetention: 10 * 60 * 1000,
   },
 
   /** Bot process constants */
@@ -139,6 +167,66 @@ const constants = {
     initialRestartDelay: 5 * 60 * 1000,
   },
 
+  /** Persistence of per-room counters across worker restarts */
+  stateStore: {
+    /** Where snapshots are kept: "file", "db-api" or "none" */
+    type: process.env.STATE_STORE || 'file',
+    /** Directory for "file" snapshots (one JSON file per bot) */
+    directory:
+      process.env.STATE_STORE_DIR ||
+      require('path').resolve(__dirname, '../../temp/state'),
+  },
+
+  /** Delivery of notification webhooks (one queue per webhook) */
+  notificationDelivery: {
+    /** How long the first notification of a burst waits for more to batch with (milliseconds) */
+    batchWindow: 500,
+    /** Discord accepts at most 10 embeds per message */
+    maxEmbedsPerMessage: 10,
+    /** Discord limit for the combined text of all embeds in a message */
+    maxEmbedCharacters: 6000,
+    /** Notifications waiting per webhook before the oldest are dropped */
+    maxQueueLength: 100,
+    /** Attempts for a message that fails with a server or network error */
+    maxAttempts: 5,
+    /** First retry delay, doubled per attempt (milliseconds) */
+    retryBaseDelay: 1000,
+    /** Longest retry delay (milliseconds) */
+    retryMaxDelay: 60 * 1000,
+  },
+
+  /** FACEIT nicknames of user GUIDs, looked up at NICKNAME_LOOKUP_URL */
+  nicknames: {
+    /** Nicknames kept before the least recently used is forgotten */
+    cacheSize: 10000,
+    /** How long a nickname is trusted before it is looked up again (milliseconds) */
+    cacheTtl: 24 * 60 * 60 * 1000,
+    /** How long a GUID whose lookup failed is not looked up again (milliseconds) */
+    failedLookupTtl: 10 * 60 * 1000,
+    /** Lookup URL with a {user_guid} placeholder, answering { "nickname": ... } (lookups are off when unset) */
+    lookupUrl: process.env.NICKNAME_LOOKUP_URL || null,
+    /** Bearer token sent to the lookup URL (optional) */
+    lookupApiKey: process.env.NICKNAME_LOOKUP_API_KEY || null,
+    /** Lookups wait at most this long, as they delay notifications and commands (milliseconds) */
+    lookupTimeout: 3000,
+  },
+
+  /** Links to moderated messages in notifications ({message_link} placeholder) */
+  messageLinks: {
+    /** URL with {entity_id}, {room_id} and {message_id} placeholders (links are off when unset) */
+    template: process.env.MESSAGE_LINK_TEMPLATE || null,
+  },
+
+  /** Signed "undo" links for automated mutes in Discord notifications */
+  undoLinks: {
+    /** Public base URL of the database API undo page (links are off when unset) */
+    baseUrl: process.env.UNDO_LINK_BASE_URL || null,
+    /** Secret used to sign undo links */
+    secret: process.env.UNDO_LINK_SECRET || null,
+    /** How long an undo link works after the mute (milliseconds) */
+    ttl: 7 * 24 * 60 * 60 * 1000,
+  },
+
   /** Authentication and token lifetimes/refresh policy */
   auth: {
     /** Approximate validity of FACEIT access token obtained via refresh token */
@@ -181,6 +269,7 @@ const defaultStagingBot = {
       timer_counter_max: 5,
       read_only: false,
       welcome_message: null,
+      welcome_dedupe_seconds: null,
     },
   },
 };
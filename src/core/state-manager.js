@@ -3,8 +3,12 @@
  * Centralized state management for bot worker processes.
  */
 
+const { constants } = require('../config');
 const { botLog } = require('../lib/utils');
 
+// Bump when the counter snapshot format changes; older snapshots are ignored
+const COUNTER_SNAPSHOT_VERSION = 1;
+
 class StateManager {
   constructor(config) {
     this.config = config;
@@ -32,6 +36,19 @@ class StateManager {
       entities: new Map(),
       messageCounts: new Map(),
       autoMessageTurn: new Map(),
+      commandUsageCounts: new Map(),
+      commandCooldowns: new Map(),
+      userRoles: new Map(),
+      recentMessages: new Map(),
+      roomOccupants: new Map(),
+      welcomedUsers: new Map(),
+      roomActivityCounts: new Map(),
+      scheduledTimerRuns: new Map(),
+      pinnedMessages: new Map(),
+      pendingPins: new Map(),
+      userMessageHistory: new Map(),
+      spamViolations: new Map(),
+      userStrikes: new Map(),
       supergroupSubscriptions: new Map(),
       recentlyUnassignedEntities: new Set(),
       nonExistentEntities: new Set(),
@@ -44,6 +61,8 @@ class StateManager {
       entityUpdateTimeoutId: null,
       stanzaQueueIntervalId: null,
       connectionHealthCheckId: null,
+      messageSchedulerIntervalId: null,
+      stateSnapshotIntervalId: null,
 
       // Authentication
       forceCredentialRefresh: false,
@@ -63,6 +82,19 @@ class StateManager {
       entitiesCount: 0,
       messageCountsSize: 0,
       autoMessageTurnSize: 0,
+      commandUsageCountsSize: 0,
+      commandCooldownsSize: 0,
+      suppressedCommandCount: 0,
+      userRolesSize: 0,
+      recentMessagesSize: 0,
+      roomOccupantsSize: 0,
+      welcomedUsersSize: 0,
+      roomActivityCountsSize: 0,
+      scheduledTimerRunsSize: 0,
+      pinnedMessagesSize: 0,
+      userMessageHistorySize: 0,
+      spamViolationsSize: 0,
+      userStrikesSize: 0,
       supergroupSubscriptionsSize: 0,
       memoryCleanupCount: 0,
     };
@@ -236,6 +268,18 @@ class StateManager {
       // Clean up related data
       this.removeMessageCount(entityId);
       this.removeAutoMessageTurn(entityId);
+      this.removeCommandUsageCounts(entityId);
+      this.removeCommandCooldowns(entityId);
+      this.removeUserRoles(entityId);
+      this.removeRecentMessages(entityId);
+      this.removeRoomOccupants(entityId);
+      this.removeWelcomedUsers(entityId);
+      this.removeRoomActivityCount(entityId);
+      this.removeScheduledTimerRuns(entityId);
+      this.removePinnedMessages(entityId);
+      this.removeUserMessageHistory(entityId);
+      this.removeSpamViolations(entityId);
+      this.removeUserStrikes(entityId);
 
       this._notifyListeners('entity:removed', { entityId, entityData });
 
@@ -261,9 +305,33 @@ class StateManager {
     this._state.entities.clear();
     this._state.messageCounts.clear();
     this._state.autoMessageTurn.clear();
+    this._state.commandUsageCounts.clear();
+    this._state.commandCooldowns.clear();
+    this._state.userRoles.clear();
+    this._state.recentMessages.clear();
+    this._state.roomOccupants.clear();
+    this._state.welcomedUsers.clear();
+    this._state.roomActivityCounts.clear();
+    this._state.scheduledTimerRuns.clear();
+    this._state.pinnedMessages.clear();
+    this._state.userMessageHistory.clear();
+    this._state.spamViolations.clear();
+    this._state.userStrikes.clear();
     this._stats.entitiesCount = 0;
     this._stats.messageCountsSize = 0;
     this._stats.autoMessageTurnSize = 0;
+    this._stats.commandUsageCountsSize = 0;
+    this._stats.commandCooldownsSize = 0;
+    this._stats.userRolesSize = 0;
+    this._stats.recentMessagesSize = 0;
+    this._stats.roomOccupantsSize = 0;
+    this._stats.welcomedUsersSize = 0;
+    this._stats.roomActivityCountsSize = 0;
+    this._stats.scheduledTimerRunsSize = 0;
+    this._stats.pinnedMessagesSize = 0;
+    this._stats.userMessageHistorySize = 0;
+    this._stats.spamViolationsSize = 0;
+    this._stats.userStrikesSize = 0;
 
     this._notifyListeners('entities:cleared', { count });
 
@@ -348,6 +416,503 @@ class StateManager {
     return existed;
   }
 
+  // --- COMMAND USAGE MANAGEMENT ---
+
+  getCommandUsageCount(roomId, command) {
+    return this._state.commandUsageCounts.get(roomId)?.get(command) || 0;
+  }
+
+  setCommandUsageCount(roomId, command, count) {
+    let roomCounts = this._state.commandUsageCounts.get(roomId);
+    if (!roomCounts) {
+      roomCounts = new Map();
+      this._state.commandUsageCounts.set(roomId, roomCounts);
+      this._stats.commandUsageCountsSize++;
+    }
+    roomCounts.set(command, count);
+  }
+
+  incrementCommandUsageCount(roomId, command) {
+    const newCount = this.getCommandUsageCount(roomId, command) + 1;
+    this.setCommandUsageCount(roomId, command, newCount);
+    return newCount;
+  }
+
+  removeCommandUsageCounts(roomId) {
+    const existed = this._state.commandUsageCounts.has(roomId);
+    if (existed) {
+      this._state.commandUsageCounts.delete(roomId);
+      this._stats.commandUsageCountsSize--;
+    }
+    return existed;
+  }
+
+  // --- COMMAND COOLDOWN MANAGEMENT ---
+
+  /**
+   * Get the time until which a command cooldown is active.
+   * @param {string} roomId - The room ID
+   * @param {string} cooldownKey - Command name, or "command:userGuid" for per-user cooldowns
+   * @returns {number} - Expiry timestamp in ms, 0 if no cooldown is tracked
+   */
+  getCommandCooldown(roomId, cooldownKey) {
+    return this._state.commandCooldowns.get(roomId)?.get(cooldownKey) || 0;
+  }
+
+  setCommandCooldown(roomId, cooldownKey, expiresAt) {
+    let roomCooldowns = this._state.commandCooldowns.get(roomId);
+    if (!roomCooldowns) {
+      roomCooldowns = new Map();
+      this._state.commandCooldowns.set(roomId, roomCooldowns);
+      this._stats.commandCooldownsSize++;
+    }
+    roomCooldowns.set(cooldownKey, expiresAt);
+  }
+
+  removeCommandCooldowns(roomId) {
+    const existed = this._state.commandCooldowns.has(roomId);
+    if (existed) {
+      this._state.commandCooldowns.delete(roomId);
+      this._stats.commandCooldownsSize--;
+    }
+    return existed;
+  }
+
+  incrementSuppressedCommandCount() {
+    this._stats.suppressedCommandCount++;
+    return this._stats.suppressedCommandCount;
+  }
+
+  // --- USER ROLE CACHE ---
+
+  /**
+   * Get a cached user role for an entity.
+   * @param {string} roomId - The room ID
+   * @param {string} userGuid - The user GUID
+   * @returns {string|null} - The cached role or null if missing or expired
+   */
+  getUserRole(roomId, userGuid) {
+    const cached = this._state.userRoles.get(roomId)?.get(userGuid);
+    if (!cached || cached.expiresAt <= Date.now()) {
+      return null;
+    }
+    return cached.role;
+  }
+
+  setUserRole(roomId, userGuid, role, ttlMs) {
+    let roomRoles = this._state.userRoles.get(roomId);
+    if (!roomRoles) {
+      roomRoles = new Map();
+      this._state.userRoles.set(roomId, roomRoles);
+      this._stats.userRolesSize++;
+    }
+    roomRoles.set(userGuid, { role, expiresAt: Date.now() + ttlMs });
+  }
+
+  removeUserRoles(roomId) {
+    const existed = this._state.userRoles.has(roomId);
+    if (existed) {
+      this._state.userRoles.delete(roomId);
+      this._stats.userRolesSize--;
+    }
+    return existed;
+  }
+
+  // --- RECENT MESSAGE HISTORY ---
+
+  /**
+   * Remember a recent message for a room, keeping at most `limit` entries.
+   * @param {string} roomId - The room ID
+   * @param {object} message - { messageId, messageAuthorGuid, timestamp }
+   * @param {number} limit - Maximum number of messages kept for the room
+   */
+  addRecentMessage(roomId, message, limit) {
+    let roomMessages = this._state.recentMessages.get(roomId);
+    if (!roomMessages) {
+      roomMessages = [];
+      this._state.recentMessages.set(roomId, roomMessages);
+      this._stats.recentMessagesSize++;
+    }
+
+    roomMessages.push(message);
+    if (roomMessages.length > limit) {
+      roomMessages.splice(0, roomMessages.length - limit);
+    }
+  }
+
+  getRecentMessages(roomId) {
+    return [...(this._state.recentMessages.get(roomId) || [])];
+  }
+
+  removeRecentMessage(roomId, messageId) {
+    const roomMessages = this._state.recentMessages.get(roomId);
+    if (!roomMessages) return false;
+
+    const index = roomMessages.findIndex(
+      (message) => message.messageId === messageId,
+    );
+    if (index === -1) return false;
+
+    roomMessages.splice(index, 1);
+    return true;
+  }
+
+  removeRecentMessages(roomId) {
+    const existed = this._state.recentMessages.has(roomId);
+    if (existed) {
+      this._state.recentMessages.delete(roomId);
+      this._stats.recentMessagesSize--;
+    }
+    return existed;
+  }
+
+  // --- ROOM PRESENCE TRACKING ---
+
+  /**
+   * Record a user as present in a room.
+   * @param {string} roomId - The room ID
+   * @param {string} userGuid - The user GUID
+   * @returns {boolean} - True if the user was not already present
+   */
+  addRoomOccupant(roomId, userGuid) {
+    let roomPresence = this._state.roomOccupants.get(roomId);
+    if (!roomPresence) {
+      roomPresence = { trackingSince: Date.now(), users: new Set() };
+      this._state.roomOccupants.set(roomId, roomPresence);
+      this._stats.roomOccupantsSize++;
+    }
+
+    if (roomPresence.users.has(userGuid)) {
+      return false;
+    }
+    roomPresence.users.add(userGuid);
+    return true;
+  }
+
+  /**
+   * Get the users present in a room.
+   * @param {string} roomId - The room ID
+   * @returns {Array<string>} - User GUIDs
+   */
+  getRoomOccupants(roomId) {
+    return [...(this._state.roomOccupants.get(roomId)?.users || [])];
+  }
+
+  removeRoomOccupant(roomId, userGuid) {
+    return (
+      this._state.roomOccupants.get(roomId)?.users.delete(userGuid) || false
+    );
+  }
+
+  /**
+   * Get when presence tracking started for a room.
+   * @param {string} roomId - The room ID
+   * @returns {number|null} - Timestamp in milliseconds or null if not tracked
+   */
+  getRoomPresenceTrackingStart(roomId) {
+    return this._state.roomOccupants.get(roomId)?.trackingSince ?? null;
+  }
+
+  removeRoomOccupants(roomId) {
+    const existed = this._state.roomOccupants.has(roomId);
+    if (existed) {
+      this._state.roomOccupants.delete(roomId);
+      this._stats.roomOccupantsSize--;
+    }
+    return existed;
+  }
+
+  /**
+   * Forget all tracked occupants, e.g. after the XMPP connection drops, so the
+   * occupant lists resent on reconnect are not mistaken for joins.
+   */
+  clearRoomOccupants() {
+    this._state.roomOccupants.clear();
+    this._stats.roomOccupantsSize = 0;
+  }
+
+  // --- WELCOME MESSAGE DEDUPE ---
+
+  /**
+   * Get when a user may be welcomed again in a room.
+   * @param {string} roomId - The room ID
+   * @param {string} userGuid - The user GUID
+   * @returns {number} - Expiry timestamp in milliseconds, 0 if none
+   */
+  getWelcomeExpiry(roomId, userGuid) {
+    return this._state.welcomedUsers.get(roomId)?.get(userGuid) || 0;
+  }
+
+  setWelcomeExpiry(roomId, userGuid, expiresAt) {
+    let roomWelcomes = this._state.welcomedUsers.get(roomId);
+    if (!roomWelcomes) {
+      roomWelcomes = new Map();
+      this._state.welcomedUsers.set(roomId, roomWelcomes);
+      this._stats.welcomedUsersSize++;
+    }
+    roomWelcomes.set(userGuid, expiresAt);
+  }
+
+  removeWelcomedUsers(roomId) {
+    const existed = this._state.welcomedUsers.has(roomId);
+    if (existed) {
+      this._state.welcomedUsers.delete(roomId);
+      this._stats.welcomedUsersSize--;
+    }
+    return existed;
+  }
+
+  // --- SCHEDULED MESSAGE TRACKING ---
+
+  /**
+   * Get the total number of chat messages seen in a room. Unlike message
+   * counts, this never resets and is used for scheduled message activity gating.
+   * @param {string} roomId - The room ID
+   * @returns {number} - Total messages seen
+   */
+  getRoomActivityCount(roomId) {
+    return this._state.roomActivityCounts.get(roomId) || 0;
+  }
+
+  setRoomActivityCount(roomId, count) {
+    if (!this._state.roomActivityCounts.has(roomId)) {
+      this._stats.roomActivityCountsSize++;
+    }
+    this._state.roomActivityCounts.set(roomId, count);
+  }
+
+  incrementRoomActivityCount(roomId) {
+    const newCount = this.getRoomActivityCount(roomId) + 1;
+    this.setRoomActivityCount(roomId, newCount);
+    return newCount;
+  }
+
+  removeRoomActivityCount(roomId) {
+    const existed = this._state.roomActivityCounts.has(roomId);
+    if (existed) {
+      this._state.roomActivityCounts.delete(roomId);
+      this._stats.roomActivityCountsSize--;
+    }
+    return existed;
+  }
+
+  /**
+   * Get the last run of a scheduled timer.
+   * @param {string} roomId - The room ID
+   * @param {string} timerKey - The scheduled timer key
+   * @returns {object|null} - { lastRunAt, activityAtLastRun } or null if never run
+   */
+  getScheduledTimerRun(roomId, timerKey) {
+    return this._state.scheduledTimerRuns.get(roomId)?.get(timerKey) || null;
+  }
+
+  setScheduledTimerRun(roomId, timerKey, run) {
+    let roomRuns = this._state.scheduledTimerRuns.get(roomId);
+    if (!roomRuns) {
+      roomRuns = new Map();
+      this._state.scheduledTimerRuns.set(roomId, roomRuns);
+      this._stats.scheduledTimerRunsSize++;
+    }
+    roomRuns.set(timerKey, run);
+  }
+
+  /**
+   * Forget runs of timers that are no longer configured for a room.
+   * @param {string} roomId - The room ID
+   * @param {Set<string>} activeTimerKeys - Keys of the currently configured timers
+   */
+  pruneScheduledTimerRuns(roomId, activeTimerKeys) {
+    const roomRuns = this._state.scheduledTimerRuns.get(roomId);
+    if (!roomRuns) return;
+
+    for (const timerKey of roomRuns.keys()) {
+      if (!activeTimerKeys.has(timerKey)) {
+        roomRuns.delete(timerKey);
+      }
+    }
+  }
+
+  removeScheduledTimerRuns(roomId) {
+    const existed = this._state.scheduledTimerRuns.has(roomId);
+    if (existed) {
+      this._state.scheduledTimerRuns.delete(roomId);
+      this._stats.scheduledTimerRunsSize--;
+    }
+    return existed;
+  }
+
+  // --- PINNED MESSAGE TRACKING ---
+
+  /**
+   * Get the messages the bot has pinned in a room, oldest first.
+   * @param {string} roomId - The room ID
+   * @returns {Array} - Array of { messageId, text, pinnedAt, expiresAt }
+   */
+  getPinnedMessages(roomId) {
+    return [...(this._state.pinnedMessages.get(roomId) || [])];
+  }
+
+  addPinnedMessage(roomId, pinnedMessage) {
+    let roomPins = this._state.pinnedMessages.get(roomId);
+    if (!roomPins) {
+      roomPins = [];
+      this._state.pinnedMessages.set(roomId, roomPins);
+      this._stats.pinnedMessagesSize++;
+    }
+    roomPins.push(pinnedMessage);
+  }
+
+  removePinnedMessage(roomId, messageId) {
+    const roomPins = this._state.pinnedMessages.get(roomId);
+    if (!roomPins) return false;
+
+    const index = roomPins.findIndex((pin) => pin.messageId === messageId);
+    if (index === -1) return false;
+
+    roomPins.splice(index, 1);
+    return true;
+  }
+
+  removePinnedMessages(roomId) {
+    const existed = this._state.pinnedMessages.has(roomId);
+    if (existed) {
+      this._state.pinnedMessages.delete(roomId);
+      this._stats.pinnedMessagesSize--;
+    }
+    return existed;
+  }
+
+  /**
+   * Remember a message the bot sent and will pin once the server echoes it
+   * back with its stanza ID.
+   * @param {string} originId - The id attribute of the sent message
+   * @param {object} pendingPin - { roomId, text, durationMs, expiresAt }
+   */
+  addPendingPin(originId, pendingPin) {
+    this._state.pendingPins.set(originId, pendingPin);
+  }
+
+  /**
+   * Get and forget a pending pin.
+   * @param {string} originId - The id attribute of the sent message
+   * @returns {object|null} - The pending pin or null if unknown
+   */
+  takePendingPin(originId) {
+    const pendingPin = this._state.pendingPins.get(originId) || null;
+    this._state.pendingPins.delete(originId);
+    return pendingPin;
+  }
+
+  // --- SPAM DETECTION TRACKING ---
+
+  /**
+   * Record a user's message and return their messages within a time window.
+   * Older entries are dropped.
+   * @param {string} roomId - The room ID
+   * @param {string} userGuid - The user GUID
+   * @param {object} entry - { timestamp, content }
+   * @param {number} windowMs - How far back to keep messages
+   * @returns {Array} - The user's messages in the window, oldest first, including the new one
+   */
+  addUserMessage(roomId, userGuid, entry, windowMs) {
+    let roomHistory = this._state.userMessageHistory.get(roomId);
+    if (!roomHistory) {
+      roomHistory = new Map();
+      this._state.userMessageHistory.set(roomId, roomHistory);
+      this._stats.userMessageHistorySize++;
+    }
+
+    const cutoff = entry.timestamp - windowMs;
+    const userHistory = (roomHistory.get(userGuid) || []).filter(
+      (previous) => previous.timestamp > cutoff,
+    );
+    userHistory.push(entry);
+    roomHistory.set(userGuid, userHistory);
+    return [...userHistory];
+  }
+
+  clearUserMessages(roomId, userGuid) {
+    return (
+      this._state.userMessageHistory.get(roomId)?.delete(userGuid) || false
+    );
+  }
+
+  removeUserMessageHistory(roomId) {
+    const existed = this._state.userMessageHistory.has(roomId);
+    if (existed) {
+      this._state.userMessageHistory.delete(roomId);
+      this._stats.userMessageHistorySize--;
+    }
+    return existed;
+  }
+
+  /**
+   * Count a spam violation for a user, starting over when the previous one is
+   * older than the reset window.
+   * @param {string} roomId - The room ID
+   * @param {string} userGuid - The user GUID
+   * @param {number} resetMs - Time without violations after which the count resets
+   * @returns {number} - The user's violation count including this one
+   */
+  incrementSpamViolations(roomId, userGuid, resetMs) {
+    let roomViolations = this._state.spamViolations.get(roomId);
+    if (!roomViolations) {
+      roomViolations = new Map();
+      this._state.spamViolations.set(roomId, roomViolations);
+      this._stats.spamViolationsSize++;
+    }
+
+    const now = Date.now();
+    const previous = roomViolations.get(userGuid);
+    const count =
+      previous && now - previous.lastViolationAt < resetMs
+        ? previous.count + 1
+        : 1;
+    roomViolations.set(userGuid, { count, lastViolationAt: now });
+    return count;
+  }
+
+  removeSpamViolations(roomId) {
+    const existed = this._state.spamViolations.has(roomId);
+    if (existed) {
+      this._state.spamViolations.delete(roomId);
+      this._stats.spamViolationsSize--;
+    }
+    return existed;
+  }
+
+  // --- STRIKE CACHE ---
+
+  /**
+   * Get a user's cached strikes. The database API holds the source of truth.
+   * @param {string} roomId - The room ID
+   * @param {string} userGuid - The user GUID
+   * @returns {object|null} - { count, lastStrikeAt } or null if not cached
+   */
+  getUserStrikes(roomId, userGuid) {
+    const strikes = this._state.userStrikes.get(roomId)?.get(userGuid);
+    return strikes ? { ...strikes } : null;
+  }
+
+  setUserStrikes(roomId, userGuid, strikes) {
+    let roomStrikes = this._state.userStrikes.get(roomId);
+    if (!roomStrikes) {
+      roomStrikes = new Map();
+      this._state.userStrikes.set(roomId, roomStrikes);
+      this._stats.userStrikesSize++;
+    }
+    roomStrikes.set(userGuid, { ...strikes, cachedAt: Date.now() });
+  }
+
+  removeUserStrikes(roomId) {
+    const existed = this._state.userStrikes.has(roomId);
+    if (existed) {
+      this._state.userStrikes.delete(roomId);
+      this._stats.userStrikesSize--;
+    }
+    return existed;
+  }
+
   // --- SUPERGROUP SUBSCRIPTION MANAGEMENT ---
 
   getSupergroupSubscription(roomJid) {
@@ -487,6 +1052,22 @@ class StateManager {
     this._state.connectionHealthCheckId = id;
   }
 
+  getMessageSchedulerIntervalId() {
+    return this._state.messageSchedulerIntervalId;
+  }
+
+  setMessageSchedulerIntervalId(id) {
+    this._state.messageSchedulerIntervalId = id;
+  }
+
+  getStateSnapshotIntervalId() {
+    return this._state.stateSnapshotIntervalId;
+  }
+
+  setStateSnapshotIntervalId(id) {
+    this._state.stateSnapshotIntervalId = id;
+  }
+
   // --- AUTHENTICATION ---
 
   shouldForceCredentialRefresh() {
@@ -591,6 +1172,34 @@ class StateManager {
     // Clean up auto message turn
     this.removeAutoMessageTurn(entityId);
 
+    // Clean up command usage counts and cooldowns
+    this.removeCommandUsageCounts(entityId);
+    this.removeCommandCooldowns(entityId);
+
+    // Clean up cached user roles
+    this.removeUserRoles(entityId);
+
+    // Clean up recent message history
+    this.removeRecentMessages(entityId);
+
+    // Clean up presence tracking and welcome dedupe
+    this.removeRoomOccupants(entityId);
+    this.removeWelcomedUsers(entityId);
+
+    // Clean up scheduled message tracking
+    this.removeRoomActivityCount(entityId);
+    this.removeScheduledTimerRuns(entityId);
+
+    // Clean up pinned message tracking
+    this.removePinnedMessages(entityId);
+
+    // Clean up spam detection tracking
+    this.removeUserMessageHistory(entityId);
+    this.removeSpamViolations(entityId);
+
+    // Clean up cached strikes
+    this.removeUserStrikes(entityId);
+
     // Clean up supergroup subscriptions
     const hadSubscription = this._state.supergroupSubscriptions.has(entityId);
     if (hadSubscription) {
@@ -643,6 +1252,191 @@ class StateManager {
       }
     }
 
+    // Clean up command usage counts for non-existent entities
+    for (const roomId of this._state.commandUsageCounts.keys()) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.commandUsageCounts.delete(roomId);
+        this._stats.commandUsageCountsSize--;
+        cleaned++;
+      }
+    }
+
+    // Clean up command cooldowns for non-existent entities and expired cooldowns
+    const now = Date.now();
+    for (const [roomId, roomCooldowns] of this._state.commandCooldowns) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.commandCooldowns.delete(roomId);
+        this._stats.commandCooldownsSize--;
+        cleaned++;
+        continue;
+      }
+
+      for (const [cooldownKey, expiresAt] of roomCooldowns) {
+        if (expiresAt <= now) {
+          roomCooldowns.delete(cooldownKey);
+          cleaned++;
+        }
+      }
+      if (roomCooldowns.size === 0) {
+        this._state.commandCooldowns.delete(roomId);
+        this._stats.commandCooldownsSize--;
+      }
+    }
+
+    // Clean up cached user roles for non-existent entities and expired entries
+    for (const [roomId, roomRoles] of this._state.userRoles) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.userRoles.delete(roomId);
+        this._stats.userRolesSize--;
+        cleaned++;
+        continue;
+      }
+
+      for (const [userGuid, cached] of roomRoles) {
+        if (cached.expiresAt <= now) {
+          roomRoles.delete(userGuid);
+          cleaned++;
+        }
+      }
+      if (roomRoles.size === 0) {
+        this._state.userRoles.delete(roomId);
+        this._stats.userRolesSize--;
+      }
+    }
+
+    // Clean up recent message history for non-existent entities
+    for (const roomId of this._state.recentMessages.keys()) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.recentMessages.delete(roomId);
+        this._stats.recentMessagesSize--;
+        cleaned++;
+      }
+    }
+
+    // Clean up presence tracking for non-existent entities
+    for (const roomId of this._state.roomOccupants.keys()) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.roomOccupants.delete(roomId);
+        this._stats.roomOccupantsSize--;
+        cleaned++;
+      }
+    }
+
+    // Clean up welcome dedupe for non-existent entities and expired windows
+    for (const [roomId, roomWelcomes] of this._state.welcomedUsers) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.welcomedUsers.delete(roomId);
+        this._stats.welcomedUsersSize--;
+        cleaned++;
+        continue;
+      }
+
+      for (const [userGuid, expiresAt] of roomWelcomes) {
+        if (expiresAt <= now) {
+          roomWelcomes.delete(userGuid);
+          cleaned++;
+        }
+      }
+      if (roomWelcomes.size === 0) {
+        this._state.welcomedUsers.delete(roomId);
+        this._stats.welcomedUsersSize--;
+      }
+    }
+
+    // Clean up scheduled message tracking for non-existent entities
+    for (const roomId of this._state.roomActivityCounts.keys()) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.roomActivityCounts.delete(roomId);
+        this._stats.roomActivityCountsSize--;
+        cleaned++;
+      }
+    }
+    for (const roomId of this._state.scheduledTimerRuns.keys()) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.scheduledTimerRuns.delete(roomId);
+        this._stats.scheduledTimerRunsSize--;
+        cleaned++;
+      }
+    }
+
+    // Clean up pinned message tracking for non-existent entities
+    for (const roomId of this._state.pinnedMessages.keys()) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.pinnedMessages.delete(roomId);
+        this._stats.pinnedMessagesSize--;
+        cleaned++;
+      }
+    }
+
+    // Clean up spam detection tracking for non-existent entities. Message
+    // history is trimmed on every message, so idle users are dropped wholesale
+    // once their newest entry is older than the longest rule window.
+    for (const [roomId, roomHistory] of this._state.userMessageHistory) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.userMessageHistory.delete(roomId);
+        this._stats.userMessageHistorySize--;
+        cleaned++;
+        continue;
+      }
+
+      for (const [userGuid, userHistory] of roomHistory) {
+        if (
+          now - userHistory.at(-1).timestamp >
+          constants.moderation.spamHistoryRetention
+        ) {
+          roomHistory.delete(userGuid);
+          cleaned++;
+        }
+      }
+    }
+    for (const [roomId, roomViolations] of this._state.spamViolations) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.spamViolations.delete(roomId);
+        this._stats.spamViolationsSize--;
+        cleaned++;
+        continue;
+      }
+
+      for (const [userGuid, violation] of roomViolations) {
+        if (
+          now - violation.lastViolationAt >
+          constants.moderation.spamViolationReset
+        ) {
+          roomViolations.delete(userGuid);
+          cleaned++;
+        }
+      }
+    }
+
+    // Clean up strike cache entries of non-existent entities and idle users;
+    // evicted strikes are loaded from the database API again when needed
+    for (const [roomId, roomStrikes] of this._state.userStrikes) {
+      if (!this._state.entities.has(roomId)) {
+        this._state.userStrikes.delete(roomId);
+        this._stats.userStrikesSize--;
+        cleaned++;
+        continue;
+      }
+
+      for (const [userGuid, strikes] of roomStrikes) {
+        if (
+          now - strikes.cachedAt >
+          constants.moderation.strikeCacheRetention
+        ) {
+          roomStrikes.delete(userGuid);
+          cleaned++;
+        }
+      }
+    }
+
+    // Clean up pending pins whose echo never arrived
+    for (const [originId, pendingPin] of this._state.pendingPins) {
+      if (pendingPin.expiresAt <= now) {
+        this._state.pendingPins.delete(originId);
+        cleaned++;
+      }
+    }
+
     this._stats.memoryCleanupCount++;
 
     if (cleaned > 0) {
@@ -664,6 +1458,19 @@ class StateManager {
       entitiesCount: this._state.entities.size,
       messageCountsSize: this._state.messageCounts.size,
       autoMessageTurnSize: this._state.autoMessageTurn.size,
+      commandUsageCountsSize: this._state.commandUsageCounts.size,
+      commandCooldownsSize: this._state.commandCooldowns.size,
+      userRolesSize: this._state.userRoles.size,
+      recentMessagesSize: this._state.recentMessages.size,
+      roomOccupantsSize: this._state.roomOccupants.size,
+      welcomedUsersSize: this._state.welcomedUsers.size,
+      roomActivityCountsSize: this._state.roomActivityCounts.size,
+      scheduledTimerRunsSize: this._state.scheduledTimerRuns.size,
+      pinnedMessagesSize: this._state.pinnedMessages.size,
+      pendingPinsSize: this._state.pendingPins.size,
+      userMessageHistorySize: this._state.userMessageHistory.size,
+      spamViolationsSize: this._state.spamViolations.size,
+      userStrikesSize: this._state.userStrikes.size,
       supergroupSubscriptionsSize: this._state.supergroupSubscriptions.size,
       recentlyUnassignedSize: this._state.recentlyUnassignedEntities.size,
       nonExistentEntitiesSize: this._state.nonExistentEntities.size,
@@ -712,6 +1519,119 @@ class StateManager {
       count: this._state.entities.size,
     });
   }
+
+  // --- COUNTER SNAPSHOTS ---
+
+  /**
+   * Build a JSON-serializable snapshot of the per-room counters that should
+   * survive a process restart (timer counts and rotation, command usage,
+   * scheduled timer runs, pinned announcements awaiting expiry).
+   * @returns {object} - { version, savedAt, rooms: { [roomId]: counters } }
+   */
+  getCounterSnapshot() {
+    const roomIds = new Set([
+      ...this._state.messageCounts.keys(),
+      ...this._state.autoMessageTurn.keys(),
+      ...this._state.commandUsageCounts.keys(),
+      ...this._state.roomActivityCounts.keys(),
+      ...this._state.scheduledTimerRuns.keys(),
+      ...this._state.pinnedMessages.keys(),
+    ]);
+
+    const rooms = new Map();
+    for (const roomId of roomIds) {
+      rooms.set(roomId, {
+        messageCount: this.getMessageCount(roomId),
+        autoMessageTurn: this.getAutoMessageTurn(roomId),
+        commandUsageCounts: Object.fromEntries(
+          this._state.commandUsageCounts.get(roomId) || [],
+        ),
+        activityCount: this.getRoomActivityCount(roomId),
+        scheduledTimerRuns: Object.fromEntries(
+          this._state.scheduledTimerRuns.get(roomId) || [],
+        ),
+        pinnedMessages: this.getPinnedMessages(roomId),
+      });
+    }
+
+    return {
+      version: COUNTER_SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      rooms: Object.fromEntries(rooms),
+    };
+  }
+
+  /**
+   * Restore per-room counters from a snapshot created by getCounterSnapshot().
+   * Invalid values are skipped; rooms that are no longer assigned are dropped
+   * by the next memory cleanup.
+   * @param {object} snapshot - The snapshot
+   * @returns {number} - Number of rooms restored
+   */
+  restoreCounterSnapshot(snapshot) {
+    if (
+      !snapshot ||
+      snapshot.version !== COUNTER_SNAPSHOT_VERSION ||
+      typeof snapshot.rooms !== 'object'
+    ) {
+      return 0;
+    }
+
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    let restored = 0;
+
+    for (const [roomId, counters] of Object.entries(snapshot.rooms || {})) {
+      if (!counters || typeof counters !== 'object') continue;
+
+      if (isCount(counters.messageCount)) {
+        this.setMessageCount(roomId, counters.messageCount);
+      }
+      if (isCount(counters.autoMessageTurn)) {
+        this.setAutoMessageTurn(roomId, counters.autoMessageTurn);
+      }
+      for (const [command, count] of Object.entries(
+        counters.commandUsageCounts || {},
+      )) {
+        if (isCount(count)) {
+          this.setCommandUsageCount(roomId, command, count);
+        }
+      }
+      if (isCount(counters.activityCount)) {
+        this.setRoomActivityCount(roomId, counters.activityCount);
+      }
+      for (const [timerKey, run] of Object.entries(
+        counters.scheduledTimerRuns || {},
+      )) {
+        if (isCount(run?.lastRunAt) && isCount(run?.activityAtLastRun)) {
+          this.setScheduledTimerRun(roomId, timerKey, {
+            lastRunAt: run.lastRunAt,
+            activityAtLastRun: run.activityAtLastRun,
+          });
+        }
+      }
+      if (Array.isArray(counters.pinnedMessages)) {
+        this.removePinnedMessages(roomId);
+        for (const pin of counters.pinnedMessages) {
+          if (typeof pin?.messageId === 'string' && isCount(pin.pinnedAt)) {
+            this.addPinnedMessage(roomId, {
+              messageId: pin.messageId,
+              text: typeof pin.text === 'string' ? pin.text : '',
+              pinnedAt: pin.pinnedAt,
+              expiresAt: isCount(pin.expiresAt) ? pin.expiresAt : null,
+            });
+          }
+        }
+      }
+      restored++;
+    }
+
+    botLog(
+      this.config.botId,
+      'log',
+      `StateManager: Restored counters for ${restored} rooms from snapshot saved at ${Number.isFinite(snapshot.savedAt) ? new Date(snapshot.savedAt).toISOString() : 'unknown time'}`,
+    );
+    return restored;
+  }
 }
 
 module.exports = StateManager;
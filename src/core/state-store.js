@@ -0,0 +1,129 @@
+/**
+ * @file state-store.js
+ * Pluggable stores for persisting StateManager counter snapshots across restarts.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { apiConfig, constants } = require('../config');
+const { getRequest, postRequest } = require('../lib/http/client.js');
+
+// Snapshots are also saved during shutdown, which must fit PM2's kill_timeout
+const DB_API_REQUEST_TIMEOUT = 3000;
+
+/**
+ * Builds the snapshot file path of a bot. It is the only path the file store
+ * touches (besides a ".tmp" copy next to it).
+ * @param {string} directory - The configured snapshot directory
+ * @param {string} botId - The bot ID
+ * @returns {string} The absolute snapshot file path
+ */
+function getSnapshotFilePath(directory, botId) {
+  if (!/^[\w-]+$/.test(String(botId))) {
+    throw new Error(`Invalid bot ID for a state snapshot file: ${botId}`);
+  }
+  return path.resolve(directory, `bot-${botId}.json`);
+}
+
+/**
+ * Keeps snapshots in a local JSON file per bot.
+ */
+class JsonFileStateStore {
+  constructor(botId, directory) {
+    this.name = 'file';
+    this.filePath = getSnapshotFilePath(directory, botId);
+    this.temporaryPath = `${this.filePath}.tmp`;
+  }
+
+  /**
+   * Loads the saved snapshot.
+   * @returns {Promise<object|null>} The snapshot or null if none was saved
+   */
+  async load() {
+    try {
+      // filePath comes from getSnapshotFilePath() (validated bot ID)
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Saves a snapshot, writing to a temporary file first so a crash mid-write
+   * never leaves a truncated snapshot behind.
+   * @param {object} snapshot - The snapshot
+   */
+  async save(snapshot) {
+    // Both paths come from getSnapshotFilePath() (validated bot ID)
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.writeFile(this.temporaryPath, JSON.stringify(snapshot));
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.rename(this.temporaryPath, this.filePath);
+  }
+}
+
+/**
+ * Keeps snapshots in the bot_state table through the database API.
+ */
+class DbApiStateStore {
+  constructor(botId) {
+    this.name = 'db-api';
+    this.url = `${apiConfig.baseUrl}/bots/${botId}/state`;
+  }
+
+  /**
+   * Loads the saved snapshot.
+   * @returns {Promise<object|null>} The snapshot or null if none was saved
+   */
+  async load() {
+    try {
+      const result = await getRequest(this.url, {
+        timeout: DB_API_REQUEST_TIMEOUT,
+      });
+      return result?.state || null;
+    } catch (error) {
+      if (error.message.includes('failed: 404')) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Saves a snapshot.
+   * @param {object} snapshot - The snapshot
+   */
+  async save(snapshot) {
+    await postRequest(
+      this.url,
+      { state: snapshot },
+      { timeout: DB_API_REQUEST_TIMEOUT },
+    );
+  }
+}
+
+/**
+ * Creates the state store configured by STATE_STORE.
+ * @param {object} config - The bot configuration
+ * @returns {object|null} A store with load() and save(snapshot), or null when persistence is disabled
+ */
+function createStateStore(config) {
+  const { type, directory } = constants.stateStore;
+
+  if (type === 'file') {
+    return new JsonFileStateStore(config.botId, directory);
+  }
+  if (type === 'db-api') {
+    return new DbApiStateStore(config.botId);
+  }
+  return null;
+}
+
+module.exports = {
+  JsonFileStateStore,
+  DbApiStateStore,
+  createStateStore,
+};
@@ -3,9 +3,13 @@
  * Shared HTTP client utilities for making API requests
  */
 
+const dns = require('dns');
+const https = require('https');
+
 const axios = require('axios');
 
 const { apiConfig } = require('../../config');
+const { isInternalAddress, isInternalHost } = require('../utils/validation.js');
 
 // Standard HTTP client configuration
 const DEFAULT_TIMEOUT = 10000; // 10 seconds
@@ -13,6 +17,47 @@ const DEFAULT_HEADERS = {
   'Content-Type': 'application/json',
 };
 
+/**
+ * dns.lookup() for notification requests that fails when a hostname resolves
+ * to an internal address, so a public name pointing at loopback or a private
+ * network (or changing to one after validation) is never connected to
+ * @param {string} hostname - The hostname
+ * @param {object} options - dns.lookup() options
+ * @param {function} callback - dns.lookup() callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  const { all = false, ...lookupOptions } =
+    typeof options === 'object' ? options : { family: options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const internal = addresses.find(({ address }) =>
+      isInternalAddress(address),
+    );
+    if (internal) {
+      const lookupError = new Error(
+        `${hostname} resolves to internal address ${internal.address}`,
+      );
+      lookupError.code = 'EINTERNALADDRESS';
+      callback(lookupError);
+      return;
+    }
+
+    if (all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// Agent for notification requests, which go to URLs that entities configure
+const notificationAgent = new https.Agent({ lookup: lookupPublicAddress });
+
 /**
  * Adds Cloudflare bypass header if the URL is targeting api.faceit.com
  * @param {string} url - The request URL
@@ -147,12 +192,33 @@ const createApiClient = {
     },
   }),
 
-  // Discord Webhook
-  discordWebhook: () => ({
-    sendNotification(url, payload) {
-      return postRequest(url, payload, {
+  // Notification webhooks (Discord, Slack, generic). Resolves for every HTTP
+  // status so the caller can read rate limit headers; only network errors
+  // reject.
+  webhookNotification: () => ({
+    async send(url, payload, headers = {}) {
+      // IP addresses are connected to without a lookup
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== 'https:' || isInternalHost(hostname)) {
+        throw new Error(`Refusing to send a notification to ${hostname}`);
+      }
+
+      const response = await axios({
+        method: 'POST',
+        url,
+        data: payload,
+        headers: { ...DEFAULT_HEADERS, ...headers },
         timeout: DEFAULT_TIMEOUT,
+        httpsAgent: notificationAgent,
+        // Redirects could lead to hosts the URL validation rejects
+        maxRedirects: 0,
+        validateStatus: () => true,
       });
+      return {
+        status: response.status,
+        headers: response.headers,
+        data: response.data,
+      };
     },
   }),
 };
@@ -0,0 +1,129 @@
+/**
+ * @file cron.js
+ * Minimal five-field cron expression support (minute hour day-of-month month day-of-week)
+ */
+
+// Allowed range for each field, in expression order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const NUMBER_PATTERN = /^\d{1,2}$/;
+
+/**
+ * Parses a number within a field's range
+ * @param {string} rawValue - The raw number
+ * @param {object} field - The field definition
+ * @returns {number|null} The number or null if invalid
+ */
+function parseFieldNumber(rawValue, field) {
+  if (!NUMBER_PATTERN.test(rawValue)) return null;
+
+  const value = parseInt(rawValue, 10);
+  return value >= field.min && value <= field.max ? value : null;
+}
+
+/**
+ * Parses one comma-separated cron field into the set of values it matches.
+ * Supports "*", single values, ranges ("1-5") and steps ("*\/15", "0-30/10").
+ * @param {string} rawField - The raw field
+ * @param {object} field - The field definition
+ * @returns {Set<number>|null} Matching values or null if invalid
+ */
+function parseCronField(rawField, field) {
+  const values = new Set();
+
+  for (const part of rawField.split(',')) {
+    const [range, rawStep] = part.split('/');
+    let step = 1;
+    if (rawStep !== undefined) {
+      step = NUMBER_PATTERN.test(rawStep) ? parseInt(rawStep, 10) : 0;
+      if (step <= 0) return null;
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [rawStart, rawEnd] = range.split('-');
+      start = parseFieldNumber(rawStart, field);
+      end = rawEnd === undefined ? start : parseFieldNumber(rawEnd, field);
+      // "5/15" means every 15 starting at 5
+      if (rawEnd === undefined && rawStep !== undefined) {
+        end = field.max;
+      }
+    }
+
+    if (start === null || end === null || start > end) {
+      return null;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression. Day-of-week accepts 0-7 (0 and 7 are Sunday).
+ * @param {string} expression - The cron expression
+ * @returns {object|null} Parsed schedule or null if the expression is invalid
+ */
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string') return null;
+
+  const rawFields = expression.trim().split(/\s+/);
+  if (rawFields.length !== CRON_FIELDS.length) return null;
+
+  const schedule = {};
+  for (const [index, field] of CRON_FIELDS.entries()) {
+    const values = parseCronField(rawFields.at(index), field);
+    if (!values) return null;
+    schedule[field.name] = values;
+  }
+
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  // Like standard cron, when both day fields are restricted either may match
+  schedule.dayOfMonthRestricted = rawFields[2] !== '*';
+  schedule.dayOfWeekRestricted = rawFields[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Checks whether a parsed schedule matches the minute of a date (UTC).
+ * @param {object} schedule - Schedule returned by parseCronExpression
+ * @param {Date} date - The date to check
+ * @returns {boolean} True if the schedule fires in that minute
+ */
+function matchesCron(schedule, date) {
+  if (
+    !schedule.minute.has(date.getUTCMinutes()) ||
+    !schedule.hour.has(date.getUTCHours()) ||
+    !schedule.month.has(date.getUTCMonth() + 1)
+  ) {
+    return false;
+  }
+
+  const dayOfMonthMatches = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeekMatches = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+module.exports = {
+  parseCronExpression,
+  matchesCron,
+};
@@ -0,0 +1,82 @@
+/**
+ * @file lru-cache.js
+ * Size-bounded cache whose entries expire after a time to live. When full,
+ * the least recently used entry is evicted first.
+ */
+
+class LruCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {number} options.maxSize - Entries kept before the least recently used is evicted
+   * @param {number} options.ttlMs - Default time to live of an entry in milliseconds
+   */
+  constructor({ maxSize, ttlMs }) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    // Map iteration follows insertion order, so the first key is the least
+    // recently used one
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  /**
+   * Checks whether a key has an entry that has not expired
+   * @param {string} key - The key
+   * @returns {boolean} - True if the key is cached
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Gets a cached value and marks it as recently used
+   * @param {string} key - The key
+   * @returns {*} - The value, or undefined if missing or expired
+   */
+  get(key) {
+    if (!this.has(key)) return undefined;
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Caches a value, evicting the least recently used entry when full
+   * @param {string} key - The key
+   * @param {*} value - The value
+   * @param {number} ttlMs - Time to live in milliseconds (optional, defaults to the cache's)
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - The key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Number of entries, including expired ones not yet removed
+   * @returns {number} - The entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
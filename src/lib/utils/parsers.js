@@ -3,6 +3,8 @@
  * Common parsing helpers
  */
 
+const { isValidGuid } = require('./validation.js');
+
 /**
  * Safely parse a JSON-like field that may already be an object/array or a JSON string.
  * Returns a default value on parse failure or when value is null/undefined.
@@ -27,6 +29,50 @@ function parseJsonField(rawValue, defaultValue) {
   return defaultValue;
 }
 
+// Seconds per duration unit; a missing unit means seconds
+const DURATION_UNIT_SECONDS = new Map([
+  ['', 1],
+  ['s', 1],
+  ['m', 60],
+  ['h', 60 * 60],
+  ['d', 24 * 60 * 60],
+]);
+
+/**
+ * Parse a short duration such as "30s", "10m", "2h" or "1d" into seconds.
+ * Plain numbers are treated as seconds.
+ * @param {string|number} rawValue
+ * @returns {number|null} Duration in seconds, or null if the value is not a valid duration
+ */
+function parseDurationSeconds(rawValue) {
+  if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+    return null;
+  }
+
+  const match = /^(\d{1,9})([smhd]?)$/i.exec(String(rawValue).trim());
+  if (!match) {
+    return null;
+  }
+
+  const seconds =
+    parseInt(match[1], 10) * DURATION_UNIT_SECONDS.get(match[2].toLowerCase());
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Parse a JSON list of user GUIDs, dropping invalid entries.
+ * @param {unknown} rawValue - Array of GUIDs or its JSON string
+ * @returns {Array<string>} Lowercase GUIDs
+ */
+function parseGuidList(rawValue) {
+  const list = parseJsonField(rawValue, []);
+  if (!Array.isArray(list)) return [];
+
+  return list.filter(isValidGuid).map((guid) => guid.toLowerCase());
+}
+
 module.exports = {
   parseJsonField,
+  parseDurationSeconds,
+  parseGuidList,
 };
@@ -0,0 +1,59 @@
+/**
+ * @file signing.js
+ * HMAC signatures for links and payloads that leave the bot
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Signs a payload with HMAC-SHA256.
+ * @param {string} payload - The payload to sign
+ * @param {string} secret - The shared secret
+ * @returns {string} The hex encoded signature
+ */
+function createSignature(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Verifies an HMAC-SHA256 signature in constant time.
+ * @param {string} payload - The signed payload
+ * @param {string} signature - The hex encoded signature to check
+ * @param {string} secret - The shared secret
+ * @returns {boolean} True if the signature is valid
+ */
+function verifySignature(payload, signature, secret) {
+  if (typeof signature !== 'string' || !secret) return false;
+
+  const expected = Buffer.from(createSignature(payload, secret), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+/**
+ * Builds a signed JSON request. X-Signature is "sha256=" followed by the
+ * HMAC-SHA256 of "<X-Signature-Timestamp>.<body>" with the secret.
+ * @param {object} payload - The JSON payload
+ * @param {string} secret - The shared secret
+ * @returns {object} { body, headers }
+ */
+function createSignedRequest(payload, secret) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    body,
+    headers: {
+      'X-Signature-Timestamp': timestamp,
+      'X-Signature': `sha256=${createSignature(`${timestamp}.${body}`, secret)}`,
+    },
+  };
+}
+
+module.exports = {
+  createSignature,
+  createSignedRequest,
+  verifySignature,
+};
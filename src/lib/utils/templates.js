@@ -0,0 +1,100 @@
+/**
+ * @file templates.js
+ * Placeholder rendering for configurable chat responses
+ */
+
+// Matches {name} and {name:argument}; placeholders cannot contain braces
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+const PLACEHOLDER_NAME_PATTERN = /^\w+$/;
+
+/**
+ * Picks a random option from a pipe-separated list
+ * @param {string} optionList - Options separated by "|"
+ * @returns {string|null} The chosen option or null if the list is empty
+ */
+function pickRandomOption(optionList) {
+  if (typeof optionList !== 'string') return null;
+
+  const options = optionList
+    .split('|')
+    .map((option) => option.trim())
+    .filter((option) => option.length > 0);
+  if (options.length === 0) return null;
+
+  return options[Math.floor(Math.random() * options.length)];
+}
+
+/**
+ * Formats the current time (HH:mm) in the given IANA time zone
+ * @param {string} timeZone - IANA time zone name, defaults to UTC
+ * @returns {string|null} Formatted time or null if the time zone is invalid
+ */
+function formatTimeInZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone ? timeZone.trim() : 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(new Date());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Renders a template by replacing placeholders with variable values.
+ * Supports {name} variables plus the built-in {random:a|b|c} and
+ * {time:Europe/Berlin} helpers. Unknown placeholders are left untouched.
+ * Rendering is single-pass, so values containing placeholders are not expanded.
+ * @param {string} template - The template string
+ * @param {object} variables - Variable values keyed by placeholder name
+ * @returns {string} The rendered string
+ */
+function renderTemplate(template, variables = {}) {
+  if (typeof template !== 'string') return template;
+
+  const values = new Map(Object.entries(variables || {}));
+
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, body) => {
+    const separatorIndex = body.indexOf(':');
+    const name = separatorIndex === -1 ? body : body.slice(0, separatorIndex);
+    const argument =
+      separatorIndex === -1 ? undefined : body.slice(separatorIndex + 1);
+
+    if (!PLACEHOLDER_NAME_PATTERN.test(name)) {
+      return placeholder;
+    }
+    if (name === 'random') {
+      return pickRandomOption(argument) ?? placeholder;
+    }
+    if (name === 'time') {
+      return formatTimeInZone(argument) ?? placeholder;
+    }
+
+    const value = values.get(name);
+    if (argument !== undefined || value === undefined || value === null) {
+      return placeholder;
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Lists the placeholder names used in a template, e.g. "user" for {user} and
+ * "time" for {time:UTC}
+ * @param {string} template - The template string
+ * @returns {Array<string>} The placeholder names, in order of appearance
+ */
+function getPlaceholderNames(template) {
+  if (typeof template !== 'string') return [];
+
+  return Array.from(template.matchAll(PLACEHOLDER_PATTERN), ([, body]) => {
+    const separatorIndex = body.indexOf(':');
+    return separatorIndex === -1 ? body : body.slice(0, separatorIndex);
+  }).filter((name) => PLACEHOLDER_NAME_PATTERN.test(name));
+}
+
+module.exports = {
+  renderTemplate,
+  getPlaceholderNames,
+};
@@ -0,0 +1,176 @@
+/**
+ * @file text-normalization.js
+ * Folds look-alike characters so filters see what a reader sees
+ */
+
+// Zero-width and other invisible formatting characters (combining ones are
+// outside the class so they are not read as part of a neighbouring character)
+const INVISIBLE_CHARACTERS =
+  /\u034F|\u17B4|\u17B5|[\u00AD\u061C\u115F\u1160\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFEFF\uFFA0]/gu;
+
+// Cyrillic and Greek letters that render like Latin letters (lowercase only,
+// input is lowercased first)
+const CONFUSABLES = new Map([
+  ['\u0430', 'a'], // cyrillic small letter a
+  ['\u0432', 'b'], // cyrillic small letter ve
+  ['\u0441', 'c'], // cyrillic small letter es
+  ['\u0501', 'd'], // cyrillic small letter komi de
+  ['\u0435', 'e'], // cyrillic small letter ie
+  ['\u0451', 'e'], // cyrillic small letter io
+  ['\u04BB', 'h'], // cyrillic small letter shha
+  ['\u0456', 'i'], // cyrillic small letter byelorussian-ukrainian i
+  ['\u0457', 'i'], // cyrillic small letter yi
+  ['\u0458', 'j'], // cyrillic small letter je
+  ['\u043A', 'k'], // cyrillic small letter ka
+  ['\u043C', 'm'], // cyrillic small letter em
+  ['\u043D', 'h'], // cyrillic small letter en
+  ['\u043E', 'o'], // cyrillic small letter o
+  ['\u0440', 'p'], // cyrillic small letter er
+  ['\u051B', 'q'], // cyrillic small letter qa
+  ['\u0455', 's'], // cyrillic small letter dze
+  ['\u0442', 't'], // cyrillic small letter te
+  ['\u0443', 'y'], // cyrillic small letter u
+  ['\u051D', 'w'], // cyrillic small letter we
+  ['\u0445', 'x'], // cyrillic small letter ha
+  ['\u03B1', 'a'], // greek small letter alpha
+  ['\u03B2', 'b'], // greek small letter beta
+  ['\u03B5', 'e'], // greek small letter epsilon
+  ['\u03B7', 'n'], // greek small letter eta
+  ['\u03B9', 'i'], // greek small letter iota
+  ['\u03BA', 'k'], // greek small letter kappa
+  ['\u03BD', 'v'], // greek small letter nu
+  ['\u03BF', 'o'], // greek small letter omicron
+  ['\u03C1', 'p'], // greek small letter rho
+  ['\u03C4', 't'], // greek small letter tau
+  ['\u03C5', 'u'], // greek small letter upsilon
+  ['\u03C7', 'x'], // greek small letter chi
+  ['\u03C9', 'w'], // greek small letter omega
+]);
+
+// Combining marks: accents, but also strikethrough and "zalgo" stacking
+const COMBINING_MARKS = /\p{Mn}/gu;
+
+// Letters repeated three or more times in a row
+const REPEATED_LETTERS = /(\p{L})\1{2,}/gu;
+
+// Letters that English words often double ("good", "kill"). Elongated runs of
+// them are read as a double letter, so "goooood" stays "good" and not "god".
+const DOUBLED_LETTERS = new Set('bcdefglmnoprstz');
+
+// Single letters joined by dots, as one word ("f.u.c.k" but not "go.d")
+const DOTTED_LETTERS = /(?<![\p{L}\p{N}.])\p{L}(?:\.\p{L})+(?![\p{L}\p{N}])/gu;
+
+// Latin letters and digits, which make a word worth folding for matching
+const LATIN_OR_DIGIT = /[a-z0-9]/;
+
+/**
+ * Applies NFKC (fullwidth and stylized letters become plain ones), lowercases
+ * and removes invisible characters.
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ */
+function normalizeBase(text) {
+  return text.normalize('NFKC').toLowerCase().replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * Replaces look-alike letters with their Latin counterparts.
+ * @param {string} text - Lowercase text
+ * @returns {string} The folded text
+ */
+function foldCharacters(text) {
+  let folded = '';
+  for (const character of text) {
+    folded += CONFUSABLES.get(character) || character;
+  }
+  return folded;
+}
+
+/**
+ * Normalizes text for matching: NFKC (fullwidth and stylized letters become
+ * plain ones), lowercase, invisible characters removed and look-alike letters
+ * folded to Latin.
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ */
+function foldConfusables(text) {
+  if (typeof text !== 'string') return '';
+
+  return foldCharacters(normalizeBase(text));
+}
+
+/**
+ * Like foldConfusables(), but look-alike letters are only folded in words
+ * that also contain Latin letters or digits. Mixed-script spoofs ("fuсk" with
+ * a Cyrillic "с") are caught while genuine Cyrillic and Greek words are left
+ * alone, so they cannot turn into unrelated Latin words.
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ */
+function foldMixedScriptConfusables(text) {
+  if (typeof text !== 'string') return '';
+
+  return normalizeBase(text).replace(/\S+/gu, (word) =>
+    LATIN_OR_DIGIT.test(word) ? foldCharacters(word) : word,
+  );
+}
+
+/**
+ * Removes combining marks, e.g. accents and strikethrough ("ü" becomes "u").
+ * @param {string} text - The text
+ * @returns {string} The text without combining marks
+ */
+function stripCombiningMarks(text) {
+  if (typeof text !== 'string') return '';
+
+  return text.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC');
+}
+
+/**
+ * Shortens runs of three or more identical letters ("fuuuuck").
+ * @param {string} text - The text
+ * @param {number} length - Length each run is shortened to (1 or 2)
+ * @returns {string} The text with repeated letters collapsed
+ */
+function collapseRepeatedLetters(text, length) {
+  if (typeof text !== 'string') return '';
+
+  return text.replace(REPEATED_LETTERS, (run, letter) => letter.repeat(length));
+}
+
+/**
+ * Shortens runs of three or more identical letters to the likeliest spelling:
+ * two for letters English words often double ("goooood" becomes "good"), one
+ * for the others ("fuuuuck" becomes "fuck").
+ * @param {string} text - The text
+ * @returns {string} The text with elongated letters collapsed
+ */
+function collapseElongatedLetters(text) {
+  if (typeof text !== 'string') return '';
+
+  return text.replace(REPEATED_LETTERS, (run, letter) =>
+    letter.repeat(DOUBLED_LETTERS.has(letter) ? 2 : 1),
+  );
+}
+
+/**
+ * Removes the dots from words spelled as dotted single letters ("f.u.c.k"
+ * becomes "fuck"). Dots inside longer words ("go.d") and between words are
+ * kept.
+ * @param {string} text - The text
+ * @returns {string} The text with dotted letters joined
+ */
+function joinDottedLetters(text) {
+  if (typeof text !== 'string') return '';
+
+  return text.replace(DOTTED_LETTERS, (letters) => letters.replace(/\./g, ''));
+}
+
+module.exports = {
+  foldConfusables,
+  foldMixedScriptConfusables,
+  stripCombiningMarks,
+  collapseRepeatedLetters,
+  collapseElongatedLetters,
+  joinDottedLetters,
+};
@@ -3,6 +3,28 @@
  * Common validation patterns used across the chatbot service
  */
 
+const net = require('net');
+
+// Loopback, private, link-local, benchmarking and unspecified addresses,
+// which outgoing notifications must not reach. IPv4-mapped IPv6 addresses
+// match the IPv4 ranges; NAT64 addresses can embed any IPv4 address, so they
+// are all internal.
+const INTERNAL_ADDRESSES = new net.BlockList();
+INTERNAL_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+INTERNAL_ADDRESSES.addSubnet('198.18.0.0', 15, 'ipv4');
+INTERNAL_ADDRESSES.addAddress('::', 'ipv6');
+INTERNAL_ADDRESSES.addAddress('::1', 'ipv6');
+INTERNAL_ADDRESSES.addSubnet('64:ff9b::', 96, 'ipv6');
+INTERNAL_ADDRESSES.addSubnet('64:ff9b:1::', 48, 'ipv6');
+INTERNAL_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+INTERNAL_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
 /**
  * Validates if a value is a non-empty string
  * @param {any} value - Value to validate
@@ -61,6 +83,83 @@ function isValidDiscordWebhookUrl(url) {
   return webhookPattern.test(url);
 }
 
+/**
+ * Validates Slack incoming webhook URL format
+ * @param {string} url - URL to validate
+ * @returns {boolean} - True if valid Slack webhook URL
+ */
+function isValidSlackWebhookUrl(url) {
+  if (!isValidString(url)) return false;
+
+  const webhookPattern =
+    /^https:\/\/hooks\.slack\.com\/services\/[A-Z0-9]+\/[A-Z0-9]+\/\w+$/;
+  return webhookPattern.test(url);
+}
+
+/**
+ * Checks whether an IP address belongs to this machine or a private network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is internal
+ */
+function isInternalAddress(address) {
+  const ipVersion = net.isIP(address);
+  return (
+    ipVersion !== 0 &&
+    INTERNAL_ADDRESSES.check(address, ipVersion === 4 ? 'ipv4' : 'ipv6')
+  );
+}
+
+/**
+ * Checks whether a URL hostname names this machine or a private network:
+ * localhost or an internal IP address. Other hostnames are not resolved
+ * here; notification requests check the addresses they resolve to when
+ * they are sent (see http/client.js).
+ * @param {string} hostname - Hostname as parsed by URL (IPv6 in brackets)
+ * @returns {boolean} - True if the host is internal
+ */
+function isInternalHost(hostname) {
+  const host = hostname
+    .toLowerCase()
+    .replace(/^\[|\]$/g, '')
+    .replace(/\.$/, '');
+  return (
+    host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    isInternalAddress(host)
+  );
+}
+
+/**
+ * Validates a URL for outgoing notifications: HTTPS with a public host
+ * @param {string} url - URL to validate
+ * @returns {boolean} - True if valid HTTPS URL
+ */
+function isValidHttpsUrl(url) {
+  if (!isValidString(url, 1, 500)) return false;
+
+  try {
+    const parsed = new URL(url);
+    return (
+      parsed.protocol === 'https:' &&
+      parsed.hostname.length > 0 &&
+      !isInternalHost(parsed.hostname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates an email address (one "@", no spaces, a dot in the domain)
+ * @param {string} address - Address to validate
+ * @returns {boolean} - True if valid email address
+ */
+function isValidEmailAddress(address) {
+  if (!isValidString(address, 3, 254)) return false;
+
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address);
+}
+
 /**
  * Validates if a string could be a valid GUID/UUID
  * @param {string} id - ID to validate
@@ -138,6 +237,11 @@ module.exports = {
   isValidArray,
   isSafeWordString,
   isValidDiscordWebhookUrl,
+  isValidSlackWebhookUrl,
+  isValidHttpsUrl,
+  isInternalAddress,
+  isInternalHost,
+  isValidEmailAddress,
   isValidGuid,
   isValidMessageData,
   isValidEntityConfig,
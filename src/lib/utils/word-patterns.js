@@ -0,0 +1,243 @@
+/**
+ * @file word-patterns.js
+ * Restricted pattern grammar for banned word entries. Entries are parsed into
+ * plain data and matched token by token, never compiled into a RegExp, so no
+ * entry can cause catastrophic backtracking.
+ *
+ *   word          plain word or phrase, matched with evasion detection
+ *   *bet          any word ending in "bet" (bet* starts with, *bet* contains)
+ *   "free skins"  the words in this order, as whole words
+ *   =gg ez        the whole message is exactly these words
+ *
+ * Any entry may start with a severity ("slur:word", "mild:*bet"). Characters
+ * other than these operators are literal text ("f@ck", "#rekt").
+ */
+
+// Banned word severities, least severe first
+const SEVERITIES = ['mild', 'severe', 'slur'];
+// Severity of entries without a prefix (and of presets without a severity)
+const DEFAULT_SEVERITY = 'severe';
+
+const SEVERITY_PREFIX = /^(mild|severe|slur):\s*/i;
+const MAX_ENTRY_LENGTH = 100;
+const MAX_PHRASE_WORDS = 10;
+// Letters a wildcard word must keep, so "*a*" cannot match everything
+const MIN_WILDCARD_LENGTH = 3;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits text into word tokens (runs of letters and numbers)
+ * @param {string} text - The text
+ * @returns {Array<string>} The tokens
+ */
+function tokenize(text) {
+  return text.match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Parses one whitespace-separated word of a pattern entry into tokens.
+ * Punctuation inside the word splits it, like it splits message text.
+ * @param {string} word - The word, with optional leading/trailing "*"
+ * @returns {object} { tokens } or { error }
+ */
+function parsePatternWord(word) {
+  const leading = word.startsWith('*');
+  const trailing = word.length > 1 && word.endsWith('*');
+  const literal = word.slice(leading ? 1 : 0, trailing ? -1 : undefined);
+
+  if (literal.includes('*')) {
+    return {
+      error: `"${word}": wildcards are only allowed at the start or end of a word`,
+    };
+  }
+
+  const texts = tokenize(literal.toLowerCase());
+  if (texts.length === 0) {
+    return { error: `"${word}" has no letters or numbers` };
+  }
+  if ((leading || trailing) && literal.length < MIN_WILDCARD_LENGTH) {
+    return {
+      error: `"${word}": a wildcard word needs at least ${MIN_WILDCARD_LENGTH} letters`,
+    };
+  }
+
+  const last = texts.length - 1;
+  return {
+    tokens: texts.map((text, index) => ({
+      text,
+      leading: leading && index === 0,
+      trailing: trailing && index === last,
+    })),
+  };
+}
+
+/**
+ * Checks whether a value is a known severity
+ * @param {unknown} severity - The value
+ * @returns {boolean} True if it is mild, severe or slur
+ */
+function isValidSeverity(severity) {
+  return SEVERITIES.includes(severity);
+}
+
+/**
+ * Ranks a severity, higher is more severe
+ * @param {string} severity - The severity
+ * @returns {number} The rank, 0 for unknown severities
+ */
+function getSeverityRank(severity) {
+  return SEVERITIES.indexOf(severity) + 1;
+}
+
+/**
+ * Adds a severity prefix to an entry that does not have one
+ * @param {string} entry - The entry
+ * @param {string} severity - The severity
+ * @returns {string} The entry with a severity prefix
+ */
+function withDefaultSeverity(entry, severity) {
+  return SEVERITY_PREFIX.test(entry.trim()) ? entry : `${severity}:${entry}`;
+}
+
+/**
+ * Parses a banned word entry.
+ * @param {unknown} entry - The raw entry
+ * @returns {object} { pattern } or { error }. A pattern is { type: 'word' }
+ *   for plain entries or { type: 'tokens', tokens, wholeMessage } otherwise,
+ *   with the entry's text (without severity) and severity (null if not
+ *   given). Tokens are { text, leading, trailing } with wildcard flags.
+ */
+function parseWordPattern(entry) {
+  if (typeof entry !== 'string' || entry.trim().length === 0) {
+    return { error: 'entry must be a non-empty string' };
+  }
+
+  let text = entry.trim().replace(/\s+/g, ' ');
+  const severityMatch = text.match(SEVERITY_PREFIX);
+  const severity = severityMatch ? severityMatch[1].toLowerCase() : null;
+  if (severityMatch) {
+    text = text.slice(severityMatch[0].length);
+    if (text.length === 0) {
+      return { error: `"${entry.trim()}" has no word after the severity` };
+    }
+  }
+
+  if (text.length > MAX_ENTRY_LENGTH) {
+    return {
+      error: `entry must be at most ${MAX_ENTRY_LENGTH} characters`,
+    };
+  }
+  // Plain words and phrases keep the evasion-aware matching
+  if (!/[*"=]/.test(text)) {
+    return { pattern: { type: 'word', text, severity } };
+  }
+
+  let body = text;
+  const wholeMessage = body.startsWith('=');
+  if (wholeMessage) {
+    body = body.slice(1).trim();
+  }
+
+  if (body.startsWith('"') && body.endsWith('"') && body.length > 1) {
+    body = body.slice(1, -1).trim();
+  }
+  if (body.includes('"')) {
+    return {
+      error: `"${text}": quotes must enclose the whole phrase`,
+    };
+  }
+  if (body.includes('=')) {
+    return {
+      error: `"${text}": "=" is only allowed at the start of an entry`,
+    };
+  }
+
+  const words = body.split(' ').filter(Boolean);
+  if (words.length === 0) {
+    return { error: `"${text}" has no words` };
+  }
+  if (words.length > MAX_PHRASE_WORDS) {
+    return {
+      error: `"${text}": phrases may have at most ${MAX_PHRASE_WORDS} words`,
+    };
+  }
+
+  const tokens = [];
+  for (const word of words) {
+    const parsed = parsePatternWord(word);
+    if (parsed.error) return { error: parsed.error };
+    tokens.push(...parsed.tokens);
+  }
+
+  return { pattern: { type: 'tokens', text, severity, tokens, wholeMessage } };
+}
+
+/**
+ * Parses a list of banned word entries.
+ * @param {Array} entries - The raw entries
+ * @returns {object} { patterns, errors } with errors as { index, entry, error }
+ */
+function parseWordPatterns(entries) {
+  const patterns = [];
+  const errors = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const result = parseWordPattern(entry);
+    if (result.error) {
+      errors.push({ index, entry, error: result.error });
+    } else {
+      patterns.push(result.pattern);
+    }
+  }
+
+  return { patterns, errors };
+}
+
+/**
+ * Checks whether a message token matches a pattern token
+ * @param {string} token - The message token
+ * @param {object} patternToken - { text, leading, trailing }
+ * @returns {boolean} True if it matches
+ */
+function matchesToken(token, { text, leading, trailing }) {
+  if (leading && trailing) return token.includes(text);
+  if (leading) return token.endsWith(text);
+  if (trailing) return token.startsWith(text);
+  return token === text;
+}
+
+/**
+ * Checks whether message tokens contain a token pattern
+ * @param {Array<string>} tokens - The message tokens
+ * @param {object} pattern - A parsed pattern of type "tokens"
+ * @returns {boolean} True if the pattern matches
+ */
+function matchesTokens(tokens, pattern) {
+  const length = pattern.tokens.length;
+  if (pattern.wholeMessage && tokens.length !== length) return false;
+
+  const lastStart = tokens.length - length;
+  for (let start = 0; start <= lastStart; start++) {
+    if (
+      pattern.tokens.every((patternToken, offset) =>
+        matchesToken(tokens.at(start + offset), patternToken),
+      )
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_SEVERITY,
+  isValidSeverity,
+  getSeverityRank,
+  withDefaultSeverity,
+  tokenize,
+  parseWordPattern,
+  parseWordPatterns,
+  matchesTokens,
+};
@@ -1,13 +1,28 @@
 const { botLog } = require('../../lib/utils');
+const {
+  getPlaceholderNames,
+  renderTemplate,
+} = require('../../lib/utils/templates.js');
+
+// Highest positional argument placeholder ({arg1} ... {arg9})
+const MAX_TEMPLATE_ARGS = 9;
 
 /**
  * Commands module for handling bot command processing and responses.
  */
 class Commands {
-  constructor(config, stateManager, xmppActions) {
+  constructor(
+    config,
+    stateManager,
+    xmppActions,
+    permissions,
+    nicknameResolver,
+  ) {
     this.config = config;
     this.stateManager = stateManager;
     this.xmppActions = xmppActions;
+    this.permissions = permissions;
+    this.nicknameResolver = nicknameResolver;
   }
 
   /**
@@ -25,46 +40,189 @@ class Commands {
   }
 
   /**
-   * Processes commands in a message.
-   * @param {string} messageContent - The message content
+   * Splits a command message into its name and arguments.
+   * @param {string} messageContent - The message content, including the "!" prefix
+   * @returns {object|null} - { name, args, raw } or null if not a command
+   */
+  parseCommand(messageContent) {
+    if (typeof messageContent !== 'string' || !messageContent.startsWith('!')) {
+      return null;
+    }
+
+    const raw = messageContent.substring(1).trim();
+    const [name, ...args] = raw.split(/\s+/);
+    if (!name) {
+      return null;
+    }
+
+    return { name: name.toLowerCase(), args, raw };
+  }
+
+  /**
+   * Builds the template variables available to a command response.
+   * @param {object} parsedCommand - The parsed command
+   * @param {object} messageData - The processed message data
+   * @param {object} roomConfig - The room configuration
+   * @param {number} usageCount - How many times the command was used in this room
+   * @returns {object} - Template variables
+   */
+  _buildTemplateVariables(parsedCommand, messageData, roomConfig, usageCount) {
+    const variables = {
+      user: messageData.messageAuthorNickname || messageData.messageAuthorGuid,
+      args: parsedCommand.args.join(' '),
+      room: roomConfig.name || messageData.roomId,
+      count: usageCount,
+    };
+
+    // Missing positional arguments render as empty strings
+    for (let index = 1; index <= MAX_TEMPLATE_ARGS; index++) {
+      variables[`arg${index}`] = parsedCommand.args[index - 1] || '';
+    }
+
+    return variables;
+  }
+
+  /**
+   * Checks global and per-user cooldowns for a command and starts them when the
+   * command is allowed to run.
    * @param {string} roomId - The room ID
+   * @param {string} commandName - The matched command name
+   * @param {object} commandConfig - The command configuration
+   * @param {string} userGuid - The invoking user's GUID
+   * @returns {boolean} - True if the invocation is on cooldown and must be suppressed
+   */
+  _isOnCooldown(roomId, commandName, commandConfig, userGuid) {
+    const globalCooldownMs =
+      (Number(commandConfig.cooldown_seconds) || 0) * 1000;
+    const userCooldownMs =
+      (Number(commandConfig.user_cooldown_seconds) || 0) * 1000;
+    if (globalCooldownMs <= 0 && userCooldownMs <= 0) {
+      return false;
+    }
+
+    const now = Date.now();
+    const userCooldownKey = `${commandName}:${userGuid}`;
+
+    if (
+      this.stateManager.getCommandCooldown(roomId, commandName) > now ||
+      this.stateManager.getCommandCooldown(roomId, userCooldownKey) > now
+    ) {
+      return true;
+    }
+
+    if (globalCooldownMs > 0) {
+      this.stateManager.setCommandCooldown(
+        roomId,
+        commandName,
+        now + globalCooldownMs,
+      );
+    }
+    if (userCooldownMs > 0) {
+      this.stateManager.setCommandCooldown(
+        roomId,
+        userCooldownKey,
+        now + userCooldownMs,
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Processes commands in a message.
+   * @param {object} messageData - The processed message data
    * @param {object} roomConfig - The room configuration
    * @param {function} queueStanza - Function to queue stanzas
-   * @returns {boolean} - True if a command was processed, false otherwise
+   * @returns {Promise<boolean>} - True if a command was processed or suppressed, false otherwise
    */
-  processCommands(messageContent, roomId, roomConfig, queueStanza) {
-    // Check if message starts with command prefix
-    if (!messageContent.startsWith('!')) {
+  async processCommands(messageData, roomConfig, queueStanza) {
+    const { messageContent, roomId, messageAuthorGuid } = messageData;
+
+    const parsedCommand = this.parseCommand(messageContent);
+    if (!parsedCommand || !roomConfig.commands) {
       return false;
     }
 
-    const command = messageContent.substring(1).toLowerCase();
     botLog(
       this.config.botId,
       'verbose',
-      `[${roomId}] Received command: ${command}`,
+      `[${roomId}] Received command: ${parsedCommand.name} (args: ${parsedCommand.args.length})`,
     );
 
-    // Check if command exists in room configuration
-    if (roomConfig.commands) {
-      const commandConfig = this._getCommand(roomConfig.commands, command);
-      if (commandConfig) {
-        const commandResponse = commandConfig.response;
-        const uploadId = commandConfig.upload_id || null;
-
-        const entityOrRoom = this.stateManager.hasEntity(roomId)
-          ? this.stateManager.getEntity(roomId)
-          : roomId;
-
-        // Send command response
-        queueStanza(
-          this.xmppActions.sendMessage(entityOrRoom, commandResponse, uploadId),
-        );
-        return true;
-      }
+    // Commands configured with spaces in their name still match the full message
+    const fullCommand = parsedCommand.raw.toLowerCase();
+    let commandName = fullCommand;
+    let commandConfig = this._getCommand(roomConfig.commands, fullCommand);
+    if (commandConfig) {
+      parsedCommand.args = [];
+    } else {
+      commandName = parsedCommand.name;
+      commandConfig = this._getCommand(roomConfig.commands, commandName);
     }
 
-    return false;
+    if (!commandConfig || typeof commandConfig.response !== 'string') {
+      return false;
+    }
+
+    // Commands may require a role: everyone (default), manager or admin
+    if (
+      commandConfig.permission &&
+      !(await this.permissions.hasPermission(
+        roomId,
+        messageAuthorGuid,
+        commandConfig.permission,
+      ))
+    ) {
+      botLog(
+        this.config.botId,
+        'verbose',
+        `[${roomId}] Ignored command ${commandName} from ${messageAuthorGuid} (requires ${commandConfig.permission})`,
+      );
+      return false;
+    }
+
+    if (
+      this._isOnCooldown(roomId, commandName, commandConfig, messageAuthorGuid)
+    ) {
+      const suppressedCount =
+        this.stateManager.incrementSuppressedCommandCount();
+      botLog(
+        this.config.botId,
+        'verbose',
+        `[${roomId}] Suppressed command ${commandName} from ${messageAuthorGuid} (cooldown, ${suppressedCount} suppressed in total)`,
+      );
+      return true;
+    }
+
+    const usageCount = this.stateManager.incrementCommandUsageCount(
+      roomId,
+      commandName,
+    );
+    // The nickname is only looked up if the response shows it
+    const messageAuthorNickname =
+      messageData.messageAuthorNickname ||
+      (getPlaceholderNames(commandConfig.response).includes('user')
+        ? await this.nicknameResolver.resolve(messageAuthorGuid)
+        : null);
+    const commandResponse = renderTemplate(
+      commandConfig.response,
+      this._buildTemplateVariables(
+        parsedCommand,
+        { ...messageData, messageAuthorNickname },
+        roomConfig,
+        usageCount,
+      ),
+    );
+    const uploadId = commandConfig.upload_id || null;
+
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+
+    // Send command response
+    queueStanza(
+      this.xmppActions.sendMessage(entityOrRoom, commandResponse, uploadId),
+    );
+    return true;
   }
 
   /**
@@ -0,0 +1,162 @@
+const { botLog } = require('../../lib/utils');
+const { parseCronExpression, matchesCron } = require('../../lib/utils/cron.js');
+
+/**
+ * Message scheduler module for sending timers on an interval or cron schedule
+ * instead of after a number of chat messages.
+ */
+class MessageScheduler {
+  constructor(config, stateManager, xmppActions, pinnedMessages) {
+    this.config = config;
+    this.stateManager = stateManager;
+    this.xmppActions = xmppActions;
+    this.pinnedMessages = pinnedMessages;
+
+    // Parsed cron expressions keyed by expression text
+    this.cronCache = new Map();
+  }
+
+  /**
+   * Checks whether a timer runs on a schedule rather than on message counts.
+   * @param {object} timerConfig - The timer configuration
+   * @returns {boolean} - True if the timer has an interval or cron schedule
+   */
+  static isScheduledTimer(timerConfig) {
+    return Boolean(timerConfig?.interval_minutes || timerConfig?.cron);
+  }
+
+  /**
+   * Builds a key identifying a scheduled timer across entity updates.
+   * Editing a timer's schedule or message starts it over.
+   * @param {object} timerConfig - The timer configuration
+   * @returns {string} - The timer key
+   */
+  getTimerKey(timerConfig) {
+    const schedule = timerConfig.cron
+      ? `cron:${timerConfig.cron}`
+      : `interval:${timerConfig.interval_minutes}`;
+    return `${schedule}|${timerConfig.message}`;
+  }
+
+  /**
+   * Parses a cron expression, caching the result.
+   * @param {string} expression - The cron expression
+   * @returns {object|null} - Parsed schedule or null if invalid
+   */
+  getCronSchedule(expression) {
+    if (!this.cronCache.has(expression)) {
+      this.cronCache.set(expression, parseCronExpression(expression));
+    }
+    return this.cronCache.get(expression);
+  }
+
+  /**
+   * Records chat activity in a room for minimum-activity gating.
+   * @param {string} roomId - The room ID
+   */
+  recordActivity(roomId) {
+    this.stateManager.incrementRoomActivityCount(roomId);
+  }
+
+  /**
+   * Checks whether a timer is due. Interval timers count from their previous
+   * run (or from when they were first seen); cron timers fire once per matching minute.
+   * @param {object} timerConfig - The timer configuration
+   * @param {object|null} lastRun - The timer's last run
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True if the timer should fire now
+   */
+  isDue(timerConfig, lastRun, now) {
+    if (timerConfig.cron) {
+      const schedule = this.getCronSchedule(timerConfig.cron);
+      if (!schedule || !matchesCron(schedule, new Date(now))) {
+        return false;
+      }
+      const minuteStart = now - (now % 60000);
+      return !lastRun || lastRun.lastRunAt < minuteStart;
+    }
+
+    const intervalMs = Number(timerConfig.interval_minutes) * 60 * 1000;
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      return false;
+    }
+    return Boolean(lastRun) && now - lastRun.lastRunAt >= intervalMs;
+  }
+
+  /**
+   * Processes the scheduled timers of one room.
+   * @param {string} roomId - The room ID
+   * @param {object} roomConfig - The room configuration
+   * @param {function} queueStanza - Function to queue stanzas
+   * @param {number} now - Current time in milliseconds
+   */
+  processRoom(roomId, roomConfig, queueStanza, now) {
+    const timers = Array.isArray(roomConfig.timers) ? roomConfig.timers : [];
+    const activeTimerKeys = new Set();
+    const activityCount = this.stateManager.getRoomActivityCount(roomId);
+
+    for (const timerConfig of timers) {
+      if (!MessageScheduler.isScheduledTimer(timerConfig)) continue;
+
+      const timerKey = this.getTimerKey(timerConfig);
+      activeTimerKeys.add(timerKey);
+
+      const lastRun = this.stateManager.getScheduledTimerRun(roomId, timerKey);
+      if (!lastRun && !timerConfig.cron) {
+        // First sighting of an interval timer starts its clock
+        this.stateManager.setScheduledTimerRun(roomId, timerKey, {
+          lastRunAt: now,
+          activityAtLastRun: activityCount,
+        });
+        continue;
+      }
+
+      if (!this.isDue(timerConfig, lastRun, now)) continue;
+
+      // Due occurrences in quiet rooms are skipped, not postponed
+      const minActivity = Number(timerConfig.min_activity) || 0;
+      const activitySinceLastRun =
+        activityCount - (lastRun?.activityAtLastRun ?? 0);
+      const hasEnoughActivity = activitySinceLastRun >= minActivity;
+
+      this.stateManager.setScheduledTimerRun(roomId, timerKey, {
+        lastRunAt: now,
+        activityAtLastRun: hasEnoughActivity
+          ? activityCount
+          : (lastRun?.activityAtLastRun ?? 0),
+      });
+
+      if (!hasEnoughActivity) {
+        botLog(
+          this.config.botId,
+          'verbose',
+          `[${roomId}] Skipped scheduled message (${activitySinceLastRun}/${minActivity} messages since last run)`,
+        );
+        continue;
+      }
+
+      this.pinnedMessages.sendTimerMessage(roomId, timerConfig, queueStanza);
+      botLog(
+        this.config.botId,
+        'verbose',
+        `[${roomId}] Sent scheduled message (${timerConfig.cron ? `cron "${timerConfig.cron}"` : `every ${timerConfig.interval_minutes} minutes`})`,
+      );
+    }
+
+    this.stateManager.pruneScheduledTimerRuns(roomId, activeTimerKeys);
+  }
+
+  /**
+   * Processes scheduled timers for all entities. Runs on a fixed interval;
+   * state lives in the StateManager so it survives reconnects and entity updates.
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  processScheduledMessages(queueStanza) {
+    const now = Date.now();
+    for (const [roomId, roomConfig] of this.stateManager.getAllEntities()) {
+      this.processRoom(roomId, roomConfig, queueStanza, now);
+    }
+  }
+}
+
+module.exports = MessageScheduler;
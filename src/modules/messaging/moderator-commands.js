@@ -0,0 +1,394 @@
+const { apiConfig, constants } = require('../../config');
+const { postRequest } = require('../../lib/http/client.js');
+const { botLog } = require('../../lib/utils');
+const { parseDurationSeconds } = require('../../lib/utils/parsers');
+
+const USER_GUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Built-in moderator commands (!mute, !unmute, !undo, !purge, !readonly, !pin)
+ * available to entity managers and bot admins in every room.
+ */
+class ModeratorCommands {
+  constructor(options) {
+    const {
+      config,
+      stateManager,
+      xmppActions,
+      commands,
+      permissions,
+      moderation,
+      discordWebhookManager,
+      pinnedMessages,
+      nicknameResolver,
+    } = options;
+
+    this.config = config;
+    this.stateManager = stateManager;
+    this.xmppActions = xmppActions;
+    this.commands = commands;
+    this.permissions = permissions;
+    this.moderation = moderation;
+    this.discordWebhookManager = discordWebhookManager;
+    this.pinnedMessages = pinnedMessages;
+    this.nicknameResolver = nicknameResolver;
+
+    this.handlers = new Map([
+      ['mute', this.handleMute.bind(this)],
+      ['unmute', this.handleUnmute.bind(this)],
+      ['undo', this.handleUndo.bind(this)],
+      ['purge', this.handlePurge.bind(this)],
+      ['readonly', this.handleReadOnly.bind(this)],
+      ['pin', this.handlePin.bind(this)],
+    ]);
+  }
+
+  /**
+   * Checks if a command name is a built-in moderator command.
+   * @param {string} commandName - The command name
+   * @returns {boolean} - True if built-in
+   */
+  isModeratorCommand(commandName) {
+    return this.handlers.has(commandName);
+  }
+
+  /**
+   * Processes built-in moderator commands in a message.
+   * @param {object} messageData - The processed message data
+   * @param {object} roomConfig - The room configuration
+   * @param {function} queueStanza - Function to queue stanzas
+   * @returns {Promise<boolean>} - True if a moderator command was handled, false otherwise
+   */
+  async processCommands(messageData, roomConfig, queueStanza) {
+    const { messageContent, roomId, messageAuthorGuid } = messageData;
+
+    const parsedCommand = this.commands.parseCommand(messageContent);
+    if (!parsedCommand || !this.isModeratorCommand(parsedCommand.name)) {
+      return false;
+    }
+
+    const allowed = await this.permissions.hasPermission(
+      roomId,
+      messageAuthorGuid,
+      'manager',
+    );
+    if (!allowed) {
+      botLog(
+        this.config.botId,
+        'verbose',
+        `[${roomId}] Ignored moderator command !${parsedCommand.name} from ${messageAuthorGuid} (not a manager)`,
+      );
+      return false;
+    }
+
+    botLog(
+      this.config.botId,
+      'log',
+      `[${roomId}] Moderator command !${parsedCommand.name} from ${messageAuthorGuid}`,
+    );
+
+    const handler = this.handlers.get(parsedCommand.name);
+    const result = await handler({
+      roomId,
+      roomConfig,
+      moderatorGuid: messageAuthorGuid,
+      args: parsedCommand.args,
+      rawArgs: parsedCommand.raw.substring(parsedCommand.name.length).trim(),
+      queueStanza,
+    });
+
+    if (result.reply) {
+      this.reply(roomId, result.reply, queueStanza);
+    }
+
+    if (result.details) {
+      this.discordWebhookManager.sendModeratorActionNotification(roomId, {
+        action: parsedCommand.name,
+        moderatorGuid: messageAuthorGuid,
+        targetGuid: result.targetGuid || null,
+        details: result.details,
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Sends a reply message to a room.
+   * @param {string} roomId - The room ID
+   * @param {string} message - The reply text
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  reply(roomId, message, queueStanza) {
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+    queueStanza(this.xmppActions.sendMessage(entityOrRoom, message));
+  }
+
+  /**
+   * Resolves the user argument of a command: a GUID or the nickname of a user
+   * who is in the room or wrote one of its recent messages, each optionally
+   * prefixed with "@" as in chat mentions.
+   * @param {string} roomId - The room ID
+   * @param {string} argument - The raw argument
+   * @returns {object} - { userGuid }, or { error } with the reply for the
+   *   moderator (null if the argument is missing)
+   */
+  resolveUserArgument(roomId, argument) {
+    if (typeof argument !== 'string' || argument === '') {
+      return { error: null };
+    }
+
+    const name = argument.startsWith('@') ? argument.substring(1) : argument;
+    if (USER_GUID_PATTERN.test(name)) {
+      return { userGuid: name.toLowerCase() };
+    }
+
+    const candidates = new Set([
+      ...this.stateManager.getRoomOccupants(roomId),
+      ...this.stateManager
+        .getRecentMessages(roomId)
+        .map((message) => message.messageAuthorGuid),
+    ]);
+    const matches = Array.from(candidates).filter(
+      (userGuid) =>
+        this.nicknameResolver.getCached(userGuid)?.toLowerCase() ===
+        name.toLowerCase(),
+    );
+
+    if (matches.length === 1) {
+      return { userGuid: matches[0] };
+    }
+    return {
+      error:
+        matches.length > 1
+          ? `Several users are called "${name}", use their GUID.`
+          : `No user "${name}" in this room. Use their nickname, @mention or GUID.`,
+    };
+  }
+
+  /**
+   * !mute <user> [duration] - Mutes a user (default 10 minutes).
+   */
+  async handleMute({ roomId, moderatorGuid, args }) {
+    const { userGuid: targetGuid, error } = this.resolveUserArgument(
+      roomId,
+      args[0],
+    );
+    const durationSeconds =
+      args[1] !== undefined
+        ? parseDurationSeconds(args[1])
+        : constants.moderation.moderatorMuteDuration;
+
+    if (error) {
+      return { reply: error };
+    }
+    if (!targetGuid || !durationSeconds) {
+      return { reply: 'Usage: !mute <user> [duration, e.g. 30s, 10m, 2h, 1d]' };
+    }
+
+    const muted = await this.moderation.muteUser(
+      targetGuid,
+      roomId,
+      durationSeconds,
+    );
+    this.moderation.recordAction(roomId, {
+      action: 'mute',
+      reason: 'moderator',
+      userGuid: targetGuid,
+      moderatorGuid,
+      durationSeconds,
+      success: muted,
+    });
+    if (!muted) {
+      return { reply: 'Failed to mute user.' };
+    }
+
+    return {
+      reply: `User muted for ${durationSeconds} seconds.`,
+      targetGuid,
+      details: `Muted for ${durationSeconds} seconds.`,
+    };
+  }
+
+  /**
+   * !unmute <user> - Lifts a user's mute.
+   */
+  async handleUnmute({ roomId, moderatorGuid, args }) {
+    const { userGuid: targetGuid, error } = this.resolveUserArgument(
+      roomId,
+      args[0],
+    );
+    if (!targetGuid) {
+      return { reply: error || 'Usage: !unmute <user>' };
+    }
+
+    const unmuted = await this.moderation.liftMute(targetGuid, roomId);
+    this.moderation.recordAction(roomId, {
+      action: 'unmute',
+      reason: 'moderator',
+      userGuid: targetGuid,
+      moderatorGuid,
+      success: unmuted,
+    });
+    if (!unmuted) {
+      return { reply: 'Failed to unmute user.' };
+    }
+
+    return {
+      reply: 'User unmuted.',
+      targetGuid,
+      details: 'Unmuted.',
+    };
+  }
+
+  /**
+   * !undo <user> [word or phrase] - Undoes the user's latest automated mute
+   * and optionally allowlists the word or phrase that caused it.
+   */
+  async handleUndo({ roomId, moderatorGuid, args }) {
+    const { userGuid: targetGuid, error } = this.resolveUserArgument(
+      roomId,
+      args[0],
+    );
+    if (!targetGuid) {
+      return {
+        reply: error || 'Usage: !undo <user> [word or phrase to allow]',
+      };
+    }
+
+    const allowedWord = args.slice(1).join(' ') || null;
+    const result = await this.moderation.undoLatestMute(roomId, targetGuid, {
+      moderatorGuid,
+      allowedWord,
+    });
+    if (!result.success) {
+      return { reply: result.message };
+    }
+
+    const allowlistNote = result.allowlisted
+      ? ` "${allowedWord}" is now allowed.`
+      : allowedWord
+        ? ` Failed to allow "${allowedWord}".`
+        : '';
+    return {
+      reply: `Mute undone.${allowlistNote}`,
+      targetGuid,
+      details: `Undid automated mute ${result.reversedActionId}.${allowlistNote}`,
+    };
+  }
+
+  /**
+   * !purge <user> [count] - Deletes the user's recent messages.
+   */
+  async handlePurge({ roomId, moderatorGuid, args }) {
+    const { userGuid: targetGuid, error } = this.resolveUserArgument(
+      roomId,
+      args[0],
+    );
+    const limit =
+      args[1] !== undefined
+        ? parseInt(args[1], 10)
+        : constants.moderation.recentMessageHistorySize;
+
+    if (error) {
+      return { reply: error };
+    }
+    if (!targetGuid || !Number.isInteger(limit) || limit <= 0) {
+      return { reply: 'Usage: !purge <user> [count]' };
+    }
+
+    const messages = this.stateManager
+      .getRecentMessages(roomId)
+      .filter((message) => message.messageAuthorGuid === targetGuid)
+      .slice(-limit);
+
+    let deletedCount = 0;
+    for (const message of messages) {
+      const deleted = await this.moderation.deleteMessage(
+        message.messageId,
+        targetGuid,
+        roomId,
+      );
+      this.moderation.recordAction(roomId, {
+        action: 'delete',
+        reason: 'moderator',
+        userGuid: targetGuid,
+        moderatorGuid,
+        messageId: message.messageId,
+        success: deleted,
+        details: 'Purge',
+      });
+      if (deleted) {
+        this.stateManager.removeRecentMessage(roomId, message.messageId);
+        deletedCount++;
+      }
+    }
+
+    return {
+      reply: `Deleted ${deletedCount} message(s).`,
+      targetGuid,
+      details: `Deleted ${deletedCount} of ${messages.length} recent message(s).`,
+    };
+  }
+
+  /**
+   * !readonly [on|off] - Sets or toggles read-only mode and persists it.
+   */
+  async handleReadOnly({ roomId, roomConfig, args }) {
+    const argument = (args[0] || '').toLowerCase();
+    let readOnly;
+    if (argument === 'on') {
+      readOnly = true;
+    } else if (argument === 'off') {
+      readOnly = false;
+    } else if (argument === '') {
+      readOnly = !roomConfig.read_only;
+    } else {
+      return { reply: 'Usage: !readonly [on|off]' };
+    }
+
+    // Apply at runtime first so moderation reacts immediately
+    const entity = this.stateManager.getEntity(roomId) || roomConfig;
+    this.stateManager.setEntity(roomId, { ...entity, read_only: readOnly });
+
+    try {
+      await postRequest(`${apiConfig.baseUrl}/entities/${roomId}/read-only`, {
+        read_only: readOnly,
+      });
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${roomId}] Failed to persist read-only mode: ${error.message}`,
+      );
+    }
+
+    return {
+      reply: `Read-only mode ${readOnly ? 'enabled' : 'disabled'}.`,
+      details: `Read-only mode ${readOnly ? 'enabled' : 'disabled'}.`,
+    };
+  }
+
+  /**
+   * !pin <text> - Posts an announcement and pins it.
+   */
+  async handlePin({ roomId, rawArgs, queueStanza }) {
+    if (!rawArgs) {
+      return { reply: 'Usage: !pin <text>' };
+    }
+
+    this.pinnedMessages.sendAndPin(
+      roomId,
+      rawArgs,
+      { durationMs: null },
+      queueStanza,
+    );
+
+    return { details: `Pinned announcement: ${rawArgs}` };
+  }
+}
+
+module.exports = ModeratorCommands;
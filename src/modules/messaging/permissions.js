@@ -0,0 +1,84 @@
+const { apiConfig, constants } = require('../../config');
+const { getRequest } = require('../../lib/http/client.js');
+const { botLog } = require('../../lib/utils');
+
+// Role hierarchy: a higher level includes every lower one
+const ROLE_LEVELS = new Map([
+  ['everyone', 0],
+  ['manager', 1],
+  ['admin', 2],
+]);
+
+/**
+ * Permissions module for resolving user roles and checking command access.
+ */
+class Permissions {
+  constructor(config, stateManager) {
+    this.config = config;
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * Normalizes a configured role name, defaulting to everyone.
+   * @param {string} role - The configured role
+   * @returns {string} - A known role name
+   */
+  normalizeRole(role) {
+    const normalized = typeof role === 'string' ? role.toLowerCase() : '';
+    return ROLE_LEVELS.has(normalized) ? normalized : 'everyone';
+  }
+
+  /**
+   * Resolves a user's role for an entity via the database API, with caching.
+   * Lookup failures resolve to everyone and are not cached.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<string>} - The user's role
+   */
+  async resolveRole(entityId, userGuid) {
+    const cachedRole = this.stateManager.getUserRole(entityId, userGuid);
+    if (cachedRole) {
+      return cachedRole;
+    }
+
+    try {
+      const result = await getRequest(
+        `${apiConfig.baseUrl}/entities/${entityId}/users/${userGuid}/role`,
+      );
+      const role = this.normalizeRole(result?.role);
+      this.stateManager.setUserRole(
+        entityId,
+        userGuid,
+        role,
+        constants.timing.userRoleCacheTtl,
+      );
+      return role;
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to resolve role for user ${userGuid}: ${error.message}`,
+      );
+      return 'everyone';
+    }
+  }
+
+  /**
+   * Checks whether a user has at least the required role for an entity.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @param {string} requiredRole - The minimum role (everyone, manager, admin)
+   * @returns {Promise<boolean>} - True if the user is allowed
+   */
+  async hasPermission(entityId, userGuid, requiredRole) {
+    const required = this.normalizeRole(requiredRole);
+    if (required === 'everyone') {
+      return true;
+    }
+
+    const role = await this.resolveRole(entityId, userGuid);
+    return ROLE_LEVELS.get(role) >= ROLE_LEVELS.get(required);
+  }
+}
+
+module.exports = Permissions;
@@ -0,0 +1,187 @@
+const { randomUUID } = require('crypto');
+
+const { constants } = require('../../config');
+const { botLog } = require('../../lib/utils');
+
+/**
+ * Pinned messages module for posting announcements that the bot pins, with
+ * optional expiry and a per-room limit on how many stay pinned.
+ */
+class PinnedMessages {
+  constructor(config, stateManager, xmppActions) {
+    this.config = config;
+    this.stateManager = stateManager;
+    this.xmppActions = xmppActions;
+  }
+
+  /**
+   * Posts a message and pins it once the server has assigned its stanza ID.
+   * @param {string} roomId - The room ID
+   * @param {string} text - The message text
+   * @param {object} options - Pin options
+   * @param {string|null} options.uploadId - Optional image upload ID
+   * @param {number|null} options.durationMs - Unpin after this long (null keeps it pinned)
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  sendAndPin(roomId, text, options, queueStanza) {
+    const { uploadId = null, durationMs = null } = options;
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+
+    const messageStanza = this.xmppActions.sendMessage(
+      entityOrRoom,
+      text,
+      uploadId,
+    );
+    const originId = `pin-${randomUUID()}`;
+    messageStanza.attrs.id = originId;
+
+    this.stateManager.addPendingPin(originId, {
+      roomId,
+      text,
+      durationMs,
+      expiresAt: Date.now() + constants.timing.pendingPinTimeout,
+    });
+    queueStanza(messageStanza);
+  }
+
+  /**
+   * Sends a timer message, posting and pinning it when the timer has `pin` set.
+   * @param {string} roomId - The room ID
+   * @param {object} timerConfig - The timer configuration
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  sendTimerMessage(roomId, timerConfig, queueStanza) {
+    const uploadId = timerConfig.upload_id || null;
+
+    if (timerConfig.pin) {
+      const durationMinutes = Number(timerConfig.pin_duration_minutes) || 0;
+      this.sendAndPin(
+        roomId,
+        timerConfig.message,
+        {
+          uploadId,
+          durationMs: durationMinutes > 0 ? durationMinutes * 60 * 1000 : null,
+        },
+        queueStanza,
+      );
+      return;
+    }
+
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+    queueStanza(
+      this.xmppActions.sendMessage(entityOrRoom, timerConfig.message, uploadId),
+    );
+  }
+
+  /**
+   * Handles the echo of a message sent by the bot and pins it if it was
+   * posted by sendAndPin().
+   * @param {object} stanza - The groupchat message stanza
+   * @param {function} queueStanza - Function to queue stanzas
+   * @returns {boolean} - True if the message was pinned
+   */
+  handleOwnMessage(stanza, queueStanza) {
+    const originId = stanza.attrs.id;
+    if (!originId || !originId.startsWith('pin-')) return false;
+
+    const pendingPin = this.stateManager.takePendingPin(originId);
+    if (!pendingPin) return false;
+
+    const stanzaId = stanza.getChild('stanza-id', 'urn:xmpp:sid:0')?.attrs.id;
+    if (!stanzaId) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${pendingPin.roomId}] Cannot pin announcement: echoed message has no stanza ID`,
+      );
+      return false;
+    }
+
+    this.pin(
+      pendingPin.roomId,
+      stanzaId,
+      pendingPin.text,
+      pendingPin.durationMs,
+      queueStanza,
+    );
+    return true;
+  }
+
+  /**
+   * Pins a message, first unpinning the oldest pins the bot made when the
+   * room is at the pinned message limit.
+   * @param {string} roomId - The room ID
+   * @param {string} messageId - The stanza ID of the message to pin
+   * @param {string} text - The message text
+   * @param {number|null} durationMs - Unpin after this long (null keeps it pinned)
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  pin(roomId, messageId, text, durationMs, queueStanza) {
+    const pinnedMessages = this.stateManager.getPinnedMessages(roomId);
+    const overflow =
+      pinnedMessages.length - constants.xmpp.maxPinnedMessages + 1;
+    for (const oldestPin of pinnedMessages.slice(0, Math.max(0, overflow))) {
+      this.unpin(roomId, oldestPin.messageId, queueStanza);
+    }
+
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+    queueStanza(this.xmppActions.pinMessage(entityOrRoom, messageId, text));
+
+    const now = Date.now();
+    this.stateManager.addPinnedMessage(roomId, {
+      messageId,
+      text,
+      pinnedAt: now,
+      expiresAt: durationMs ? now + durationMs : null,
+    });
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Pinned message ${messageId}${durationMs ? ` for ${Math.round(durationMs / 60000)} minutes` : ''}`,
+    );
+  }
+
+  /**
+   * Unpins a message the bot pinned.
+   * @param {string} roomId - The room ID
+   * @param {string} messageId - The stanza ID of the pinned message
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  unpin(roomId, messageId, queueStanza) {
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+    queueStanza(this.xmppActions.unpinMessage(entityOrRoom, messageId));
+    this.stateManager.removePinnedMessage(roomId, messageId);
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Unpinned message ${messageId}`,
+    );
+  }
+
+  /**
+   * Unpins every expired pin in rooms the bot is assigned to.
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  processExpiredPins(queueStanza) {
+    const now = Date.now();
+    for (const roomId of this.stateManager.getEntityKeys()) {
+      for (const pinnedMessage of this.stateManager.getPinnedMessages(roomId)) {
+        if (pinnedMessage.expiresAt && pinnedMessage.expiresAt <= now) {
+          this.unpin(roomId, pinnedMessage.messageId, queueStanza);
+        }
+      }
+    }
+  }
+}
+
+module.exports = PinnedMessages;
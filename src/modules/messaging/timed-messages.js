@@ -1,11 +1,14 @@
+const MessageScheduler = require('./message-scheduler.js');
+
 /**
  * Timed messages module for handling automated message sending based on message counts.
  */
 class TimedMessages {
-  constructor(config, stateManager, xmppActions) {
+  constructor(config, stateManager, xmppActions, pinnedMessages) {
     this.config = config;
     this.stateManager = stateManager;
     this.xmppActions = xmppActions;
+    this.pinnedMessages = pinnedMessages;
   }
 
   /**
@@ -18,29 +21,21 @@ class TimedMessages {
     // Increment message count
     const newCount = this.stateManager.incrementMessageCount(roomId);
 
+    // Interval and cron timers are sent by the message scheduler instead
+    const timers = (roomConfig.timers || []).filter(
+      (timerConfig) => !MessageScheduler.isScheduledTimer(timerConfig),
+    );
+
     // Check if we should send a timed message
-    if (
-      roomConfig.timers &&
-      roomConfig.timers.length > 0 &&
-      newCount > roomConfig.timer_counter_max
-    ) {
+    if (timers.length > 0 && newCount > roomConfig.timer_counter_max) {
       // Rotate through timer messages
       const nextTurn = this.stateManager.incrementAutoMessageTurn(
         roomId,
-        roomConfig.timers.length,
+        timers.length,
       );
 
-      const timerConfig = roomConfig.timers.at(nextTurn);
-      const timedMessage = timerConfig.message;
-      const uploadId = timerConfig.upload_id || null;
-
-      const entityOrRoom = this.stateManager.hasEntity(roomId)
-        ? this.stateManager.getEntity(roomId)
-        : roomId;
-
-      queueStanza(
-        this.xmppActions.sendMessage(entityOrRoom, timedMessage, uploadId),
-      );
+      const timerConfig = timers.at(nextTurn);
+      this.pinnedMessages.sendTimerMessage(roomId, timerConfig, queueStanza);
 
       // Reset message count
       this.stateManager.resetMessageCount(roomId);
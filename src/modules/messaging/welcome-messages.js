@@ -0,0 +1,141 @@
+const { constants } = require('../../config');
+const { botLog } = require('../../lib/utils');
+const { renderTemplate } = require('../../lib/utils/templates.js');
+
+/**
+ * Welcome messages module for greeting users when they join a room.
+ */
+class WelcomeMessages {
+  constructor(config, stateManager, xmppActions, idManager, nicknameResolver) {
+    this.config = config;
+    this.stateManager = stateManager;
+    this.xmppActions = xmppActions;
+    this.idManager = idManager;
+    this.nicknameResolver = nicknameResolver;
+  }
+
+  /**
+   * Extracts join/leave information from a room presence stanza.
+   * @param {object} stanza - The presence stanza
+   * @returns {object|null} - { roomJid, roomId, userGuid, available } or null if not a room occupant presence
+   */
+  parsePresence(stanza) {
+    const from = stanza.attrs.from;
+    if (!from || stanza.attrs.type === 'error') return null;
+
+    // Ignore presence delivered from history
+    if (stanza.getChild('delay', 'urn:xmpp:delay')) {
+      return null;
+    }
+
+    const [roomJid, occupantJid] = from.split('/');
+    const userGuid = occupantJid ? occupantJid.split('@')[0] : null;
+
+    // Ignore presence without an occupant and presence of the bot itself
+    if (
+      !userGuid ||
+      userGuid === this.stateManager.getBotCredentials()?.bot_guid
+    ) {
+      return null;
+    }
+
+    return {
+      roomJid,
+      roomId: this.idManager.fromJid(roomJid),
+      userGuid,
+      available: stanza.attrs.type !== 'unavailable',
+    };
+  }
+
+  /**
+   * Gets the dedupe window for an entity in milliseconds.
+   * @param {object} roomConfig - The room configuration
+   * @returns {number} - Dedupe window in milliseconds
+   */
+  getDedupeWindowMs(roomConfig) {
+    const rawSeconds = roomConfig.welcome_dedupe_seconds;
+    // Number(null) and Number('') are 0, which would turn deduping off
+    const seconds =
+      rawSeconds === null || rawSeconds === undefined || rawSeconds === ''
+        ? NaN
+        : Number(rawSeconds);
+    return Number.isFinite(seconds) && seconds >= 0
+      ? seconds * 1000
+      : constants.timing.welcomeDedupeWindow;
+  }
+
+  /**
+   * Processes a presence stanza: looks up the nicknames of new occupants and
+   * sends the room's welcome message when a user joins. Occupant lists
+   * received right after tracking starts, status updates from present users
+   * and rejoins within the dedupe window are not welcomed. The <nick> of a
+   * presence is set by the user's client, so it is not used.
+   * @param {object} stanza - The presence stanza
+   * @param {function} queueStanza - Function to queue stanzas
+   * @returns {Promise<boolean>} - True if a welcome message was sent, false otherwise
+   */
+  async processPresence(stanza, queueStanza) {
+    const presence = this.parsePresence(stanza);
+    if (!presence) return false;
+
+    const { roomId, userGuid, available } = presence;
+
+    const roomConfig = this.stateManager.getEntity(roomId);
+    if (!roomConfig) return false;
+
+    if (!available) {
+      this.stateManager.removeRoomOccupant(roomId, userGuid);
+      return false;
+    }
+
+    const isNewOccupant = this.stateManager.addRoomOccupant(roomId, userGuid);
+    if (!isNewOccupant) {
+      return false;
+    }
+
+    // Moderator commands match the nicknames of occupants, so have them ready
+    const nicknameLookup = this.nicknameResolver.resolve(userGuid);
+    if (!roomConfig.welcome_message) {
+      return false;
+    }
+
+    const trackingSince =
+      this.stateManager.getRoomPresenceTrackingStart(roomId);
+    const now = Date.now();
+    if (now - trackingSince < constants.timing.welcomeJoinGracePeriod) {
+      return false;
+    }
+
+    if (this.stateManager.getWelcomeExpiry(roomId, userGuid) > now) {
+      botLog(
+        this.config.botId,
+        'verbose',
+        `[${roomId}] Skipped welcome for ${userGuid} (already welcomed recently)`,
+      );
+      return false;
+    }
+
+    this.stateManager.setWelcomeExpiry(
+      roomId,
+      userGuid,
+      now + this.getDedupeWindowMs(roomConfig),
+    );
+
+    const welcomeMessage = renderTemplate(roomConfig.welcome_message, {
+      user: (await nicknameLookup) || userGuid,
+      user_guid: userGuid,
+      room: roomConfig.name || roomId,
+    });
+
+    queueStanza(this.xmppActions.sendMessage(roomConfig, welcomeMessage));
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Sent welcome message to ${userGuid}`,
+    );
+    return true;
+  }
+}
+
+module.exports = WelcomeMessages;
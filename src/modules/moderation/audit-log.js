@@ -0,0 +1,114 @@
+const { apiConfig } = require('../../config');
+const { getRequest, postRequest } = require('../../lib/http/client.js');
+const { botLog } = require('../../lib/utils');
+
+// Longer messages are truncated in the audit log
+const MAX_LOGGED_MESSAGE_LENGTH = 2000;
+// Recent mutes searched when undoing a user's latest automated mute
+const RECENT_MUTE_LOOKUP_LIMIT = 20;
+
+/**
+ * Moderation audit log that records every moderation action in the
+ * moderation_actions table through the database API.
+ */
+class ModerationAuditLog {
+  constructor(config, nicknameResolver) {
+    this.config = config;
+    this.nicknameResolver = nicknameResolver;
+  }
+
+  /**
+   * Records a moderation action with the nicknames of the user and moderator
+   * as they are at the time. Failures are logged and never interrupt
+   * moderation.
+   * @param {string} entityId - The entity ID
+   * @param {object} entry - The action
+   * @param {string} entry.action - What was done (delete, mute, unmute, warn or detect)
+   * @param {string} entry.reason - Why (banned_word, link, spam, read_only, moderator or undo)
+   * @param {string|null} entry.userGuid - The affected user
+   * @param {string|null} entry.moderatorGuid - The moderator, or null for automatic actions
+   * @param {string|null} entry.messageId - The affected message
+   * @param {string|null} entry.messageContent - The affected message text
+   * @param {number|null} entry.durationSeconds - Mute duration
+   * @param {boolean} entry.success - Whether the action succeeded
+   * @param {string|null} entry.details - Human readable outcome
+   * @param {number|null} entry.reversesActionId - The action an undo reverses
+   * @param {string|null} entry.matchedWord - The banned word that matched
+   * @param {string|null} entry.severity - The matched word's severity (mild, severe or slur)
+   * @returns {Promise<number|null>} - The action ID or null if recording failed
+   */
+  async record(entityId, entry) {
+    try {
+      const [userNickname, moderatorNickname] = await Promise.all([
+        this.nicknameResolver.resolve(entry.userGuid),
+        this.nicknameResolver.resolve(entry.moderatorGuid),
+      ]);
+      const result = await postRequest(
+        `${apiConfig.baseUrl}/entities/${entityId}/moderation-actions`,
+        {
+          action: entry.action,
+          reason: entry.reason,
+          user_guid: entry.userGuid || null,
+          user_nickname: userNickname,
+          moderator_guid: entry.moderatorGuid || null,
+          moderator_nickname: moderatorNickname,
+          message_id: entry.messageId || null,
+          message_content:
+            typeof entry.messageContent === 'string'
+              ? entry.messageContent.substring(0, MAX_LOGGED_MESSAGE_LENGTH)
+              : null,
+          duration_seconds: entry.durationSeconds ?? null,
+          success: entry.success !== false,
+          details: entry.details || null,
+          reverses_action_id: entry.reversesActionId ?? null,
+          matched_word: entry.matchedWord || null,
+          severity: entry.severity || null,
+        },
+      );
+      return result?.action_id ?? null;
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to record ${entry.action} in moderation audit log: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Fetches a recorded action.
+   * @param {string} entityId - The entity ID
+   * @param {number|string} actionId - The action ID
+   * @returns {Promise<object|null>} - The action as stored, or null if it does not exist
+   */
+  async getAction(entityId, actionId) {
+    try {
+      return await getRequest(
+        `${apiConfig.baseUrl}/entities/${entityId}/moderation-actions/${actionId}`,
+      );
+    } catch (error) {
+      if (error.message.includes('404')) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Finds a user's most recent successful automated mute.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<object|null>} - The mute action or null if there is none
+   */
+  async findLatestAutomatedMute(entityId, userGuid) {
+    const result = await getRequest(
+      `${apiConfig.baseUrl}/entities/${entityId}/moderation-log?user_guid=${encodeURIComponent(userGuid)}&action=mute&limit=${RECENT_MUTE_LOOKUP_LIMIT}`,
+    );
+    return (
+      result?.actions?.find(
+        (action) => !action.moderator_guid && action.success,
+      ) || null
+    );
+  }
+}
+
+module.exports = ModerationAuditLog;
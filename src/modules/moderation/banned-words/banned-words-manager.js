@@ -1,14 +1,23 @@
 const { getRequest } = require('../../../lib/http/client.js');
 const { botLog } = require('../../../lib/utils');
-const { parseJsonField } = require('../../../lib/utils/parsers');
+const { parseGuidList, parseJsonField } = require('../../../lib/utils/parsers');
 const {
   isValidArray,
   isSafeWordString,
   sanitizeStringArray,
 } = require('../../../lib/utils/validation.js');
+const {
+  DEFAULT_SEVERITY,
+  isValidSeverity,
+  parseWordPatterns,
+  withDefaultSeverity,
+} = require('../../../lib/utils/word-patterns.js');
 
 const SmartWordFilter = require('./smart-word-filter.js');
 
+// Invalid entries named in the log when a word list is loaded
+const MAX_LOGGED_INVALID_WORDS = 5;
+
 /**
  * Banned words manager using custom smart word filter
  */
@@ -22,8 +31,11 @@ class BannedWordsManager {
 
     // Preset word lists (shared across entities)
     this.presetWords = new Map(); // presetId -> word array
-    this.entityConfigs = new Map(); // entityId -> { presetId, customWords, enabled }
-    this.usedPresetIds = new Set();
+    this.entityConfigs = new Map(); // entityId -> { presetIds, customWords, allowedWords, managerGuids, exemptUserGuids, enabled }
+    this.presetRefCounts = new Map(); // presetId -> number of entities using it
+
+    // Word lists compiled per entity, rebuilt after config or preset changes
+    this.compiledMatchers = new Map(); // entityId -> output of wordFilter.compile()
   }
 
   /**
@@ -39,16 +51,7 @@ class BannedWordsManager {
         return; // Preset not found - skip silently
       }
 
-      // Normalize JSON words (may be an array already or a JSON string)
-      const rawWords = Array.isArray(preset.words)
-        ? preset.words
-        : typeof preset.words === 'string'
-          ? parseJsonField(preset.words, [])
-          : [];
-
-      // Validate and sanitize words for safe RegExp usage
-      const words = this.validateAndSanitizeWords(rawWords);
-
+      const words = this.getPresetWordList(preset);
       this.presetWords.set(presetId, words);
 
       botLog(
@@ -68,17 +71,105 @@ class BannedWordsManager {
     }
   }
 
+  /**
+   * Get a preset's valid entries, with the preset's severity applied to
+   * entries that do not have their own
+   * @param {object} preset - The preset as returned by fetchPreset()
+   * @returns {Array<string>} - The entries
+   */
+  getPresetWordList(preset) {
+    // Normalize JSON words (may be an array already or a JSON string)
+    const rawWords = parseJsonField(preset.words, []);
+
+    // Drop entries that do not follow the word pattern grammar
+    const words = this.validateAndSanitizeWords(
+      Array.isArray(rawWords) ? rawWords : [],
+      `preset ${preset.preset_id} (${preset.preset_name})`,
+    );
+
+    const severity = isValidSeverity(preset.severity)
+      ? preset.severity
+      : DEFAULT_SEVERITY;
+    return words.map((word) => withDefaultSeverity(word, severity));
+  }
+
+  /**
+   * Collect the presets an entity uses: banned_words_preset_id and the
+   * banned_words_preset_ids list (e.g. one preset per language)
+   * @param {object} profanityConfig - The profanity filter config
+   * @returns {Array<number>} - Distinct preset IDs
+   */
+  getPresetIds(profanityConfig) {
+    const presetIdList = parseJsonField(
+      profanityConfig.banned_words_preset_ids,
+      [],
+    );
+    const rawIds = [
+      profanityConfig.banned_words_preset_id,
+      ...(Array.isArray(presetIdList) ? presetIdList : []),
+    ];
+
+    return [
+      ...new Set(
+        rawIds
+          .map((presetId) => parseInt(presetId, 10))
+          .filter((presetId) => presetId > 0),
+      ),
+    ];
+  }
+
+  /**
+   * Count an entity as a user of presets, loading them if needed
+   * @param {Array<number>} presetIds - The preset IDs
+   */
+  async acquirePresets(presetIds) {
+    for (const presetId of presetIds) {
+      this.presetRefCounts.set(
+        presetId,
+        (this.presetRefCounts.get(presetId) || 0) + 1,
+      );
+    }
+    await Promise.all(
+      presetIds.map((presetId) => this.initializePreset(presetId)),
+    );
+  }
+
+  /**
+   * Stop counting an entity as a user of presets, unloading presets that no
+   * entity uses anymore
+   * @param {Array<number>} presetIds - The preset IDs
+   */
+  releasePresets(presetIds) {
+    for (const presetId of presetIds) {
+      const refCount = (this.presetRefCounts.get(presetId) || 0) - 1;
+      if (refCount > 0) {
+        this.presetRefCounts.set(presetId, refCount);
+        continue;
+      }
+
+      this.presetRefCounts.delete(presetId);
+      this.presetWords.delete(presetId);
+
+      botLog(
+        this.config.botId,
+        'verbose',
+        `Unloaded unused preset ${presetId} (loaded presets: ${this.presetWords.size})`,
+      );
+    }
+  }
+
   /**
    * Configure entity with profanity filter config
    */
   async configureEntity(entityId, profanityConfig) {
     if (!profanityConfig || !profanityConfig.is_active) {
-      this.entityConfigs.delete(entityId);
+      this.cleanupEntity(entityId);
       return;
     }
 
-    const presetId = profanityConfig.banned_words_preset_id;
+    const presetIds = this.getPresetIds(profanityConfig);
     let customWords = [];
+    let allowedWords = [];
     let managerGuids = [];
 
     // Normalize custom words (may be an array already or a JSON string)
@@ -89,8 +180,19 @@ class BannedWordsManager {
       } else if (typeof profanityConfig.custom_words === 'string') {
         rawCustomWords = parseJsonField(profanityConfig.custom_words, []);
       }
-      // Validate and sanitize custom words for safe RegExp usage
-      customWords = this.validateAndSanitizeWords(rawCustomWords);
+      // Drop entries that do not follow the word pattern grammar
+      customWords = this.validateAndSanitizeWords(
+        rawCustomWords,
+        `the custom words of entity ${entityId}`,
+      );
+    }
+
+    // Allowlisted words and phrases are removed from messages before matching
+    if (profanityConfig.allowed_words) {
+      allowedWords = sanitizeStringArray(
+        parseJsonField(profanityConfig.allowed_words, []),
+        isSafeWordString,
+      );
     }
 
     // Get manager GUIDs
@@ -98,54 +200,82 @@ class BannedWordsManager {
       managerGuids = profanityConfig.manager_guids;
     }
 
-    // Load preset if specified
-    if (presetId) {
-      await this.initializePreset(presetId);
-      this.usedPresetIds.add(presetId);
+    // Load the new presets before releasing the previous ones, so presets
+    // kept across a config change are not unloaded and fetched again
+    const previousConfig = this.entityConfigs.get(entityId);
+    await this.acquirePresets(presetIds);
+    if (previousConfig) {
+      this.releasePresets(previousConfig.presetIds);
     }
 
     const config = {
-      presetId,
+      presetIds,
       customWords,
+      allowedWords,
       managerGuids,
+      exemptUserGuids: parseGuidList(profanityConfig.exempt_user_guids),
       enabled: profanityConfig.is_active !== false,
     };
 
     this.entityConfigs.set(entityId, config);
+    this.compiledMatchers.delete(entityId);
 
-    const totalWords =
-      (presetId ? this.presetWords.get(presetId)?.length || 0 : 0) +
-      customWords.length;
+    const totalWords = presetIds.reduce(
+      (total, presetId) =>
+        total + (this.presetWords.get(presetId)?.length || 0),
+      customWords.length,
+    );
 
     botLog(
       this.config.botId,
       'verbose',
-      `Configured entity ${entityId} with ${totalWords} total words (preset: ${presetId || 'none'}, custom: ${customWords.length}, managers: ${managerGuids.length})`,
+      `Configured entity ${entityId} with ${totalWords} total words (presets: ${presetIds.join(', ') || 'none'}, custom: ${customWords.length}, allowed: ${allowedWords.length}, managers: ${managerGuids.length}, exempt users: ${config.exemptUserGuids.length})`,
     );
   }
 
   /**
    * Check message for banned words with manager exemption
+   * @param {string} message - The message to check
+   * @param {string} entityId - The entity ID
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @returns {object|null} - { word, severity } of the most severe match, or null
    */
   checkBannedWords(message, entityId, messageAuthorGuid) {
     // Input validation
-    if (!message || typeof message !== 'string') return false;
-    if (!entityId || typeof entityId !== 'string') return false;
+    if (!message || typeof message !== 'string') return null;
+    if (!entityId || typeof entityId !== 'string') return null;
     if (!messageAuthorGuid || typeof messageAuthorGuid !== 'string')
-      return false;
+      return null;
 
     const config = this.entityConfigs.get(entityId);
-    if (!config || !config.enabled) return false;
+    if (!config || !config.enabled) return null;
 
-    // Check if author is exempt (manager or bot)
+    // Check if author is exempt (bot, manager or exempt user)
     if (this.isAuthorExempt(entityId, messageAuthorGuid)) {
-      return false;
+      return null;
     }
 
-    // Get preset words
-    const presetWords = config.presetId
-      ? this.presetWords.get(config.presetId) || []
-      : [];
+    const match = this.wordFilter.findBannedWord(
+      message,
+      this.getCompiledMatcher(entityId, config),
+    );
+    return match && { word: match.word, severity: match.severity };
+  }
+
+  /**
+   * Get the entity's compiled word lists, compiling them on first use
+   * @param {string} entityId - The entity ID
+   * @param {object} config - The entity config
+   * @returns {object} - Output of wordFilter.compile()
+   */
+  getCompiledMatcher(entityId, config) {
+    let compiled = this.compiledMatchers.get(entityId);
+    if (compiled) return compiled;
+
+    // Get the words of all the entity's presets
+    const presetWords = config.presetIds.flatMap(
+      (presetId) => this.presetWords.get(presetId) || [],
+    );
 
     // Combine preset and custom words
     const allBannedWords = this.wordFilter.combineWordLists(
@@ -153,8 +283,32 @@ class BannedWordsManager {
       config.customWords,
     );
 
-    // Check message
-    return this.wordFilter.checkBannedWords(message, allBannedWords);
+    compiled = this.wordFilter.compile(allBannedWords, config.allowedWords);
+    this.compiledMatchers.set(entityId, compiled);
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `Compiled ${compiled.wordCount} banned words for entity ${entityId}`,
+    );
+    return compiled;
+  }
+
+  /**
+   * Drop compiled word lists so they are rebuilt on next use
+   * @param {number|null} presetId - Only entities using this preset, or all if null
+   */
+  invalidateCompiledMatchers(presetId = null) {
+    if (presetId === null) {
+      this.compiledMatchers.clear();
+      return;
+    }
+
+    for (const [entityId, config] of this.entityConfigs) {
+      if (config.presetIds.includes(presetId)) {
+        this.compiledMatchers.delete(entityId);
+      }
+    }
   }
 
   /**
@@ -184,34 +338,24 @@ class BannedWordsManager {
       return true;
     }
 
+    // Users exempted by the entity (sponsors, casters) are exempt
+    if (config.exemptUserGuids.includes(messageAuthorGuid.toLowerCase())) {
+      return true;
+    }
+
     return false;
   }
 
   /**
-   * Clean up entity and potentially unload unused presets
+   * Clean up entity and unload presets no other entity uses
    */
   cleanupEntity(entityId) {
+    this.compiledMatchers.delete(entityId);
+
     const config = this.entityConfigs.get(entityId);
     if (config) {
       this.entityConfigs.delete(entityId);
-
-      // Check if preset is still used
-      if (config.presetId) {
-        const stillUsed = Array.from(this.entityConfigs.values()).some(
-          (entityConfig) => entityConfig.presetId === config.presetId,
-        );
-
-        if (!stillUsed) {
-          this.presetWords.delete(config.presetId);
-          this.usedPresetIds.delete(config.presetId);
-
-          botLog(
-            this.config.botId,
-            'verbose',
-            `Unloaded unused preset ${config.presetId} (loaded presets: ${this.presetWords.size})`,
-          );
-        }
-      }
+      this.releasePresets(config.presetIds);
     }
   }
 
@@ -220,10 +364,11 @@ class BannedWordsManager {
    */
   clearCompiledPatterns() {
     this.wordFilter.clearCompiledPatterns();
+    this.invalidateCompiledMatchers();
     botLog(
       this.config.botId,
       'verbose',
-      'Cleared all compiled regex patterns for memory management',
+      'Cleared all compiled word lists for memory management',
     );
   }
 
@@ -250,18 +395,7 @@ class BannedWordsManager {
       const preset = await this.fetchPreset(numericPresetId);
 
       if (preset) {
-        // Normalize JSON words
-        const words = Array.isArray(preset.words)
-          ? preset.words
-          : typeof preset.words === 'string'
-            ? (() => {
-                try {
-                  return JSON.parse(preset.words);
-                } catch {
-                  return [];
-                }
-              })()
-            : [];
+        const words = this.getPresetWordList(preset);
 
         // Update the cached preset
         this.presetWords.set(numericPresetId, words);
@@ -272,14 +406,13 @@ class BannedWordsManager {
           `Refreshed preset ${presetId} (${preset.preset_name}) with ${words.length} words`,
         );
 
-        // Clear compiled patterns to force recompilation with new words
-        this.wordFilter.clearCompiledPatterns();
+        // Recompile entities using this preset with the new words
+        this.invalidateCompiledMatchers(numericPresetId);
 
         return true;
       } else {
         // Preset no longer exists, remove from cache
         this.presetWords.delete(numericPresetId);
-        this.usedPresetIds.delete(numericPresetId);
 
         botLog(
           this.config.botId,
@@ -287,8 +420,8 @@ class BannedWordsManager {
           `Removed non-existent preset ${presetId} from cache`,
         );
 
-        // Clear compiled patterns to force recompilation
-        this.wordFilter.clearCompiledPatterns();
+        // Recompile entities that used this preset without it
+        this.invalidateCompiledMatchers(numericPresetId);
 
         return true;
       }
@@ -329,18 +462,7 @@ class BannedWordsManager {
         const preset = await this.fetchPreset(presetId);
 
         if (preset) {
-          // Normalize JSON words
-          const words = Array.isArray(preset.words)
-            ? preset.words
-            : typeof preset.words === 'string'
-              ? (() => {
-                  try {
-                    return JSON.parse(preset.words);
-                  } catch {
-                    return [];
-                  }
-                })()
-              : [];
+          const words = this.getPresetWordList(preset);
 
           // Update the cached preset
           this.presetWords.set(presetId, words);
@@ -353,7 +475,6 @@ class BannedWordsManager {
         } else {
           // Preset no longer exists, remove from cache
           this.presetWords.delete(presetId);
-          this.usedPresetIds.delete(presetId);
 
           botLog(
             this.config.botId,
@@ -370,8 +491,9 @@ class BannedWordsManager {
       }
     }
 
-    // Clear compiled patterns to force recompilation with new words
+    // Recompile all entities with the new words
     this.wordFilter.clearCompiledPatterns();
+    this.invalidateCompiledMatchers();
 
     botLog(
       this.config.botId,
@@ -395,6 +517,7 @@ class BannedWordsManager {
         preset_name: preset.preset_name,
         preset_description: preset.preset_description,
         language: preset.language,
+        severity: preset.severity,
         words: preset.words,
       };
     } catch (error) {
@@ -414,55 +537,29 @@ class BannedWordsManager {
   }
 
   /**
-   * Validate and sanitize words for safe RegExp usage
-   * Supports international characters for multilingual profanity filtering
-   * @param {Array} words - Array of words to validate
-   * @returns {Array} - Array of safe words
+   * Validate banned word entries against the word pattern grammar
+   * (wildcards, phrases, whole message entries; see word-patterns.js)
+   * @param {Array} words - Array of entries to validate
+   * @param {string} source - Where the entries come from, for the log
+   * @returns {Array} - Array of valid entries
    */
-  validateAndSanitizeWords(words) {
+  validateAndSanitizeWords(words, source) {
     if (!isValidArray(words)) return [];
 
-    const filteredWords = sanitizeStringArray(words, (word) => {
-      // Check basic string validity and safe character set
-      if (!isSafeWordString(word)) return false;
-
-      // Check for dangerous RegExp patterns
-      if (this.containsDangerousRegexPatterns(word)) return false;
-
-      return true;
-    });
+    const { errors } = parseWordPatterns(words);
+    if (errors.length === 0) return words;
 
-    if (filteredWords.length !== words.length) {
-      botLog(
-        this.config.botId,
-        'verbose',
-        `Filtered ${words.length - filteredWords.length} invalid words from ${words.length} total words`,
-      );
-    }
-
-    return filteredWords;
-  }
-
-  /**
-   * Check if a word contains potentially dangerous RegExp patterns
-   * @param {string} word - Word to check
-   * @returns {boolean} - True if contains dangerous patterns
-   */
-  containsDangerousRegexPatterns(word) {
-    // Check for catastrophic backtracking patterns
-    const dangerousPatterns = [
-      /\(\?=/g, // Lookahead
-      /\(\?!/g, // Negative lookahead
-      /\(\?<=/g, // Lookbehind
-      /\(\?<!/g, // Negative lookbehind
-      /\{\d+,\}/g, // Unbounded quantifiers
-      /\+\+/g, // Nested quantifiers
-      /\*\*/g, // Nested quantifiers
-      /\(\.\*\)/g, // Greedy dot-star in groups
-      /\(\.\+\)/g, // Greedy dot-plus in groups
-    ];
+    // Skipped entries are not matched at all, so name them
+    const shown = errors.slice(0, MAX_LOGGED_INVALID_WORDS);
+    const more = errors.length - shown.length;
+    botLog(
+      this.config.botId,
+      'warn',
+      `Skipped ${errors.length} of ${words.length} banned words from ${source}: ${shown.map(({ error }) => error).join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`,
+    );
 
-    return dangerousPatterns.some((pattern) => pattern.test(word));
+    const invalidIndexes = new Set(errors.map(({ index }) => index));
+    return words.filter((_, index) => !invalidIndexes.has(index));
   }
 }
 
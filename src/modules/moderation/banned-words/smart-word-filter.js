@@ -1,147 +1,277 @@
+const {
+  collapseElongatedLetters,
+  collapseRepeatedLetters,
+  foldMixedScriptConfusables,
+  joinDottedLetters,
+  stripCombiningMarks,
+} = require('../../../lib/utils/text-normalization.js');
 const {
   isValidString,
   isValidArray,
 } = require('../../../lib/utils/validation.js');
+const {
+  DEFAULT_SEVERITY,
+  SEVERITIES,
+  getSeverityRank,
+  matchesTokens,
+  parseWordPattern,
+  tokenize,
+} = require('../../../lib/utils/word-patterns.js');
+
+const WordMatcher = require('./word-matcher.js');
 
 /**
  * Smart word filter that prioritizes avoiding false positives
  */
 class SmartWordFilter {
   constructor() {
-    this.wordBoundaryRegex = /\b\w+\b/g;
-    this.compiledPatterns = new Map(); // bannedWord -> compiled patterns
+    this.normalizedWords = new Map(); // word -> normalized word
   }
 
   /**
-   * Check if message contains banned words with smart detection
-   * @param {string} message - The message to check
-   * @param {Array} bannedWords - Array of banned words
-   * @returns {boolean} - True if banned word detected
+   * Normalize text for matching: NFKC, lowercase, invisible characters
+   * removed, look-alike letters in mixed-script words folded to Latin and
+   * combining marks stripped
+   * @param {string} text - The text to normalize
+   * @returns {string} - Normalized text
    */
-  checkBannedWords(message, bannedWords) {
-    // Input validation
-    if (!isValidString(message)) return false;
-    if (!isValidArray(bannedWords, 1)) return false;
-
-    const lowerMessage = message.toLowerCase();
-
-    // Check each banned word against the message
-    for (const bannedWord of bannedWords) {
-      if (!isValidString(bannedWord)) continue;
+  normalizeText(text) {
+    return stripCombiningMarks(foldMixedScriptConfusables(text));
+  }
 
-      if (this.isWordPresent(lowerMessage, bannedWord.toLowerCase())) {
-        return true;
-      }
+  /**
+   * Normalize a banned or allowed word, cached because word lists are
+   * checked against every message
+   * @param {string} word - The word to normalize
+   * @returns {string} - Normalized word
+   */
+  normalizeWord(word) {
+    let normalized = this.normalizedWords.get(word);
+    if (normalized === undefined) {
+      normalized = this.normalizeText(word).trim();
+      this.normalizedWords.set(word, normalized);
     }
+    return normalized;
+  }
 
-    return false;
+  /**
+   * Get the variants of a normalized message to check: as is, with letters
+   * repeated three or more times collapsed to two ("asssss") and collapsed to
+   * their likeliest spelling ("fuuuuck", but "goooood" stays "good")
+   * @param {string} normalizedMessage - Output of normalizeText()
+   * @returns {Array<string>} - Distinct variants
+   */
+  getMessageVariants(normalizedMessage) {
+    return [
+      ...new Set([
+        normalizedMessage,
+        collapseRepeatedLetters(normalizedMessage, 2),
+        collapseElongatedLetters(normalizedMessage),
+      ]),
+    ];
   }
 
   /**
-   * Check if a banned word is present in the message
-   * @param {string} lowerMessage - Lowercase message
-   * @param {string} bannedWord - Banned word to check
-   * @returns {boolean} - True if word is detected
+   * Remove whitespace and the dots of dotted single letters, so that spaced
+   * and dotted evasions ("f u c k", "f.u.c.k") read as the plain word. Other
+   * dots are kept, so "go.d" does not read as "god".
+   * @param {string} text - Normalized text
+   * @returns {string} - Text without whitespace and dotted letters joined
    */
-  isWordPresent(lowerMessage, bannedWord) {
-    // Direct word boundary match (most reliable and fastest)
-    if (this.hasWordBoundaryMatch(lowerMessage, bannedWord)) {
-      return true;
-    }
+  toSkeleton(text) {
+    return joinDottedLetters(text).replace(/\s+/g, '');
+  }
 
-    // Check for common evasion patterns (only if word boundary fails)
-    if (this.hasEvasionPattern(lowerMessage, bannedWord)) {
-      return true;
-    }
+  /**
+   * Create the texts to search for a banned word: the word itself and its
+   * common evasions (vowels replaced by asterisks, number substitutions)
+   * @param {string} normalizedWord - Output of normalizeWord()
+   * @returns {Array<string>} - Distinct pattern texts
+   */
+  createPatternTexts(normalizedWord) {
+    // Asterisk substitution: "f*ck" (very common)
+    const asterisk = normalizedWord.replace(/[aeiou]/g, '*');
+
+    // Common number substitutions: "f4ck" (common)
+    const leetspeak = normalizedWord
+      .replace(/a/g, '4')
+      .replace(/e/g, '3')
+      .replace(/i/g, '1')
+      .replace(/o/g, '0')
+      .replace(/s/g, '5');
 
-    return false;
+    return [
+      ...new Set(
+        [normalizedWord, asterisk, leetspeak].map((text) =>
+          this.toSkeleton(text),
+        ),
+      ),
+    ].filter(Boolean);
   }
 
   /**
-   * Check for word boundary matches using pre-compiled patterns
-   * @param {string} message - Lowercase message
-   * @param {string} bannedWord - Banned word to check
-   * @returns {boolean} - True if word boundary match found
+   * Compile banned and allowed words into a matcher that checks a message in
+   * a single pass. Compile once per word list and reuse it for every message.
+   * Wildcard, phrase and whole message entries (see word-patterns.js) are
+   * kept as token patterns; invalid entries are skipped.
+   * @param {Array} bannedWords - Array of banned words
+   * @param {Array} allowedWords - Allowlisted words and phrases
+   * @returns {object} - { matcher, tokenPatterns, allowedPattern, wordCount }
    */
-  hasWordBoundaryMatch(message, bannedWord) {
-    // Get or create compiled pattern
-    let pattern = this.compiledPatterns.get(bannedWord);
-    if (!pattern) {
-      // bannedWord comes from controlled database source and is escaped
-      pattern = this._createSafeRegExp(`\\b${this.escapeRegex(bannedWord)}\\b`);
-      if (!pattern) {
-        // Skip invalid regex patterns
-        return false;
+  compile(bannedWords, allowedWords = []) {
+    const patterns = [];
+    const tokenPatterns = [];
+    let wordCount = 0;
+
+    if (isValidArray(bannedWords)) {
+      for (const bannedWord of bannedWords) {
+        if (!isValidString(bannedWord)) continue;
+
+        const { pattern } = parseWordPattern(bannedWord);
+        if (!pattern) continue;
+
+        const severity = pattern.severity || DEFAULT_SEVERITY;
+        const match = {
+          word: pattern.text,
+          severity,
+          rank: getSeverityRank(severity),
+        };
+
+        if (pattern.type === 'tokens') {
+          tokenPatterns.push(this.normalizeTokenPattern(pattern, match));
+          wordCount++;
+          continue;
+        }
+
+        const normalizedWord = this.normalizeWord(pattern.text);
+        if (!normalizedWord) continue;
+
+        wordCount++;
+        for (const text of this.createPatternTexts(normalizedWord)) {
+          patterns.push({ text, match });
+        }
       }
-      this.compiledPatterns.set(bannedWord, pattern);
     }
 
-    return pattern.test(message);
+    // Most severe first, so the first token pattern that matches is the worst
+    tokenPatterns.sort((a, b) => b.match.rank - a.match.rank);
+
+    return {
+      matcher: new WordMatcher(patterns),
+      tokenPatterns,
+      allowedPattern: this.compileAllowedPattern(allowedWords),
+      wordCount,
+    };
   }
 
   /**
-   * Check for common evasion patterns using pre-compiled patterns
-   * @param {string} message - Lowercase message
-   * @param {string} bannedWord - Banned word to check
-   * @returns {boolean} - True if evasion pattern detected
+   * Normalize the tokens of a parsed pattern like message text
+   * @param {object} pattern - A parsed pattern of type "tokens"
+   * @param {object} match - Reported when the pattern matches
+   * @returns {object} - The pattern with normalized tokens and its match
    */
-  hasEvasionPattern(message, bannedWord) {
-    // Get or create compiled evasion patterns
-    const patternKey = `evasion_${bannedWord}`;
-    let patterns = this.compiledPatterns.get(patternKey);
-
-    if (!patterns) {
-      patterns = this.createEvasionPatterns(bannedWord);
-      this.compiledPatterns.set(patternKey, patterns);
-    }
+  normalizeTokenPattern(pattern, match) {
+    return {
+      ...pattern,
+      tokens: pattern.tokens.map((token) => ({
+        ...token,
+        text: this.normalizeWord(token.text),
+      })),
+      match,
+    };
+  }
 
-    // Test each pattern
-    for (const pattern of patterns) {
-      if (pattern.test(message)) {
-        return true;
-      }
-    }
+  /**
+   * Compile allowlisted words and phrases into one pattern matching any of
+   * them as whole words, so allowing "ass" does not allow "assassin"
+   * @param {Array} allowedWords - Allowlisted words and phrases
+   * @returns {RegExp|null} - The pattern or null if nothing is allowed
+   */
+  compileAllowedPattern(allowedWords) {
+    if (!isValidArray(allowedWords, 1)) return null;
 
-    return false;
+    const normalizedWords = [
+      ...new Set(
+        allowedWords
+          .filter((word) => isValidString(word))
+          .map((word) => this.normalizeWord(word))
+          .filter(Boolean),
+      ),
+    ];
+    if (normalizedWords.length === 0) return null;
+
+    // Longest first, so a phrase wins over a word it contains
+    normalizedWords.sort((a, b) => b.length - a.length);
+    return this._createSafeRegExp(
+      `(?<![\\p{L}\\p{N}])(?:${normalizedWords.map((word) => this.escapeRegex(word)).join('|')})(?![\\p{L}\\p{N}])`,
+      'giu',
+    );
   }
 
   /**
-   * Create evasion patterns for a banned word
-   * @param {string} bannedWord - The banned word
-   * @returns {Array} - Array of compiled RegExp patterns
+   * Find the most severe banned word in a message
+   * @param {string} message - The message to check
+   * @param {object} compiled - Output of compile()
+   * @returns {object|null} - { word, severity, rank } of the matched entry or null
    */
-  createEvasionPatterns(bannedWord) {
-    const patterns = [];
+  findBannedWord(message, compiled) {
+    // Input validation
+    if (!isValidString(message)) return null;
+    if (!compiled || compiled.wordCount === 0) return null;
 
-    // Spaced letters: "f u c k" (very common)
-    const spacedPattern = this._createSafeRegExp(
-      bannedWord.split('').join('\\s*'),
-    );
-    if (spacedPattern) patterns.push(spacedPattern);
+    let normalizedMessage = this.normalizeText(message);
 
-    // Dotted letters: "f.u.c.k" (common)
-    const dottedPattern = this._createSafeRegExp(
-      bannedWord.split('').join('\\.'),
-    );
-    if (dottedPattern) patterns.push(dottedPattern);
+    // Allowlisted words and phrases cannot trigger a match
+    if (compiled.allowedPattern) {
+      normalizedMessage = normalizedMessage.replace(
+        compiled.allowedPattern,
+        ' ',
+      );
+    }
 
-    // Asterisk substitution: "f*ck" (very common)
-    const asteriskPattern = this._createSafeRegExp(
-      bannedWord.replace(/[aeiou]/g, '\\*'),
-    );
-    if (asteriskPattern) patterns.push(asteriskPattern);
+    const maxRank = SEVERITIES.length;
+    let best = null;
+    for (const variant of this.getMessageVariants(normalizedMessage)) {
+      const match = compiled.matcher.findBest(this.toSkeleton(variant));
+      if (match !== null && (best === null || match.rank > best.rank)) {
+        best = match;
+      }
+      if (best?.rank === maxRank) break;
 
-    // Common number substitutions: "f4ck" (common)
-    const leetspeak = bannedWord
-      .replace(/a/g, '4')
-      .replace(/e/g, '3')
-      .replace(/i/g, '1')
-      .replace(/o/g, '0')
-      .replace(/s/g, '5');
-    const leetspeakPattern = this._createSafeRegExp(leetspeak);
-    if (leetspeakPattern) patterns.push(leetspeakPattern);
+      if (compiled.tokenPatterns.length > 0) {
+        const tokens = tokenize(variant);
+        const tokenMatch = compiled.tokenPatterns.find(
+          (pattern) =>
+            (best === null || pattern.match.rank > best.rank) &&
+            matchesTokens(tokens, pattern),
+        );
+        if (tokenMatch) {
+          best = tokenMatch.match;
+        }
+      }
+      if (best?.rank === maxRank) break;
+    }
+
+    return best;
+  }
 
-    return patterns;
+  /**
+   * Check if message contains banned words with smart detection. Compiles
+   * the word lists on every call; use compile() and findBannedWord() when
+   * checking many messages against the same lists.
+   * @param {string} message - The message to check
+   * @param {Array} bannedWords - Array of banned words
+   * @param {Array} allowedWords - Allowlisted words and phrases
+   * @returns {boolean} - True if banned word detected
+   */
+  checkBannedWords(message, bannedWords, allowedWords = []) {
+    if (!isValidString(message)) return false;
+    if (!isValidArray(bannedWords, 1)) return false;
+
+    return (
+      this.findBannedWord(message, this.compile(bannedWords, allowedWords)) !==
+      null
+    );
   }
 
   /**
@@ -155,13 +285,13 @@ class SmartWordFilter {
 
   /**
    * Create a RegExp pattern from validated input
-   * @param {string} pattern - The pattern string (pre-validated by BannedWordsManager)
+   * @param {string} pattern - The pattern string, built from escaped input
    * @param {string} flags - RegExp flags
    * @returns {RegExp|null} - Compiled RegExp or null if invalid
    */
   _createSafeRegExp(pattern, flags = 'i') {
     try {
-      // Pattern is pre-validated by BannedWordsManager.validateAndSanitizeWords() which filters dangerous patterns
+      // Only built from escaped allowlist words (see compileAllowedPattern())
       // eslint-disable-next-line security/detect-non-literal-regexp
       return new RegExp(pattern, flags);
     } catch {
@@ -201,10 +331,10 @@ class SmartWordFilter {
   }
 
   /**
-   * Clear compiled patterns (useful for memory management)
+   * Clear cached normalized words (useful for memory management)
    */
   clearCompiledPatterns() {
-    this.compiledPatterns.clear();
+    this.normalizedWords.clear();
   }
 }
 
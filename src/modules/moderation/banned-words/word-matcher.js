@@ -0,0 +1,121 @@
+/**
+ * Creates an empty trie node.
+ * @returns {object} - { next, fail, output }
+ */
+function createNode() {
+  return { next: new Map(), fail: null, output: null };
+}
+
+/**
+ * Picks the higher ranked of two matches.
+ * @param {object|null} a - A match or null
+ * @param {object|null} b - A match or null
+ * @returns {object|null} - The higher ranked match, a on ties
+ */
+function higherRanked(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  return b.rank > a.rank ? b : a;
+}
+
+/**
+ * Multi-pattern substring matcher (Aho-Corasick). Built once from a word
+ * list, it finds any of the words in a text in a single pass, independent of
+ * the number of words.
+ */
+class WordMatcher {
+  /**
+   * @param {Array<object>} patterns - Patterns as { text, match }: the text to
+   *   search for and what to report when it is found, with a numeric rank
+   *   (e.g. { word, severity, rank })
+   */
+  constructor(patterns) {
+    this.root = createNode();
+    this.patternCount = 0;
+    this.maxRank = 0;
+
+    for (const { text, match } of patterns) {
+      this.addPattern(text, match);
+    }
+    this.buildFailureLinks();
+  }
+
+  /**
+   * Adds a pattern to the trie.
+   * @param {string} text - The text to search for
+   * @param {object} match - Reported for a match, with a numeric rank
+   */
+  addPattern(text, match) {
+    if (typeof text !== 'string' || text.length === 0) return;
+
+    let node = this.root;
+    for (const character of text) {
+      let next = node.next.get(character);
+      if (!next) {
+        next = createNode();
+        node.next.set(character, next);
+      }
+      node = next;
+    }
+
+    // The highest ranked match wins, the first one on ties
+    if (node.output === null) {
+      this.patternCount++;
+    }
+    node.output = higherRanked(node.output, match);
+    this.maxRank = Math.max(this.maxRank, match.rank);
+  }
+
+  /**
+   * Computes failure links breadth-first and propagates outputs along them,
+   * so the best match ending at the current position is known right away.
+   */
+  buildFailureLinks() {
+    const queue = [];
+    for (const child of this.root.next.values()) {
+      child.fail = this.root;
+      queue.push(child);
+    }
+
+    // The iterator also visits children pushed while iterating
+    for (const node of queue) {
+      for (const [character, child] of node.next) {
+        let fallback = node.fail;
+        while (fallback !== this.root && !fallback.next.has(character)) {
+          fallback = fallback.fail;
+        }
+        child.fail = fallback.next.get(character) || this.root;
+
+        child.output = higherRanked(child.output, child.fail.output);
+        queue.push(child);
+      }
+    }
+  }
+
+  /**
+   * Finds the highest ranked pattern occurring in a text. Stops early once
+   * nothing can outrank the best match so far.
+   * @param {string} text - The text to search
+   * @returns {object|null} - The highest ranked match, the first on ties, or null
+   */
+  findBest(text) {
+    if (this.patternCount === 0 || typeof text !== 'string') return null;
+
+    let best = null;
+    let node = this.root;
+    for (const character of text) {
+      while (node !== this.root && !node.next.has(character)) {
+        node = node.fail;
+      }
+      node = node.next.get(character) || this.root;
+
+      best = higherRanked(best, node.output);
+      if (best !== null && best.rank >= this.maxRank) {
+        break;
+      }
+    }
+    return best;
+  }
+}
+
+module.exports = WordMatcher;
@@ -1,23 +1,160 @@
-const { createApiClient } = require('../../../lib/http/client.js');
+const { constants } = require('../../../config');
 const { botLog } = require('../../../lib/utils');
+const { parseJsonField } = require('../../../lib/utils/parsers');
+const { createSignature } = require('../../../lib/utils/signing.js');
 const {
-  isValidDiscordWebhookUrl,
-} = require('../../../lib/utils/validation.js');
+  MAX_SINKS_PER_ENTITY,
+  createSink,
+} = require('../notifications/sinks.js');
+const WebhookDeliveryQueue = require('../notifications/webhook-delivery-queue.js');
+
+const { parseEmbedTemplate, renderContent } = require('./embed-template.js');
+const { EVENT_TEMPLATES } = require('./event-embeds.js');
+
+const DEFAULT_CUSTOM_MESSAGE = 'A message was caught by the profanity filter.';
+// User GUIDs in event data and the fields their nicknames are added as
+const NICKNAME_FIELDS = new Map([
+  ['messageAuthorGuid', 'messageAuthorNickname'],
+  ['userGuid', 'userNickname'],
+  ['moderatorGuid', 'moderatorNickname'],
+  ['targetGuid', 'targetNickname'],
+]);
 
 /**
- * Discord webhook manager for sending moderation notifications
+ * Notification manager for moderation events. Events are rendered with the
+ * Discord embed templates and sent to each of the entity's notification
+ * sinks (Discord, Slack or a signed generic webhook).
  */
 class DiscordWebhookManager {
-  constructor(config, stateManager) {
+  constructor(config, stateManager, nicknameResolver) {
     this.config = config;
     this.stateManager = stateManager;
-    this.webhookConfigs = new Map(); // entityId -> webhook config
+    this.nicknameResolver = nicknameResolver;
+    this.webhookConfigs = new Map(); // entityId -> { sinks, entityName, ... }
+    this.deliveryQueues = new Map(); // sink queue key -> WebhookDeliveryQueue
+
+    // Chat connection outage, for bot_disconnected/bot_reconnected events
+    this.connectionLostAt = null;
+    this.disconnectTimer = null;
+    this.disconnectNotified = false;
+  }
+
+  /**
+   * Parse an entity's event toggles ({ "read_only": true, "spam": false })
+   * @param {string} entityId - The entity ID
+   * @param {unknown} rawEvents - The discord_events value
+   * @returns {Map<string, boolean>} - Event type -> enabled, for configured types
+   */
+  parseEventToggles(entityId, rawEvents) {
+    const toggles = new Map();
+    const events = parseJsonField(rawEvents, null);
+    if (!events || typeof events !== 'object' || Array.isArray(events)) {
+      return toggles;
+    }
+
+    for (const [eventType, enabled] of Object.entries(events)) {
+      if (!EVENT_TEMPLATES.has(eventType) || typeof enabled !== 'boolean') {
+        botLog(
+          this.config.botId,
+          'warn',
+          `Ignoring invalid Discord event toggle "${eventType}" for entity ${entityId}`,
+        );
+        continue;
+      }
+      toggles.set(eventType, enabled);
+    }
+    return toggles;
   }
 
   /**
-   * Configure webhook for an entity
+   * Build an entity's notification sinks: the Discord webhook from
+   * discord_webhook_url plus the entries of notification_sinks. Invalid
+   * sinks are skipped with a warning.
    * @param {string} entityId - The entity ID
-   * @param {object} webhookConfig - The webhook configuration
+   * @param {object} webhookConfig - The profanity filter config
+   * @returns {Array<object>} - Sinks as { sink, events }
+   */
+  buildSinks(entityId, webhookConfig) {
+    const rawSinks = [];
+    if (webhookConfig.discord_webhook_url) {
+      rawSinks.push({
+        type: 'discord',
+        url: webhookConfig.discord_webhook_url,
+        events: webhookConfig.discord_events,
+      });
+    }
+
+    const configuredSinks = parseJsonField(
+      webhookConfig.notification_sinks,
+      [],
+    );
+    if (Array.isArray(configuredSinks)) {
+      rawSinks.push(...configuredSinks);
+    } else {
+      botLog(
+        this.config.botId,
+        'warn',
+        `Ignoring notification_sinks for entity ${entityId}: not an array`,
+      );
+    }
+
+    if (rawSinks.length > MAX_SINKS_PER_ENTITY) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `Entity ${entityId} has ${rawSinks.length} notification sinks, only the first ${MAX_SINKS_PER_ENTITY} are used`,
+      );
+    }
+
+    const sinks = [];
+    for (const rawSink of rawSinks.slice(0, MAX_SINKS_PER_ENTITY)) {
+      const { sink, error } = createSink(rawSink);
+      if (error) {
+        botLog(
+          this.config.botId,
+          'error',
+          `Invalid notification sink for entity ${entityId}: ${error}`,
+        );
+        continue;
+      }
+      sinks.push({
+        sink,
+        events: this.parseEventToggles(entityId, rawSink.events),
+      });
+    }
+    return sinks;
+  }
+
+  /**
+   * Parse an entity's notification template (discord_custom_message). An
+   * invalid template is logged and the default notification is used.
+   * @param {string} entityId - The entity ID
+   * @param {unknown} customMessage - The discord_custom_message value
+   * @returns {object} - { content, embed } (see embed-template.js)
+   */
+  parseTemplate(entityId, customMessage) {
+    const { template, error } = parseEmbedTemplate(customMessage);
+    if (error) {
+      botLog(
+        this.config.botId,
+        'error',
+        `Invalid discord_custom_message for entity ${entityId}, using the default notification: ${error}`,
+      );
+    }
+
+    if (template?.embed) {
+      return template;
+    }
+    return {
+      content: template?.content || DEFAULT_CUSTOM_MESSAGE,
+      embed: null,
+    };
+  }
+
+  /**
+   * Configure notification sinks for an entity
+   * @param {string} entityId - The entity ID
+   * @param {object} webhookConfig - The profanity filter config
    * @param {string} entityName - The entity name (optional)
    */
   configureWebhook(entityId, webhookConfig, entityName = null) {
@@ -31,125 +168,417 @@ class DiscordWebhookManager {
       return;
     }
 
-    if (!webhookConfig || !webhookConfig.discord_webhook_url) {
+    const sinks = webhookConfig ? this.buildSinks(entityId, webhookConfig) : [];
+    const previous = this.webhookConfigs.get(entityId);
+    if (sinks.length === 0) {
       this.webhookConfigs.delete(entityId);
-      return;
-    }
-
-    // Validate webhook URL format
-    if (!isValidDiscordWebhookUrl(webhookConfig.discord_webhook_url)) {
-      botLog(
-        this.config.botId,
-        'error',
-        `Invalid Discord webhook URL for entity ${entityId}: ${webhookConfig.discord_webhook_url}`,
-      );
+      this.removeUnusedQueues(previous);
       return;
     }
 
     this.webhookConfigs.set(entityId, {
-      url: webhookConfig.discord_webhook_url,
-      customMessage:
-        webhookConfig.discord_custom_message ||
-        'A message was caught by the profanity filter.',
+      sinks,
+      template: this.parseTemplate(
+        entityId,
+        webhookConfig.discord_custom_message,
+      ),
       muteDurationSeconds: webhookConfig.mute_duration_seconds || 300,
       entityName,
     });
+    this.removeUnusedQueues(previous);
 
     botLog(
       this.config.botId,
       'verbose',
-      `Configured Discord webhook for entity ${entityId}`,
+      `Configured ${sinks.length} notification sink(s) for entity ${entityId}: ${sinks.map(({ sink }) => sink.name).join(', ')}`,
     );
   }
 
   /**
-   * Send banned words notification to Discord
+   * Builds an embed field with a signed link for undoing an automated mute.
    * @param {string} entityId - The entity ID
-   * @param {string} messageContent - The message content
-   * @param {string} messageAuthorGuid - The message author GUID
-   * @param {string} roomId - The room ID
+   * @param {number|null} actionId - The audit log ID of the mute
+   * @returns {object|null} - The embed field, or null if undo links are not configured
    */
-  async sendBannedWordsNotification(
-    entityId,
-    messageContent,
-    messageAuthorGuid,
-    roomId,
-  ) {
+  buildUndoField(entityId, actionId) {
+    const { baseUrl, secret, ttl } = constants.undoLinks;
+    if (!actionId || !baseUrl || !secret) {
+      return null;
+    }
+
+    const expires = Math.floor((Date.now() + ttl) / 1000);
+    const token = createSignature(`${entityId}:${actionId}:${expires}`, secret);
+    return {
+      name: 'Undo',
+      value: `[Unmute this user](${baseUrl.replace(/\/+$/, '')}/undo/${entityId}/${actionId}?expires=${expires}&token=${token})`,
+      inline: true,
+    };
+  }
+
+  /**
+   * Get the sinks of an entity that receive an event type
+   * @param {string} entityId - The entity ID
+   * @param {string} eventType - The event type
+   * @returns {Array<object>} - The sinks with the event enabled
+   */
+  getEnabledSinks(entityId, eventType) {
     const webhookConfig = this.webhookConfigs.get(entityId);
+    const template = EVENT_TEMPLATES.get(eventType);
+    if (!webhookConfig || !template) {
+      return [];
+    }
+    return webhookConfig.sinks
+      .filter(({ events }) =>
+        events.has(eventType)
+          ? events.get(eventType)
+          : template.enabledByDefault,
+      )
+      .map(({ sink }) => sink);
+  }
+
+  /**
+   * Check whether an entity receives an event type
+   * @param {string} entityId - The entity ID
+   * @param {string} eventType - The event type
+   * @returns {boolean} - True if any of the entity's sinks has the event enabled
+   */
+  isEventEnabled(entityId, eventType) {
+    return this.getEnabledSinks(entityId, eventType).length > 0;
+  }
+
+  /**
+   * Add the nicknames of the users in event data, e.g. messageAuthorNickname
+   * for messageAuthorGuid. Nicknames the data already has are kept.
+   * @param {object} data - Event data
+   * @returns {Promise<object>} - The event data with the nicknames that could be resolved
+   */
+  async addNicknames(data) {
+    const values = new Map(Object.entries(data));
+    const nicknames = await Promise.all(
+      Array.from(NICKNAME_FIELDS, async ([guidField, nicknameField]) => [
+        nicknameField,
+        values.get(nicknameField) ||
+          (await this.nicknameResolver.resolve(values.get(guidField))),
+      ]),
+    );
+    return {
+      ...data,
+      ...Object.fromEntries(nicknames.filter(([, nickname]) => nickname)),
+    };
+  }
 
+  /**
+   * Send a moderation event to the entity's sinks that have it enabled
+   * @param {string} entityId - The entity ID
+   * @param {string} eventType - The event type (see event-embeds.js)
+   * @param {object} eventData - Event data for the template; undoActionId adds an undo link
+   */
+  async sendEvent(entityId, eventType, eventData) {
+    const sinks = this.getEnabledSinks(entityId, eventType);
+    if (sinks.length === 0) {
+      return;
+    }
+
+    const data = await this.addNicknames(eventData);
+    // The entity may have been removed while nicknames were looked up
+    const webhookConfig = this.webhookConfigs.get(entityId);
     if (!webhookConfig) {
       return;
     }
+    const template = EVENT_TEMPLATES.get(eventType);
 
     try {
+      const context = { entityId, webhookConfig };
+      const variables = template.variables?.(data, context) || {};
       const embed = {
-        title: '🚫 Banned Word Detected',
-        description: `${messageContent.length > 1000 ? `${messageContent.substring(0, 1000)}...` : messageContent}`,
-        color: 0xff0000, // Red
-        fields: [
-          {
-            name: 'Author',
-            value: `[${messageAuthorGuid}](https://faceitdb.com/profile/faceit/${messageAuthorGuid})`,
-            inline: true,
-          },
-          {
-            name: 'Room',
-            value: webhookConfig.entityName || roomId,
-            inline: true,
-          },
-          {
-            name: 'Mute Duration',
-            value: `${webhookConfig.muteDurationSeconds} seconds`,
-            inline: true,
-          },
-        ],
-        timestamp: new Date().toISOString(),
         footer: {
           text: 'FACEIT Chatbot Moderation',
         },
+        ...template.build(data, context, variables),
+        timestamp: new Date().toISOString(),
       };
 
-      await this.sendWebhook(webhookConfig.url, {
-        content: webhookConfig.customMessage,
-        embeds: [embed],
-      });
+      const undoField = this.buildUndoField(entityId, data.undoActionId);
+      if (undoField) {
+        embed.fields.push(undoField);
+      }
+
+      const notification = {
+        eventType,
+        entityId,
+        entityName: webhookConfig.entityName,
+        embed,
+        content:
+          template.withCustomMessage && webhookConfig.template.content
+            ? renderContent(webhookConfig.template.content, variables)
+            : null,
+        data,
+      };
+      for (const sink of sinks) {
+        this.sendToSink(sink, sink.format(notification));
+      }
 
       botLog(
         this.config.botId,
         'verbose',
-        `Sent banned words notification to Discord for entity ${entityId}`,
+        `Queued ${eventType} notification for entity ${entityId} to ${sinks.length} sink(s)`,
       );
     } catch (error) {
       botLog(
         this.config.botId,
         'error',
-        `Failed to send Discord webhook for entity ${entityId}: ${error.message}`,
+        `Failed to build ${eventType} notification for entity ${entityId}: ${error.message}`,
       );
     }
   }
 
   /**
-   * Send webhook to Discord
-   * @param {string} webhookUrl - The Discord webhook URL
-   * @param {object} payload - The webhook payload
+   * Send banned words notification to Discord
+   * @param {string} entityId - The entity ID
+   * @param {string} messageContent - The message content
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @param {string} roomId - The room ID
+   * @param {object} outcome - What was done about the message (optional)
+   * @param {string} outcome.mode - The enforcement mode (log_only, warn or enforce)
+   * @param {number|null} outcome.strikeCount - The author's strike count including this one
+   * @param {boolean} outcome.warned - True if the strike was a warning without a mute
+   * @param {boolean} outcome.deleted - False if the message was kept
+   * @param {number} outcome.muteDuration - Applied mute duration in seconds
+   * @param {string} outcome.matchedWord - The banned word that matched
+   * @param {string} outcome.severity - The matched word's severity (mild, severe or slur)
+   * @param {string} outcome.messageId - The message ID, for the {message_link} placeholder
+   * @param {number|null} outcome.undoActionId - Audit log ID of the mute, for the undo link
    */
-  async sendWebhook(webhookUrl, payload) {
-    try {
-      const discordClient = createApiClient.discordWebhook();
-      await discordClient.sendNotification(webhookUrl, payload);
+  async sendBannedWordsNotification(
+    entityId,
+    messageContent,
+    messageAuthorGuid,
+    roomId,
+    outcome = null,
+  ) {
+    await this.sendEvent(entityId, 'banned_word', {
+      ...outcome,
+      messageContent,
+      messageAuthorGuid,
+      roomId,
+    });
+  }
 
-      botLog(this.config.botId, 'verbose', 'Discord webhook sent successfully');
-    } catch (error) {
-      throw new Error(`Discord webhook failed: ${error.message}`);
+  /**
+   * Send link filter notification to Discord
+   * @param {string} entityId - The entity ID
+   * @param {object} violation - The link filter match
+   * @param {string} violation.messageContent - The message content
+   * @param {string} violation.messageAuthorGuid - The message author GUID
+   * @param {string} violation.reason - Human readable description of the matched link
+   * @param {string} violation.action - The applied action (delete, mute or notify)
+   * @param {number} violation.muteDurationSeconds - Applied mute duration (mute action only)
+   * @param {number|null} violation.undoActionId - Audit log ID of the mute, for the undo link
+   */
+  async sendLinkNotification(entityId, violation) {
+    await this.sendEvent(entityId, 'link', violation);
+  }
+
+  /**
+   * Send spam notification to Discord
+   * @param {string} entityId - The entity ID
+   * @param {object} violation - The spam violation
+   * @param {string} violation.messageContent - The message content
+   * @param {string} violation.messageAuthorGuid - The message author GUID
+   * @param {string} violation.reason - Human readable description of the violated rule
+   * @param {number} violation.violationCount - Number of recent violations by the author
+   * @param {number} violation.muteDurationSeconds - Applied mute duration
+   * @param {number|null} violation.undoActionId - Audit log ID of the mute, for the undo link
+   */
+  async sendSpamNotification(entityId, violation) {
+    await this.sendEvent(entityId, 'spam', violation);
+  }
+
+  /**
+   * Send read-only violation notification to Discord
+   * @param {string} entityId - The entity ID
+   * @param {object} violation - The violation
+   * @param {string} violation.messageContent - The message content
+   * @param {string} violation.messageAuthorGuid - The message author GUID
+   * @param {boolean} violation.muted - Whether the author was muted
+   * @param {number} violation.muteDurationSeconds - Applied mute duration
+   */
+  async sendReadOnlyNotification(entityId, violation) {
+    await this.sendEvent(entityId, 'read_only', violation);
+  }
+
+  /**
+   * Send moderator action notification to Discord
+   * @param {string} entityId - The entity ID
+   * @param {object} action - The moderator action
+   * @param {string} action.action - The command that was used (e.g. mute, readonly)
+   * @param {string} action.moderatorGuid - The GUID of the moderator
+   * @param {string} action.targetGuid - The GUID of the affected user (optional)
+   * @param {string} action.details - Human readable outcome
+   */
+  async sendModeratorActionNotification(entityId, action) {
+    await this.sendEvent(entityId, 'moderator_action', action);
+  }
+
+  /**
+   * Send notification about a delete or mute the chat admin API refused
+   * @param {string} entityId - The entity ID
+   * @param {object} failure - The failure
+   * @param {string} failure.action - "delete" or "mute"
+   * @param {string} failure.userGuid - The affected user
+   * @param {string} failure.error - The error message
+   * @param {boolean} failure.permissionDenied - True for 403 responses
+   */
+  async sendActionFailedNotification(entityId, failure) {
+    await this.sendEvent(
+      entityId,
+      failure.action === 'delete' ? 'delete_failed' : 'mute_failed',
+      failure,
+    );
+  }
+
+  /**
+   * Send an event to every entity with a webhook
+   * @param {string} eventType - The event type
+   * @param {object} data - Event data for the template
+   */
+  async broadcastEvent(eventType, data) {
+    await Promise.all(
+      Array.from(this.webhookConfigs.keys(), (entityId) =>
+        this.sendEvent(entityId, eventType, data),
+      ),
+    );
+  }
+
+  /**
+   * Called when the chat connection drops. Entities are told once the
+   * outage has lasted a while, so short reconnects do not notify.
+   */
+  handleConnectionLost() {
+    if (this.connectionLostAt !== null) {
+      return;
+    }
+
+    this.connectionLostAt = Date.now();
+    this.disconnectTimer = setTimeout(() => {
+      this.disconnectTimer = null;
+      this.disconnectNotified = true;
+      this.broadcastEvent('bot_disconnected', {
+        downSeconds: Math.round((Date.now() - this.connectionLostAt) / 1000),
+      });
+    }, constants.timing.disconnectNotificationDelay);
+  }
+
+  /**
+   * Called when the chat connection is back. Entities that were told about
+   * the outage are told it is over.
+   */
+  handleConnectionRestored() {
+    if (this.connectionLostAt === null) {
+      return;
+    }
+
+    clearTimeout(this.disconnectTimer);
+    this.disconnectTimer = null;
+
+    if (this.disconnectNotified) {
+      this.broadcastEvent('bot_reconnected', {
+        downSeconds: Math.round((Date.now() - this.connectionLostAt) / 1000),
+      });
+    }
+    this.connectionLostAt = null;
+    this.disconnectNotified = false;
+  }
+
+  /**
+   * Queue a payload for a sink. Each destination has its own delivery queue,
+   * which batches bursts where the sink supports it, honors rate limits and
+   * retries failures.
+   * @param {object} sink - The notification sink
+   * @param {object} payload - The sink's payload
+   */
+  sendToSink(sink, payload) {
+    let queue = this.deliveryQueues.get(sink.queueKey);
+    if (!queue) {
+      queue = new WebhookDeliveryQueue(this.config, sink.url, {
+        ...sink.getQueueOptions(),
+        name: sink.name,
+        onDrained: () => this.removeUnusedQueue(sink.queueKey),
+      });
+      this.deliveryQueues.set(sink.queueKey, queue);
+    }
+    queue.enqueue(payload);
+  }
+
+  /**
+   * Remove a delivery queue once it is empty and no entity uses its
+   * destination anymore
+   * @param {string} queueKey - The sink queue key
+   */
+  removeUnusedQueue(queueKey) {
+    const queue = this.deliveryQueues.get(queueKey);
+    if (!queue || !queue.isIdle()) {
+      return;
+    }
+
+    for (const webhookConfig of this.webhookConfigs.values()) {
+      if (webhookConfig.sinks.some(({ sink }) => sink.queueKey === queueKey)) {
+        return;
+      }
+    }
+    this.deliveryQueues.delete(queueKey);
+  }
+
+  /**
+   * Remove the delivery queues of a replaced or removed entity config that
+   * are no longer used. Queued notifications are still delivered.
+   * @param {object|undefined} webhookConfig - The old entity config
+   */
+  removeUnusedQueues(webhookConfig) {
+    for (const { sink } of webhookConfig?.sinks || []) {
+      this.removeUnusedQueue(sink.queueKey);
     }
   }
 
+  /**
+   * Delivery metrics of all sink queues
+   * @returns {object} - { totals, webhooks } with counters summed over and per destination
+   */
+  getDeliveryMetrics() {
+    const webhooks = Array.from(this.deliveryQueues.values(), (queue) =>
+      queue.getMetrics(),
+    );
+    const totals = {
+      queued: 0,
+      enqueued: 0,
+      delivered: 0,
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      failed: 0,
+      dropped: 0,
+    };
+    for (const metrics of webhooks) {
+      totals.queued += metrics.queued;
+      totals.enqueued += metrics.enqueued;
+      totals.delivered += metrics.delivered;
+      totals.requests += metrics.requests;
+      totals.retries += metrics.retries;
+      totals.rateLimited += metrics.rateLimited;
+      totals.failed += metrics.failed;
+      totals.dropped += metrics.dropped;
+    }
+    return { totals, webhooks };
+  }
+
   /**
    * Clean up webhook configuration for an entity
    * @param {string} entityId - The entity ID
    */
   cleanupWebhook(entityId) {
+    const webhookConfig = this.webhookConfigs.get(entityId);
     this.webhookConfigs.delete(entityId);
+    this.removeUnusedQueues(webhookConfig);
 
     botLog(
       this.config.botId,
@@ -0,0 +1,284 @@
+/**
+ * @file embed-template.js
+ * Per-entity templates for banned word notifications. discord_custom_message
+ * is either plain text, sent as the message content, or a JSON embed
+ * template:
+ *
+ *   {
+ *     "content": "Caught in {entity_name}",
+ *     "title": "{author_nickname} said {matched_word}",
+ *     "description": "{message}",
+ *     "url": "{message_link}",
+ *     "color": "#e67e22",
+ *     "footer": "Strike {strike_count}",
+ *     "fields": [{ "name": "Action", "value": "{action_taken}", "inline": true }]
+ *   }
+ *
+ * Templates are validated when the config is loaded; values are rendered per
+ * notification and cut to Discord's limits.
+ */
+
+const {
+  getPlaceholderNames,
+  renderTemplate,
+} = require('../../../lib/utils/templates.js');
+
+// Placeholders available in banned word templates
+const PLACEHOLDERS = [
+  'author_nickname',
+  'author_guid',
+  'author_profile',
+  'entity_name',
+  'matched_word',
+  'severity',
+  'strike_count',
+  'action_taken',
+  'message_link',
+  'message',
+];
+// Built-in helpers of renderTemplate()
+const HELPERS = ['random', 'time'];
+
+// Discord limits per embed part
+const LIMITS = new Map([
+  ['content', 2000],
+  ['title', 256],
+  ['description', 4096],
+  ['url', 500],
+  ['footer', 2048],
+  ['fieldName', 256],
+  ['fieldValue', 1024],
+]);
+const MAX_FIELDS = 25;
+
+const TEMPLATE_KEYS = [
+  'content',
+  'title',
+  'description',
+  'url',
+  'color',
+  'footer',
+  'fields',
+];
+const FIELD_KEYS = ['name', 'value', 'inline'];
+
+/**
+ * Checks a template string's type, length and placeholders
+ * @param {unknown} value - The template string
+ * @param {string} label - Where it is, for the error message
+ * @param {string} limit - Key of LIMITS
+ * @returns {string|null} - An error, or null if valid
+ */
+function validateString(value, label, limit) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return `${label} must be a non-empty string`;
+  }
+  if (value.length > LIMITS.get(limit)) {
+    return `${label} must be at most ${LIMITS.get(limit)} characters`;
+  }
+
+  const unknown = getPlaceholderNames(value).find(
+    (name) => !PLACEHOLDERS.includes(name) && !HELPERS.includes(name),
+  );
+  return unknown ? `${label} uses unknown placeholder {${unknown}}` : null;
+}
+
+/**
+ * Parses an embed color: "#rrggbb" or a number
+ * @param {unknown} color - The raw color
+ * @returns {number|null} - The color, or null if invalid
+ */
+function parseColor(color) {
+  if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+    return parseInt(color.slice(1), 16);
+  }
+  return Number.isInteger(color) && color >= 0 && color <= 0xffffff
+    ? color
+    : null;
+}
+
+/**
+ * Validates an embed template object
+ * @param {object} raw - The parsed template
+ * @returns {object} - { embed } with the normalized template, or { error }
+ */
+function parseEmbed(raw) {
+  const parts = new Map(Object.entries(raw));
+  const unknownKey = Array.from(parts.keys()).find(
+    (key) => !TEMPLATE_KEYS.includes(key),
+  );
+  if (unknownKey) {
+    return {
+      error: `unknown key "${unknownKey}" (expected ${TEMPLATE_KEYS.join(', ')})`,
+    };
+  }
+
+  for (const key of ['content', 'title', 'description', 'url', 'footer']) {
+    if (!parts.has(key)) continue;
+    const error = validateString(parts.get(key), key, key);
+    if (error) return { error };
+  }
+  const embed = {
+    content: raw.content,
+    title: raw.title,
+    description: raw.description,
+    url: raw.url,
+    footer: raw.footer,
+  };
+
+  if (raw.color !== undefined) {
+    embed.color = parseColor(raw.color);
+    if (embed.color === null) {
+      return { error: 'color must be "#rrggbb" or a number' };
+    }
+  }
+
+  if (raw.fields !== undefined) {
+    if (!Array.isArray(raw.fields) || raw.fields.length > MAX_FIELDS) {
+      return { error: `fields must be an array of at most ${MAX_FIELDS}` };
+    }
+    embed.fields = [];
+    for (const [index, field] of raw.fields.entries()) {
+      if (!field || typeof field !== 'object' || Array.isArray(field)) {
+        return { error: `fields[${index}] must be an object` };
+      }
+      const unknownFieldKey = Object.keys(field).find(
+        (key) => !FIELD_KEYS.includes(key),
+      );
+      if (unknownFieldKey) {
+        return {
+          error: `fields[${index}] has unknown key "${unknownFieldKey}"`,
+        };
+      }
+      const error =
+        validateString(field.name, `fields[${index}].name`, 'fieldName') ||
+        validateString(field.value, `fields[${index}].value`, 'fieldValue');
+      if (error) return { error };
+      embed.fields.push({
+        name: field.name,
+        value: field.value,
+        inline: Boolean(field.inline),
+      });
+    }
+  }
+
+  if (!embed.title && !embed.description && !embed.fields?.length) {
+    return { error: 'needs a title, description or fields' };
+  }
+  return { embed };
+}
+
+/**
+ * Parses an entity's discord_custom_message. Text that is not a JSON object
+ * is the message content; unknown placeholders in it are an error too.
+ * @param {unknown} customMessage - The discord_custom_message value
+ * @returns {object} - { template } as { content, embed } (embed is null for
+ *   plain text), or { error }
+ */
+function parseEmbedTemplate(customMessage) {
+  if (typeof customMessage !== 'string' || customMessage.trim() === '') {
+    return { template: { content: null, embed: null } };
+  }
+
+  let raw = null;
+  if (customMessage.trim().startsWith('{')) {
+    try {
+      raw = JSON.parse(customMessage);
+    } catch {
+      // Not JSON, e.g. "{entity_name}: message caught"
+    }
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    const error = validateString(customMessage, 'message', 'content');
+    return error
+      ? { error }
+      : { template: { content: customMessage, embed: null } };
+  }
+
+  const { embed, error } = parseEmbed(raw);
+  if (error) {
+    return { error };
+  }
+  const { content, ...embedParts } = embed;
+  return { template: { content: content ?? null, embed: embedParts } };
+}
+
+/**
+ * Renders a template string and cuts it to a Discord limit
+ * @param {string} template - The template string
+ * @param {object} variables - Placeholder values
+ * @param {string} limit - Key of LIMITS
+ * @returns {string} - The rendered text
+ */
+function renderPart(template, variables, limit) {
+  const text = renderTemplate(template, variables).trim();
+  const maxLength = LIMITS.get(limit);
+  return text.length > maxLength
+    ? `${text.substring(0, maxLength - 3)}...`
+    : text;
+}
+
+/**
+ * Renders a message content template
+ * @param {string} template - The content template
+ * @param {object} variables - Placeholder values
+ * @returns {string} - The content
+ */
+function renderContent(template, variables) {
+  return renderPart(template, variables, 'content');
+}
+
+/**
+ * Renders an embed template. Parts that render empty are left out (empty
+ * field values become "-"), as is a url that is not http(s).
+ * @param {object} embedTemplate - The embed of a parsed template
+ * @param {object} variables - Placeholder values
+ * @returns {object} - The Discord embed (without timestamp)
+ */
+function renderEmbed(embedTemplate, variables) {
+  const embed = { fields: [] };
+
+  const title = embedTemplate.title
+    ? renderPart(embedTemplate.title, variables, 'title')
+    : '';
+  if (title) {
+    embed.title = title;
+  }
+  const description = embedTemplate.description
+    ? renderPart(embedTemplate.description, variables, 'description')
+    : '';
+  if (description) {
+    embed.description = description;
+  }
+  if (embedTemplate.url) {
+    const url = renderPart(embedTemplate.url, variables, 'url');
+    if (/^https?:\/\/\S+$/.test(url)) {
+      embed.url = url;
+    }
+  }
+  if (embedTemplate.color !== undefined) {
+    embed.color = embedTemplate.color;
+  }
+  if (embedTemplate.footer) {
+    const footer = renderPart(embedTemplate.footer, variables, 'footer');
+    if (footer) {
+      embed.footer = { text: footer };
+    }
+  }
+  for (const field of embedTemplate.fields || []) {
+    embed.fields.push({
+      name: renderPart(field.name, variables, 'fieldName') || '-',
+      value: renderPart(field.value, variables, 'fieldValue') || '-',
+      inline: field.inline,
+    });
+  }
+  return embed;
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  parseEmbedTemplate,
+  renderContent,
+  renderEmbed,
+};
@@ -0,0 +1,365 @@
+/**
+ * @file event-embeds.js
+ * Discord embed templates for moderation events. Each event type has its own
+ * template and a default for whether entities receive it.
+ */
+
+const { constants } = require('../../../config');
+const { renderTemplate } = require('../../../lib/utils/templates.js');
+
+const { renderEmbed } = require('./embed-template.js');
+
+const PROFILE_URL = 'https://faceitdb.com/profile/faceit';
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Formats a user as a profile link, named by nickname when it is known
+ * @param {string} userGuid - The user GUID
+ * @param {string|null} nickname - The user's nickname (optional)
+ * @returns {string} Markdown link
+ */
+function userLink(userGuid, nickname = null) {
+  return `[${nickname || userGuid}](${PROFILE_URL}/${userGuid})`;
+}
+
+/**
+ * Shortens message content for an embed description
+ * @param {string} messageContent - The message content
+ * @returns {string} The content, truncated if too long
+ */
+function truncate(messageContent) {
+  const text = String(messageContent ?? '');
+  return text.length > MAX_DESCRIPTION_LENGTH
+    ? `${text.substring(0, MAX_DESCRIPTION_LENGTH)}...`
+    : text;
+}
+
+/**
+ * Builds the "Room" field
+ * @param {object} context - { entityId, webhookConfig }
+ * @returns {object} The embed field
+ */
+function roomField(context) {
+  return {
+    name: 'Room',
+    value: context.webhookConfig.entityName || context.entityId,
+    inline: true,
+  };
+}
+
+/**
+ * Formats a duration in seconds for humans
+ * @param {number} seconds - The duration
+ * @returns {string} e.g. "3m 20s"
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Builds a link to a moderated message from the configured link template
+ * @param {string} entityId - The entity ID
+ * @param {object} data - Event data with roomId and messageId
+ * @returns {string} The link, or an empty string if links are off
+ */
+function buildMessageLink(entityId, data) {
+  if (!constants.messageLinks.template || !data.messageId) {
+    return '';
+  }
+  return renderTemplate(constants.messageLinks.template, {
+    entity_id: encodeURIComponent(entityId),
+    room_id: encodeURIComponent(data.roomId || entityId),
+    message_id: encodeURIComponent(data.messageId),
+  });
+}
+
+/**
+ * Describes what was done about a banned word
+ * @param {object} data - The banned word event data
+ * @param {object} context - { entityId, webhookConfig }
+ * @returns {string} e.g. "Warning only" or "300 seconds"
+ */
+function describeBannedWordAction(data, context) {
+  if (data.mode === 'log_only') {
+    return 'None (log only)';
+  }
+  if (data.warned) {
+    return data.deleted === false
+      ? 'Warning only (message kept)'
+      : 'Warning only';
+  }
+  return `${data.muteDuration ?? context.webhookConfig.muteDurationSeconds} seconds`;
+}
+
+/**
+ * Describes everything that was done about a banned word, for templates
+ * @param {object} data - The banned word event data
+ * @param {object} context - { entityId, webhookConfig }
+ * @returns {string} e.g. "Message deleted, user muted for 300 seconds"
+ */
+function describeActionTaken(data, context) {
+  if (data.mode === 'log_only') {
+    return 'None (log only)';
+  }
+  if (data.warned) {
+    return data.deleted ? 'Message deleted, user warned' : 'User warned';
+  }
+  return `Message deleted, user muted for ${describeBannedWordAction(data, context)}`;
+}
+
+const BANNED_WORD_TITLES = new Map([
+  ['log_only', '👀 Banned Word Detected (Log Only)'],
+  ['warn', '⚠️ Banned Word Detected (Warn Mode)'],
+]);
+
+const LINK_ACTION_DESCRIPTIONS = new Map([
+  ['delete', () => 'Message deleted'],
+  [
+    'mute',
+    (data) => `Message deleted, muted for ${data.muteDurationSeconds} seconds`,
+  ],
+  ['notify', () => 'None (notification only)'],
+]);
+
+/**
+ * Builds the embed for a failed delete or mute
+ * @param {string} action - "delete" or "mute"
+ * @returns {function} The template
+ */
+function actionFailedTemplate(action) {
+  return (data, context) => ({
+    title:
+      action === 'delete'
+        ? '❗ Failed to Delete Message'
+        : '❗ Failed to Mute User',
+    description: data.permissionDenied
+      ? 'Permission denied (403). The bot may not have moderation permissions in this club.'
+      : `The chat admin API returned an error: ${truncate(data.error)}`,
+    color: 0x992d22, // Dark red
+    fields: [
+      {
+        name: 'User',
+        value: userLink(data.userGuid, data.userNickname),
+        inline: true,
+      },
+      roomField(context),
+    ],
+  });
+}
+
+/**
+ * Event types: whether entities get them without configuring discord_events,
+ * whether the entity's custom message is sent along, the embed template and
+ * optionally the placeholder values for the entity's own template (see
+ * embed-template.js). Templates get the event data and
+ * { entityId, webhookConfig }.
+ */
+const EVENT_TEMPLATES = new Map([
+  [
+    'banned_word',
+    {
+      enabledByDefault: true,
+      withCustomMessage: true,
+      variables: (data, context) => ({
+        author_nickname: data.messageAuthorNickname || data.messageAuthorGuid,
+        author_guid: data.messageAuthorGuid,
+        author_profile: `${PROFILE_URL}/${data.messageAuthorGuid}`,
+        entity_name: context.webhookConfig.entityName || context.entityId,
+        matched_word: data.matchedWord ?? '',
+        severity: data.severity ?? '',
+        strike_count: data.strikeCount ?? '',
+        action_taken: describeActionTaken(data, context),
+        message_link: buildMessageLink(context.entityId, data),
+        message: truncate(data.messageContent),
+      }),
+      build: (data, context, variables) => {
+        const embedTemplate = context.webhookConfig.template?.embed;
+        if (embedTemplate) {
+          return {
+            color: 0xff0000, // Red
+            ...renderEmbed(embedTemplate, variables),
+          };
+        }
+
+        const fields = [
+          {
+            name: 'Author',
+            value: userLink(data.messageAuthorGuid, data.messageAuthorNickname),
+            inline: true,
+          },
+          roomField(context),
+          {
+            name: 'Mute Duration',
+            value: describeBannedWordAction(data, context),
+            inline: true,
+          },
+        ];
+        if (data.matchedWord) {
+          fields.push({
+            name: 'Matched Word',
+            value: `\`${data.matchedWord}\`${data.severity ? ` (${data.severity})` : ''}`,
+            inline: true,
+          });
+        }
+        if (data.strikeCount) {
+          fields.push({
+            name: 'Strikes',
+            value: `${data.strikeCount}`,
+            inline: true,
+          });
+        }
+
+        return {
+          title: BANNED_WORD_TITLES.get(data.mode) || '🚫 Banned Word Detected',
+          description: truncate(data.messageContent),
+          color: 0xff0000, // Red
+          fields,
+        };
+      },
+    },
+  ],
+  [
+    'link',
+    {
+      enabledByDefault: true,
+      build: (data, context) => ({
+        title: '🔗 Link Detected',
+        description: truncate(data.messageContent),
+        color: 0x3498db, // Blue
+        fields: [
+          {
+            name: 'Author',
+            value: userLink(data.messageAuthorGuid, data.messageAuthorNickname),
+            inline: true,
+          },
+          roomField(context),
+          { name: 'Reason', value: data.reason, inline: true },
+          {
+            name: 'Action',
+            value: LINK_ACTION_DESCRIPTIONS.has(data.action)
+              ? LINK_ACTION_DESCRIPTIONS.get(data.action)(data)
+              : data.action,
+            inline: true,
+          },
+        ],
+      }),
+    },
+  ],
+  [
+    'spam',
+    {
+      enabledByDefault: true,
+      build: (data, context) => ({
+        title: '🌊 Spam Detected',
+        description: truncate(data.messageContent),
+        color: 0xffff00, // Yellow
+        fields: [
+          {
+            name: 'Author',
+            value: userLink(data.messageAuthorGuid, data.messageAuthorNickname),
+            inline: true,
+          },
+          roomField(context),
+          { name: 'Reason', value: data.reason, inline: true },
+          {
+            name: 'Mute Duration',
+            value: `${data.muteDurationSeconds} seconds (violation #${data.violationCount})`,
+            inline: true,
+          },
+        ],
+      }),
+    },
+  ],
+  [
+    'read_only',
+    {
+      // Every message in a read-only room triggers it
+      enabledByDefault: false,
+      build: (data, context) => ({
+        title: '🔒 Read-Only Violation',
+        description: truncate(data.messageContent),
+        color: 0x95a5a6, // Grey
+        fields: [
+          {
+            name: 'Author',
+            value: userLink(data.messageAuthorGuid, data.messageAuthorNickname),
+            inline: true,
+          },
+          roomField(context),
+          {
+            name: 'Action',
+            value: data.muted
+              ? `Message deleted, muted for ${data.muteDurationSeconds} seconds`
+              : 'Message deleted',
+            inline: true,
+          },
+        ],
+      }),
+    },
+  ],
+  [
+    'moderator_action',
+    {
+      enabledByDefault: true,
+      build: (data, context) => ({
+        title: `🛡️ Moderator Action: !${data.action}`,
+        description: data.details,
+        color: 0xffa500, // Orange
+        fields: [
+          {
+            name: 'Moderator',
+            value: userLink(data.moderatorGuid, data.moderatorNickname),
+            inline: true,
+          },
+          roomField(context),
+          ...(data.targetGuid
+            ? [
+                {
+                  name: 'User',
+                  value: userLink(data.targetGuid, data.targetNickname),
+                  inline: true,
+                },
+              ]
+            : []),
+        ],
+      }),
+    },
+  ],
+  [
+    'delete_failed',
+    { enabledByDefault: true, build: actionFailedTemplate('delete') },
+  ],
+  [
+    'mute_failed',
+    { enabledByDefault: true, build: actionFailedTemplate('mute') },
+  ],
+  [
+    'bot_disconnected',
+    {
+      enabledByDefault: true,
+      build: (data, context) => ({
+        title: '🔌 Bot Disconnected',
+        description: `The bot lost its chat connection ${formatDuration(data.downSeconds)} ago and is reconnecting. Messages are not moderated until it is back.`,
+        color: 0x992d22, // Dark red
+        fields: [roomField(context)],
+      }),
+    },
+  ],
+  [
+    'bot_reconnected',
+    {
+      enabledByDefault: true,
+      build: (data, context) => ({
+        title: '✅ Bot Reconnected',
+        description: `Moderation resumed after ${formatDuration(data.downSeconds)} without a chat connection.`,
+        color: 0x2ecc71, // Green
+        fields: [roomField(context)],
+      }),
+    },
+  ],
+]);
+
+module.exports = {
+  EVENT_TEMPLATES,
+};
@@ -0,0 +1,375 @@
+const { domainToUnicode } = require('url');
+
+const { botLog } = require('../../lib/utils');
+const { parseGuidList, parseJsonField } = require('../../lib/utils/parsers');
+const { foldConfusables } = require('../../lib/utils/text-normalization.js');
+
+const LINK_ACTIONS = new Set(['delete', 'mute', 'notify']);
+
+// Hosts whose links are invites to other chat servers
+const INVITE_HOSTS = new Set([
+  'discord.gg',
+  'discord.io',
+  'discord.me',
+  'dsc.gg',
+]);
+const INVITE_PATH_HOSTS = new Set(['discord.com', 'discordapp.com']);
+
+// Without a scheme or "www." only these TLDs count as links, so that things
+// like "config.json" or "e.g." are not treated as domains
+const COMMON_TLDS = new Set([
+  'app',
+  'be',
+  'biz',
+  'cc',
+  'club',
+  'co',
+  'com',
+  'de',
+  'dev',
+  'es',
+  'eu',
+  'fr',
+  'fun',
+  'gg',
+  'info',
+  'io',
+  'it',
+  'link',
+  'live',
+  'ly',
+  'me',
+  'net',
+  'nl',
+  'online',
+  'org',
+  'pl',
+  'pro',
+  'ru',
+  'shop',
+  'site',
+  'store',
+  'su',
+  'to',
+  'top',
+  'tv',
+  'uk',
+  'us',
+  'win',
+  'xyz',
+]);
+
+const LABEL_PATTERN = /^[\p{L}\p{N}-]{1,63}$/u;
+const TLD_PATTERN = /^(?:\p{L}{2,63}|xn--[a-z0-9-]{1,59})$/u;
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]{0,15}:\/\//;
+const TRIM_PUNCTUATION = /^[("'<[{]+|[)"'>\]},.!?;:]+$/g;
+// Explicitly obfuscated separators: "(dot)", "[.]", " dot ", " . " and
+// " .gg". A dot directly after a word ("nice skin. Come on") is a sentence
+// break, not a separator.
+const DOT_WORDS = /\s*[([{]\s*(?:dot|\.)\s*[)\]}]\s*|\s+dot\s+|\s+\.\s*/gi;
+const SLASH_WORDS = /\s*[([{]\s*slash\s*[)\]}]\s*|\s+slash\s+|\s+\/\s*/gi;
+
+/**
+ * Link filter for removing advertising links and invites, with per-entity
+ * domain allow and deny lists.
+ */
+class LinkFilter {
+  constructor(config, stateManager) {
+    this.config = config;
+    this.stateManager = stateManager;
+    this.entityConfigs = new Map(); // entityId -> { rules, managerGuids, exemptUserGuids }
+  }
+
+  /**
+   * Normalizes a configured domain list.
+   * @param {unknown} rawDomains - Array of domains
+   * @returns {Array<string>} - Normalized domains without "www."
+   */
+  normalizeDomainList(rawDomains) {
+    if (!Array.isArray(rawDomains)) return [];
+
+    return rawDomains
+      .filter((domain) => typeof domain === 'string')
+      .map((domain) => this.normalizeHost(domain.trim()))
+      .filter(Boolean);
+  }
+
+  /**
+   * Normalizes the link_rules JSON of a profanity filter config.
+   * @param {object|string} rawRules - The raw link rules
+   * @returns {object|null} - Normalized rules or null if link filtering is off
+   */
+  normalizeRules(rawRules) {
+    const rules = parseJsonField(rawRules, null);
+    if (!rules || typeof rules !== 'object') return null;
+
+    const normalized = {
+      allowedDomains: this.normalizeDomainList(rules.allowed_domains),
+      deniedDomains: this.normalizeDomainList(rules.denied_domains),
+      blockInvites: rules.block_invites !== false,
+      action: LINK_ACTIONS.has(rules.action) ? rules.action : 'delete',
+    };
+
+    const hasRule =
+      normalized.allowedDomains.length > 0 ||
+      normalized.deniedDomains.length > 0 ||
+      normalized.blockInvites;
+    return hasRule ? normalized : null;
+  }
+
+  /**
+   * Configure entity with profanity filter config
+   * @param {string} entityId - The entity ID
+   * @param {object} profanityConfig - The profanity filter config
+   */
+  configureEntity(entityId, profanityConfig) {
+    const rules =
+      profanityConfig?.is_active &&
+      this.normalizeRules(profanityConfig.link_rules);
+    if (!rules) {
+      this.entityConfigs.delete(entityId);
+      return;
+    }
+
+    this.entityConfigs.set(entityId, {
+      rules,
+      managerGuids: Array.isArray(profanityConfig.manager_guids)
+        ? profanityConfig.manager_guids
+        : [],
+      exemptUserGuids: parseGuidList(profanityConfig.exempt_user_guids),
+    });
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `Configured link filter for entity ${entityId} (action: ${rules.action})`,
+    );
+  }
+
+  /**
+   * Normalizes a host: punycode decoded, look-alike letters folded and
+   * "www." removed.
+   * @param {string} host - The host
+   * @returns {string} - The normalized host
+   */
+  normalizeHost(host) {
+    const lowerHost = host.toLowerCase().replace(/\.$/, '');
+    const unicodeHost = lowerHost.includes('xn--')
+      ? domainToUnicode(lowerHost) || lowerHost
+      : lowerHost;
+    return foldConfusables(unicodeHost).replace(/^www\./, '');
+  }
+
+  /**
+   * Parses a whitespace-free token as a link.
+   * @param {string} token - The token
+   * @returns {object|null} - { host, path } or null if the token is not a link
+   */
+  parseLinkToken(token) {
+    const trimmed = token.replace(TRIM_PUNCTUATION, '');
+    if (!trimmed.includes('.')) return null;
+
+    const hasScheme = SCHEME_PATTERN.test(trimmed);
+    // E-mail addresses are not links
+    if (!hasScheme && trimmed.includes('@')) return null;
+    const withoutScheme = trimmed.replace(SCHEME_PATTERN, '');
+    const hostEnd = withoutScheme.search(/[/?#]/);
+    const hostWithPort =
+      hostEnd === -1 ? withoutScheme : withoutScheme.slice(0, hostEnd);
+    const path = hostEnd === -1 ? '' : withoutScheme.slice(hostEnd);
+    const rawHost = hostWithPort.replace(/^[^@]*@/, '').replace(/:\d*$/, '');
+
+    const labels = rawHost.replace(/\.$/, '').split('.');
+    if (labels.length < 2) return null;
+    if (!labels.every((label) => LABEL_PATTERN.test(label))) return null;
+
+    if (!TLD_PATTERN.test(labels[labels.length - 1])) return null;
+
+    const host = this.normalizeHost(rawHost);
+    const tld = host.split('.').pop();
+    if (!hasScheme && !rawHost.startsWith('www.') && !COMMON_TLDS.has(tld)) {
+      return null;
+    }
+
+    return { host, path };
+  }
+
+  /**
+   * Extracts links from a message.
+   * @param {string} normalizedContent - Message content after foldConfusables()
+   * @returns {Array<object>} - Links as { host, path }
+   */
+  extractLinks(normalizedContent) {
+    return normalizedContent
+      .split(/\s+/)
+      .map((token) => this.parseLinkToken(token))
+      .filter(Boolean);
+  }
+
+  /**
+   * Collapses spaced-out and spelled-out separators ("discord . gg / x",
+   * "site (dot) com") into plain dots and slashes. Other whitespace is kept,
+   * so words on either side of a sentence break stay apart.
+   * @param {string} normalizedContent - Message content after foldConfusables()
+   * @returns {string} - The collapsed text
+   */
+  collapseObfuscation(normalizedContent) {
+    return normalizedContent.replace(DOT_WORDS, '.').replace(SLASH_WORDS, '/');
+  }
+
+  /**
+   * Extracts host-like tokens from collapsed text. Unlike extractLinks(), any
+   * TLD is accepted, as these hosts are only compared with known domains.
+   * @param {string} collapsedContent - Output of collapseObfuscation()
+   * @returns {Array<object>} - Hosts as { host, path }
+   */
+  extractObfuscatedHosts(collapsedContent) {
+    return collapsedContent
+      .split(/\s+/)
+      .map((token) => {
+        const withoutScheme = token
+          .replace(TRIM_PUNCTUATION, '')
+          .replace(SCHEME_PATTERN, '');
+        const hostEnd = withoutScheme.search(/[/?#]/);
+        const rawHost =
+          hostEnd === -1 ? withoutScheme : withoutScheme.slice(0, hostEnd);
+        const labels = rawHost.replace(/\.$/, '').split('.');
+        if (
+          labels.length < 2 ||
+          !labels.every((label) => LABEL_PATTERN.test(label))
+        ) {
+          return null;
+        }
+        return {
+          host: this.normalizeHost(rawHost),
+          path: hostEnd === -1 ? '' : withoutScheme.slice(hostEnd),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Checks whether a host is a domain or a subdomain of one in a list.
+   * @param {string} host - The normalized host
+   * @param {Array<string>} domains - Normalized domains
+   * @returns {string|null} - The matched domain or null
+   */
+  findDomain(host, domains) {
+    return (
+      domains.find(
+        (domain) => host === domain || host.endsWith(`.${domain}`),
+      ) || null
+    );
+  }
+
+  /**
+   * Checks whether a link is an invite to another chat server.
+   * @param {object} link - { host, path }
+   * @returns {boolean} - True if the link is an invite
+   */
+  isInviteLink(link) {
+    if (INVITE_HOSTS.has(link.host)) return true;
+    return INVITE_PATH_HOSTS.has(link.host) && link.path.startsWith('/invite');
+  }
+
+  /**
+   * Checks a single link against the rules.
+   * @param {object} link - { host, path }
+   * @param {object} rules - Normalized link rules
+   * @returns {string|null} - Violation reason or null if allowed
+   */
+  checkLink(link, rules) {
+    if (this.findDomain(link.host, rules.allowedDomains)) return null;
+
+    if (rules.blockInvites && this.isInviteLink(link)) {
+      return `Invite link (${link.host})`;
+    }
+
+    const deniedDomain = this.findDomain(link.host, rules.deniedDomains);
+    if (deniedDomain) {
+      return `Denied domain (${deniedDomain})`;
+    }
+
+    if (rules.allowedDomains.length > 0) {
+      return `Domain not allowed (${link.host})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks for obfuscated invites and denied domains. Only known targets are
+   * matched, on label boundaries as in findDomain(), because collapsed text
+   * is not reliably a link. Invites need a code, so that talking about
+   * "discord . gg" is not a violation.
+   * @param {string} collapsedContent - Output of collapseObfuscation()
+   * @param {object} rules - Normalized link rules
+   * @returns {string|null} - Violation reason or null if nothing was found
+   */
+  checkObfuscated(collapsedContent, rules) {
+    for (const link of this.extractObfuscatedHosts(collapsedContent)) {
+      if (this.findDomain(link.host, rules.allowedDomains)) continue;
+
+      if (
+        rules.blockInvites &&
+        this.isInviteLink(link) &&
+        link.path.length > 1
+      ) {
+        return `Obfuscated invite link (${link.host})`;
+      }
+
+      const deniedDomain = this.findDomain(link.host, rules.deniedDomains);
+      if (deniedDomain) {
+        return `Obfuscated link to denied domain (${deniedDomain})`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks a message against the entity's link rules.
+   * @param {string} messageContent - The message content
+   * @param {string} entityId - The entity ID
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @returns {object|null} - { reason, action } or null if the message is allowed
+   */
+  checkMessage(messageContent, entityId, messageAuthorGuid) {
+    if (typeof messageContent !== 'string') return null;
+
+    const entityConfig = this.entityConfigs.get(entityId);
+    if (!entityConfig) return null;
+
+    // Bot, entity managers and exempt users (sponsors, casters) are exempt
+    if (
+      messageAuthorGuid === this.stateManager.getBotCredentials()?.bot_guid ||
+      entityConfig.managerGuids.includes(messageAuthorGuid) ||
+      entityConfig.exemptUserGuids.includes(messageAuthorGuid?.toLowerCase())
+    ) {
+      return null;
+    }
+
+    const { rules } = entityConfig;
+    const normalizedContent = foldConfusables(messageContent);
+
+    for (const link of this.extractLinks(normalizedContent)) {
+      const reason = this.checkLink(link, rules);
+      if (reason) return { reason, action: rules.action };
+    }
+
+    const reason = this.checkObfuscated(
+      this.collapseObfuscation(normalizedContent),
+      rules,
+    );
+    return reason ? { reason, action: rules.action } : null;
+  }
+
+  /**
+   * Clean up entity link rules
+   * @param {string} entityId - The entity ID
+   */
+  cleanupEntity(entityId) {
+    this.entityConfigs.delete(entityId);
+  }
+}
+
+module.exports = LinkFilter;
@@ -2,6 +2,34 @@ const { constants, apiConfig } = require('../../config');
 const { createApiClient } = require('../../lib/http/client.js');
 const { postRequest } = require('../../lib/http/client.js');
 const { botLog, idManager } = require('../../lib/utils');
+const { parseJsonField } = require('../../lib/utils/parsers');
+
+const DEFAULT_WARNING_MESSAGE =
+  'Please keep the chat clean. Further violations will get you muted.';
+
+// Profanity filter enforcement modes: log_only reports matches without acting,
+// warn replies without deleting or muting, enforce deletes and mutes
+const ENFORCEMENT_MODES = new Set(['log_only', 'warn', 'enforce']);
+
+// What happens to a banned word of a severity without configured actions.
+// A mute without a fixed duration follows the strike ladder.
+const DEFAULT_SEVERITY_ACTIONS = {
+  reply: true,
+  delete: true,
+  mute: true,
+  notify: true,
+  muteDurationSeconds: null,
+};
+
+/**
+ * Builds the result of an undo that could not be done.
+ * @param {string} error - Machine readable reason
+ * @param {string} message - Human readable reason
+ * @returns {object} - { success: false, error, message }
+ */
+function undoFailure(error, message) {
+  return { success: false, error, message };
+}
 
 /**
  * Moderation module for handling content moderation and user management.
@@ -13,6 +41,10 @@ class Moderation {
       stateManager,
       xmppActions,
       bannedWordsManager,
+      strikeManager,
+      auditLog,
+      linkFilter,
+      spamDetector,
       discordWebhookManager,
       profanityFilterConfigs = new Map(),
       xmppConfig,
@@ -22,9 +54,14 @@ class Moderation {
     this.stateManager = stateManager;
     this.xmppActions = xmppActions;
     this.bannedWordsManager = bannedWordsManager;
+    this.strikeManager = strikeManager;
+    this.auditLog = auditLog;
+    this.linkFilter = linkFilter;
+    this.spamDetector = spamDetector;
     this.discordWebhookManager = discordWebhookManager;
     this.profanityFilterConfigs = profanityFilterConfigs;
     this.xmppConfig = xmppConfig;
+    this.pendingUndos = new Set(); // "entityId:actionId" of undos in progress
   }
 
   /**
@@ -37,6 +74,72 @@ class Moderation {
     return config?.message_reply || null;
   }
 
+  /**
+   * Get the profanity filter enforcement mode for an entity
+   * @param {string} entityId - The entity ID
+   * @returns {string} 'log_only', 'warn' or 'enforce' (the default)
+   */
+  getEnforcementMode(entityId) {
+    const mode = this.profanityFilterConfigs.get(entityId)?.enforcement_mode;
+    return ENFORCEMENT_MODES.has(mode) ? mode : 'enforce';
+  }
+
+  /**
+   * Get the actions for a banned word of a severity, from the entity's
+   * severity_actions. Missing settings keep their defaults and muting always
+   * deletes the message.
+   * @param {string} entityId - The entity ID
+   * @param {string} severity - mild, severe or slur
+   * @returns {object} - { reply, delete, mute, notify, muteDurationSeconds }
+   */
+  getSeverityActions(entityId, severity) {
+    const severityActions = parseJsonField(
+      this.profanityFilterConfigs.get(entityId)?.severity_actions,
+      null,
+    );
+    const rawActions =
+      severityActions && typeof severityActions === 'object'
+        ? new Map(Object.entries(severityActions)).get(severity)
+        : null;
+    if (!rawActions || typeof rawActions !== 'object') {
+      return DEFAULT_SEVERITY_ACTIONS;
+    }
+
+    const flag = (value, defaultValue) =>
+      typeof value === 'boolean' ? value : defaultValue;
+    const muteDurationSeconds = Number(rawActions.mute_duration_seconds);
+    const mute = flag(rawActions.mute, DEFAULT_SEVERITY_ACTIONS.mute);
+
+    return {
+      reply: flag(rawActions.reply, DEFAULT_SEVERITY_ACTIONS.reply),
+      delete: mute || flag(rawActions.delete, DEFAULT_SEVERITY_ACTIONS.delete),
+      mute,
+      notify: flag(rawActions.notify, DEFAULT_SEVERITY_ACTIONS.notify),
+      muteDurationSeconds:
+        Number.isInteger(muteDurationSeconds) && muteDurationSeconds > 0
+          ? muteDurationSeconds
+          : null,
+    };
+  }
+
+  /**
+   * Send a moderation reply to a room
+   * @param {string} roomId - The room ID
+   * @param {string} text - The reply text
+   * @param {function} queueStanza - Function to queue stanzas
+   */
+  sendReply(roomId, text, queueStanza) {
+    const entityOrRoom = this.stateManager.hasEntity(roomId)
+      ? this.stateManager.getEntity(roomId)
+      : roomId;
+    queueStanza(this.xmppActions.sendMessage(entityOrRoom, text));
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Sent message reply: ${text}`,
+    );
+  }
+
   /**
    * Delete a message via FACEIT Chat Admin API
    * @param {string} messageId - The message ID to delete
@@ -57,6 +160,9 @@ class Moderation {
           'error',
           `[${roomId}] No access token available for message deletion`,
         );
+        this.notifyActionFailed(roomId, 'delete', messageAuthorGuid, {
+          message: 'No access token available',
+        });
         return false;
       }
 
@@ -125,12 +231,130 @@ class Moderation {
           `[${roomId}] Failed to delete message ${messageId}: ${error.message}`,
         );
       }
+      this.notifyActionFailed(roomId, 'delete', messageAuthorGuid, error);
       return false;
     }
   }
 
   /**
-   * Checks if a message contains banned words and handles moderation.
+   * Tells the entity's staff that a delete or mute failed, e.g. because the
+   * bot lacks moderation permissions. Callers do not need to await this.
+   * @param {string} roomId - The room ID
+   * @param {string} action - "delete" or "mute"
+   * @param {string} userGuid - The affected user
+   * @param {Error|object} error - The error, with a message
+   */
+  notifyActionFailed(roomId, action, userGuid, error) {
+    this.discordWebhookManager.sendActionFailedNotification(roomId, {
+      action,
+      userGuid,
+      error: error.message,
+      permissionDenied: error.message.includes('HTTP 403'),
+    });
+  }
+
+  /**
+   * Records a moderation action in the audit log, if one is configured.
+   * Callers do not need to await this.
+   * @param {string} roomId - The room ID
+   * @param {object} entry - The action, see ModerationAuditLog.record()
+   * @returns {Promise<number|null>} - The action ID or null if not recorded
+   */
+  recordAction(roomId, entry) {
+    if (!this.auditLog) {
+      return Promise.resolve(null);
+    }
+    return this.auditLog.record(roomId, entry);
+  }
+
+  /**
+   * Deletes a message and mutes its author, recording both in the audit log.
+   * A mute duration of 0 only deletes the message.
+   * @param {string} roomId - The room ID
+   * @param {object} action - The action
+   * @param {string} action.messageId - The message ID
+   * @param {string} action.messageAuthorGuid - The message author GUID
+   * @param {string} action.messageContent - The message content
+   * @param {string} action.reason - Why the message was moderated
+   * @param {number} action.muteDurationSeconds - Mute duration in seconds
+   * @param {string|null} action.details - Human readable details for the audit log
+   * @param {string|null} action.matchedWord - The banned word that matched, if any
+   * @param {string|null} action.severity - The matched word's severity, if any
+   * @returns {Promise<object>} - { deleted, muted, muteActionId }
+   */
+  async deleteAndMute(roomId, action) {
+    const {
+      messageId,
+      messageAuthorGuid,
+      messageContent,
+      reason,
+      muteDurationSeconds = 0,
+      details = null,
+      matchedWord = null,
+      severity = null,
+    } = action;
+
+    // Delete message via Chat Admin API
+    const deleted = await this.deleteMessage(
+      messageId,
+      messageAuthorGuid,
+      roomId,
+    );
+    if (!deleted) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${roomId}] Failed to delete message ${messageId} via API`,
+      );
+    }
+    this.recordAction(roomId, {
+      action: 'delete',
+      reason,
+      userGuid: messageAuthorGuid,
+      messageId,
+      messageContent,
+      success: deleted,
+      details,
+      matchedWord,
+      severity,
+    });
+
+    if (!muteDurationSeconds || muteDurationSeconds <= 0) {
+      return { deleted, muted: false, muteActionId: null };
+    }
+
+    // Mute user via Chat Admin API
+    const muted = await this.muteUser(
+      messageAuthorGuid,
+      roomId,
+      muteDurationSeconds,
+    );
+    if (!muted) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${roomId}] Failed to mute user ${messageAuthorGuid} via API`,
+      );
+    }
+    // Awaited so notifications can link to the mute for undoing it
+    const muteActionId = await this.recordAction(roomId, {
+      action: 'mute',
+      reason,
+      userGuid: messageAuthorGuid,
+      messageId,
+      durationSeconds: muteDurationSeconds,
+      success: muted,
+      details,
+      matchedWord,
+      severity,
+    });
+
+    return { deleted, muted, muteActionId };
+  }
+
+  /**
+   * Checks if a message contains banned words and handles moderation. The
+   * most severe matched word decides the actions (see getSeverityActions()).
    * @param {string} messageContent - The message content
    * @param {string} roomId - The room ID
    * @param {string} messageAuthorGuid - The message author GUID
@@ -145,82 +369,303 @@ class Moderation {
     messageId,
     queueStanza,
   ) {
-    if (
-      this.bannedWordsManager.checkBannedWords(
-        messageContent,
-        roomId,
-        messageAuthorGuid,
-      )
-    ) {
+    const match = this.bannedWordsManager.checkBannedWords(
+      messageContent,
+      roomId,
+      messageAuthorGuid,
+    );
+    if (!match) {
+      return false;
+    }
+
+    const { word: matchedWord, severity } = match;
+    const enforcementMode = this.getEnforcementMode(roomId);
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Banned word "${matchedWord}" (${severity}) detected from user ${messageAuthorGuid} (mode: ${enforcementMode}).`,
+    );
+
+    if (enforcementMode === 'log_only') {
+      // Report only; the message stays and the user gets no strike
       botLog(
         this.config.botId,
-        'verbose',
-        `[${roomId}] Banned word detected from user ${messageAuthorGuid}.`,
+        'log',
+        `[${roomId}] Log-only mode: not acting on banned word from user ${messageAuthorGuid}`,
       );
+      this.discordWebhookManager.sendBannedWordsNotification(
+        roomId,
+        messageContent,
+        messageAuthorGuid,
+        roomId,
+        { mode: enforcementMode, matchedWord, severity, messageId },
+      );
+      this.recordAction(roomId, {
+        action: 'detect',
+        reason: 'banned_word',
+        userGuid: messageAuthorGuid,
+        messageId,
+        messageContent,
+        details: 'Log-only mode',
+        matchedWord,
+        severity,
+      });
+      return false;
+    }
 
-      // Send Discord notification
+    if (enforcementMode === 'warn') {
+      // Reply without deleting the message, muting or adding a strike
       this.discordWebhookManager.sendBannedWordsNotification(
         roomId,
         messageContent,
         messageAuthorGuid,
         roomId,
+        {
+          mode: enforcementMode,
+          warned: true,
+          matchedWord,
+          severity,
+          messageId,
+        },
+      );
+      this.sendReply(
+        roomId,
+        this.getMessageReply(roomId) || DEFAULT_WARNING_MESSAGE,
+        queueStanza,
       );
+      this.recordAction(roomId, {
+        action: 'warn',
+        reason: 'banned_word',
+        userGuid: messageAuthorGuid,
+        messageId,
+        messageContent,
+        details: 'Warn mode',
+        matchedWord,
+        severity,
+      });
+      return true;
+    }
 
-      // Send message reply if configured
-      const messageReply = this.getMessageReply(roomId);
-      if (messageReply) {
-        const entityOrRoom = this.stateManager.hasEntity(roomId)
-          ? this.stateManager.getEntity(roomId)
-          : roomId;
-        const replyStanza = this.xmppActions.sendMessage(
-          entityOrRoom,
-          messageReply,
-        );
-        queueStanza(replyStanza);
-        botLog(
-          this.config.botId,
-          'verbose',
-          `[${roomId}] Sent message reply: ${messageReply}`,
-        );
+    const actions = this.getSeverityActions(roomId, severity);
+
+    // Muting severities add a strike and escalate through the entity's
+    // strike ladder, unless they have a fixed mute duration
+    let strikeCount = null;
+    let muteDuration = 0;
+    if (actions.mute) {
+      const profanityConfig = this.profanityFilterConfigs.get(roomId);
+      let step;
+      ({ strikeCount, step } = this.strikeManager
+        ? await this.strikeManager.addStrike(roomId, messageAuthorGuid)
+        : {
+            strikeCount: null,
+            step: {
+              type: 'mute',
+              durationSeconds:
+                profanityConfig?.mute_duration_seconds ??
+                constants.moderation.bannedWordMuteDuration,
+            },
+          });
+      if (actions.muteDurationSeconds !== null) {
+        muteDuration = actions.muteDurationSeconds;
+      } else if (step.type === 'mute') {
+        muteDuration = step.durationSeconds;
       }
+    }
+    const warned = muteDuration === 0;
+
+    // Send message reply if configured, or a warning when not muting
+    const messageReply = actions.reply
+      ? this.getMessageReply(roomId) ||
+        (warned ? DEFAULT_WARNING_MESSAGE : null)
+      : null;
+    if (messageReply) {
+      this.sendReply(roomId, messageReply, queueStanza);
+    }
+
+    const details = [
+      `Severity ${severity}`,
+      ...(strikeCount ? [`strike ${strikeCount}`] : []),
+    ].join(', ');
+    if (warned && messageReply) {
+      this.recordAction(roomId, {
+        action: 'warn',
+        reason: 'banned_word',
+        userGuid: messageAuthorGuid,
+        messageId,
+        messageContent,
+        details,
+        matchedWord,
+        severity,
+      });
+    }
 
-      // Delete message via Chat Admin API
-      const messageDeleted = await this.deleteMessage(
+    let muted = false;
+    let muteActionId = null;
+    if (actions.delete) {
+      ({ muted, muteActionId } = await this.deleteAndMute(roomId, {
         messageId,
         messageAuthorGuid,
+        messageContent,
+        reason: 'banned_word',
+        muteDurationSeconds: muteDuration,
+        details,
+        matchedWord,
+        severity,
+      }));
+    }
+
+    if (actions.notify) {
+      this.discordWebhookManager.sendBannedWordsNotification(
+        roomId,
+        messageContent,
+        messageAuthorGuid,
         roomId,
+        {
+          mode: enforcementMode,
+          strikeCount,
+          warned,
+          deleted: actions.delete,
+          muteDuration,
+          matchedWord,
+          severity,
+          messageId,
+          undoActionId: muted ? muteActionId : null,
+        },
       );
-      if (!messageDeleted) {
-        botLog(
-          this.config.botId,
-          'warn',
-          `[${roomId}] Failed to delete message ${messageId} via API`,
-        );
-      }
+    }
 
-      // Mute user via Chat Admin API
-      const profanityConfig = this.profanityFilterConfigs.get(roomId);
-      const muteDuration =
-        profanityConfig?.mute_duration_seconds ??
-        constants.moderation.bannedWordMuteDuration;
+    return actions.delete || messageReply !== null;
+  }
+
+  /**
+   * Checks a message for links and invites the entity does not allow and
+   * applies the configured action: delete the message, delete it and mute the
+   * author, or only notify.
+   * @param {string} messageContent - The message content
+   * @param {string} roomId - The room ID
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @param {string} messageId - The message ID
+   * @returns {Promise<boolean>} - True if message was moderated, false otherwise
+   */
+  async checkLinks(messageContent, roomId, messageAuthorGuid, messageId) {
+    if (!this.linkFilter) {
+      return false;
+    }
+
+    const violation = this.linkFilter.checkMessage(
+      messageContent,
+      roomId,
+      messageAuthorGuid,
+    );
+    if (!violation) {
+      return false;
+    }
+
+    const profanityConfig = this.profanityFilterConfigs.get(roomId);
+    const muteDurationSeconds =
+      violation.action === 'mute'
+        ? (profanityConfig?.mute_duration_seconds ??
+          constants.moderation.bannedWordMuteDuration)
+        : 0;
 
-      const userMuted = await this.muteUser(
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Link filter (${violation.action}) matched message from user ${messageAuthorGuid}: ${violation.reason}.`,
+    );
+
+    if (violation.action === 'notify') {
+      this.discordWebhookManager.sendLinkNotification(roomId, {
+        messageContent,
         messageAuthorGuid,
-        roomId,
-        muteDuration,
-      );
-      if (!userMuted) {
-        botLog(
-          this.config.botId,
-          'warn',
-          `[${roomId}] Failed to mute user ${messageAuthorGuid} via API`,
-        );
-      }
+        reason: violation.reason,
+        action: violation.action,
+        muteDurationSeconds,
+      });
+      this.recordAction(roomId, {
+        action: 'detect',
+        reason: 'link',
+        userGuid: messageAuthorGuid,
+        messageId,
+        messageContent,
+        details: violation.reason,
+      });
+      return false;
+    }
 
-      return true;
+    const { muted, muteActionId } = await this.deleteAndMute(roomId, {
+      messageId,
+      messageAuthorGuid,
+      messageContent,
+      reason: 'link',
+      muteDurationSeconds,
+      details: violation.reason,
+    });
+
+    this.discordWebhookManager.sendLinkNotification(roomId, {
+      messageContent,
+      messageAuthorGuid,
+      reason: violation.reason,
+      action: violation.action,
+      muteDurationSeconds,
+      undoActionId: muted ? muteActionId : null,
+    });
+
+    return true;
+  }
+
+  /**
+   * Checks a message against the entity's spam rules and deletes it and mutes
+   * the author with an escalating duration when a rule is violated.
+   * @param {string} messageContent - The message content
+   * @param {string} roomId - The room ID
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @param {string} messageId - The message ID
+   * @returns {Promise<boolean>} - True if message was moderated, false otherwise
+   */
+  async checkSpam(messageContent, roomId, messageAuthorGuid, messageId) {
+    if (!this.spamDetector) {
+      return false;
     }
 
-    return false;
+    const violation = this.spamDetector.checkMessage(
+      messageContent,
+      roomId,
+      messageAuthorGuid,
+    );
+    if (!violation) {
+      return false;
+    }
+
+    const { violationCount, muteDurationSeconds } =
+      this.spamDetector.recordViolation(roomId, messageAuthorGuid);
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${roomId}] Spam (${violation.rule}) detected from user ${messageAuthorGuid}: ${violation.reason} (violation #${violationCount}).`,
+    );
+
+    const { muted, muteActionId } = await this.deleteAndMute(roomId, {
+      messageId,
+      messageAuthorGuid,
+      messageContent,
+      reason: 'spam',
+      muteDurationSeconds,
+      details: `${violation.rule}: ${violation.reason} (violation #${violationCount})`,
+    });
+
+    this.discordWebhookManager.sendSpamNotification(roomId, {
+      messageContent,
+      messageAuthorGuid,
+      reason: violation.reason,
+      violationCount,
+      muteDurationSeconds,
+      undoActionId: muted ? muteActionId : null,
+    });
+
+    return true;
   }
 
   /**
@@ -238,7 +683,7 @@ class Moderation {
     roomId,
     messageAuthorGuid,
     messageId,
-    _messageContent,
+    messageContent,
     _queueStanza,
   ) {
     if (roomConfig.read_only) {
@@ -248,33 +693,21 @@ class Moderation {
         `[${roomId}] Read-only violation from user ${messageAuthorGuid}.`,
       );
 
-      // Delete message via Chat Admin API
-      const messageDeleted = await this.deleteMessage(
+      const muteDurationSeconds = constants.moderation.readOnlyMuteDuration;
+      const { muted } = await this.deleteAndMute(roomId, {
         messageId,
         messageAuthorGuid,
-        roomId,
-      );
-      if (!messageDeleted) {
-        botLog(
-          this.config.botId,
-          'warn',
-          `[${roomId}] Failed to delete message ${messageId} via API`,
-        );
-      }
+        messageContent,
+        reason: 'read_only',
+        muteDurationSeconds,
+      });
 
-      // Mute user via Chat Admin API
-      const userMuted = await this.muteUser(
+      this.discordWebhookManager.sendReadOnlyNotification(roomId, {
+        messageContent,
         messageAuthorGuid,
-        roomId,
-        constants.moderation.readOnlyMuteDuration,
-      );
-      if (!userMuted) {
-        botLog(
-          this.config.botId,
-          'warn',
-          `[${roomId}] Failed to mute user ${messageAuthorGuid} via API`,
-        );
-      }
+        muted,
+        muteDurationSeconds,
+      });
 
       return true;
     }
@@ -282,6 +715,23 @@ class Moderation {
     return false;
   }
 
+  /**
+   * Build the FACEIT Chat Admin API URL that mutes a user in a room's club
+   * @param {string} userGuid - The user GUID
+   * @param {string} roomId - The room ID
+   * @returns {string} - The mute URL
+   */
+  getMuteUrl(userGuid, roomId) {
+    // Channels (chat, ihl) are muted through their parent club
+    const entity = this.stateManager.getEntity(roomId);
+    const apiClubId =
+      entity && (entity.type === 'chat' || entity.type === 'ihl')
+        ? entity.parent_guid || entity.permissions?.parent_guid || roomId
+        : roomId;
+
+    return `${apiConfig.chatAdminUrl}/club/${apiClubId}/member/${userGuid}:mute`;
+  }
+
   /**
    * Mute a user via FACEIT Chat Admin API
    * @param {string} userGuid - The user GUID to mute
@@ -309,6 +759,9 @@ class Moderation {
           'error',
           `[${roomId}] No access token available for user muting`,
         );
+        this.notifyActionFailed(roomId, 'mute', userGuid, {
+          message: 'No access token available',
+        });
         return false;
       }
 
@@ -317,15 +770,7 @@ class Moderation {
         Date.now() + durationSeconds * 1000,
       ).toISOString();
 
-      // Determine which club (community) ID to use for muting
-      const entity = this.stateManager.getEntity(roomId);
-      const apiClubId =
-        entity && (entity.type === 'chat' || entity.type === 'ihl')
-          ? entity.parent_guid || entity.permissions?.parent_guid || roomId
-          : roomId;
-
-      // Construct the API URL
-      const url = `${apiConfig.chatAdminUrl}/club/${apiClubId}/member/${userGuid}:mute`;
+      const url = this.getMuteUrl(userGuid, roomId);
 
       botLog(
         this.config.botId,
@@ -364,10 +809,229 @@ class Moderation {
           `[${roomId}] Failed to mute user ${userGuid}: ${error.message}`,
         );
       }
+      this.notifyActionFailed(roomId, 'mute', userGuid, error);
       return false;
     }
   }
 
+  /**
+   * Lift a user's mute via FACEIT Chat Admin API by ending it now. Unlike a
+   * chat stanza, the API response confirms that the mute was lifted.
+   * @param {string} userGuid - The user GUID to unmute
+   * @param {string} roomId - The room ID
+   * @returns {Promise<boolean>} - True if the API lifted the mute
+   */
+  async liftMute(userGuid, roomId) {
+    const accessToken = this.stateManager.getBotCredentials()?.bot_token;
+    if (!accessToken) {
+      botLog(
+        this.config.botId,
+        'error',
+        `[${roomId}] No access token available for lifting a mute`,
+      );
+      return false;
+    }
+
+    try {
+      await postRequest(
+        this.getMuteUrl(userGuid, roomId),
+        { until: new Date().toISOString() },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+
+      botLog(
+        this.config.botId,
+        'verbose',
+        `[${roomId}] Lifted mute of user ${userGuid} via API`,
+      );
+      return true;
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${roomId}] Failed to lift mute of user ${userGuid}: ${error.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Adds a word or phrase to an entity's banned words allowlist. The database
+   * API notifies this worker to reload the filter configuration.
+   * @param {string} entityId - The entity ID
+   * @param {string} word - The word or phrase to allow
+   * @returns {Promise<boolean>} - True if the allowlist was updated
+   */
+  async addAllowedWord(entityId, word) {
+    try {
+      await postRequest(
+        `${apiConfig.baseUrl}/profanity-filter-config/${entityId}/allowed-words`,
+        { word },
+      );
+      return true;
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to add "${word}" to the allowlist: ${error.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Undoes an automated mute: unmutes the user, records the reversal in the
+   * audit log, takes back the banned word strike and optionally allowlists
+   * the word or phrase that caused the false positive. Only one undo per mute
+   * runs at a time, so two quick clicks on an undo link cannot both pass the
+   * "already undone" check.
+   * @param {string} entityId - The entity ID
+   * @param {number|string} actionId - The audit log ID of the mute
+   * @param {object} options - Undo options
+   * @param {string|null} options.moderatorGuid - Who requested the undo (null for signed links)
+   * @param {string|null} options.allowedWord - Word or phrase to allowlist
+   * @returns {Promise<object>} - { success, userGuid, reversedActionId, allowlisted } or { success: false, error, message }
+   */
+  async undoMute(entityId, actionId, options) {
+    if (!this.auditLog) {
+      return undoFailure(
+        'unavailable',
+        'The moderation audit log is not available.',
+      );
+    }
+
+    const undoKey = `${entityId}:${actionId}`;
+    if (this.pendingUndos.has(undoKey)) {
+      return undoFailure('in_progress', 'This mute is already being undone.');
+    }
+
+    this.pendingUndos.add(undoKey);
+    try {
+      return await this.reverseMute(entityId, actionId, options);
+    } finally {
+      this.pendingUndos.delete(undoKey);
+    }
+  }
+
+  /**
+   * Does the work of undoMute() while the mute is locked. The unmute is
+   * recorded before the lock is released, so a later undo sees it.
+   * @param {string} entityId - The entity ID
+   * @param {number|string} actionId - The audit log ID of the mute
+   * @param {object} options - See undoMute()
+   * @returns {Promise<object>} - See undoMute()
+   */
+  async reverseMute(entityId, actionId, options) {
+    const { moderatorGuid = null, allowedWord = null } = options;
+
+    let mute;
+    try {
+      mute = await this.auditLog.getAction(entityId, actionId);
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to look up action ${actionId} for undo: ${error.message}`,
+      );
+      return undoFailure('lookup_failed', 'Failed to look up the mute.');
+    }
+
+    if (!mute) {
+      return undoFailure('not_found', `Action ${actionId} not found.`);
+    }
+    if (mute.action !== 'mute' || mute.moderator_guid || !mute.success) {
+      return undoFailure(
+        'not_reversible',
+        'Only successful automated mutes can be undone.',
+      );
+    }
+    if (mute.reversed_by_action_id) {
+      return undoFailure('already_reversed', 'This mute was already undone.');
+    }
+
+    const userGuid = mute.user_guid;
+    const unmuted = await this.liftMute(userGuid, entityId);
+    const unmuteActionId = await this.recordAction(entityId, {
+      action: 'unmute',
+      reason: 'undo',
+      userGuid,
+      moderatorGuid,
+      success: unmuted,
+      details: `Undo of ${mute.reason} mute`,
+      reversesActionId: mute.action_id,
+    });
+    if (!unmuted) {
+      return undoFailure('unmute_failed', 'Failed to unmute user.');
+    }
+    if (!unmuteActionId) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Undo of mute ${mute.action_id} was not recorded; its link still works`,
+      );
+    }
+
+    // A mistaken mute should not escalate the next one
+    if (mute.reason === 'banned_word' && this.strikeManager) {
+      await this.strikeManager.removeStrike(entityId, userGuid);
+    }
+
+    const allowlisted = allowedWord
+      ? await this.addAllowedWord(entityId, allowedWord)
+      : false;
+
+    botLog(
+      this.config.botId,
+      'log',
+      `[${entityId}] Undid ${mute.reason} mute ${mute.action_id} of user ${userGuid}${allowlisted ? ` and allowed "${allowedWord}"` : ''}`,
+    );
+
+    return {
+      success: true,
+      userGuid,
+      reversedActionId: mute.action_id,
+      allowlisted,
+    };
+  }
+
+  /**
+   * Undoes the most recent automated mute of a user.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @param {object} options - See undoMute()
+   * @returns {Promise<object>} - See undoMute()
+   */
+  async undoLatestMute(entityId, userGuid, options) {
+    if (!this.auditLog) {
+      return undoFailure(
+        'unavailable',
+        'The moderation audit log is not available.',
+      );
+    }
+
+    let mute;
+    try {
+      mute = await this.auditLog.findLatestAutomatedMute(entityId, userGuid);
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to look up mutes of user ${userGuid}: ${error.message}`,
+      );
+      return undoFailure('lookup_failed', 'Failed to look up the mute.');
+    }
+
+    if (!mute) {
+      return undoFailure('not_found', 'No automated mute found for this user.');
+    }
+
+    return this.undoMute(entityId, mute.action_id, options);
+  }
+
   /**
    * Processes moderation for a message.
    * @param {object} messageData - The processed message data
@@ -392,6 +1056,18 @@ class Moderation {
       return true;
     }
 
+    // Check links and invites
+    if (
+      await this.checkLinks(
+        messageContent,
+        roomId,
+        messageAuthorGuid,
+        messageId,
+      )
+    ) {
+      return true;
+    }
+
     // Enforce read-only mode
     if (
       await this.enforceReadOnlyMode(
@@ -406,6 +1082,13 @@ class Moderation {
       return true;
     }
 
+    // Check flood and spam rules
+    if (
+      await this.checkSpam(messageContent, roomId, messageAuthorGuid, messageId)
+    ) {
+      return true;
+    }
+
     return false;
   }
 }
@@ -0,0 +1,122 @@
+const { constants } = require('../../../config');
+
+// Message content and embeds may quote chat messages and nicknames, so no
+// "@everyone", "@here", role or user mention in them may ping anyone
+const ALLOWED_MENTIONS = Object.freeze({ parse: [] });
+
+/**
+ * Counts the characters Discord limits across all embeds of a message
+ * @param {object} embed - The embed
+ * @returns {number} - Length of title, description, field, footer and author texts
+ */
+function getEmbedLength(embed) {
+  let length =
+    (embed.title?.length || 0) +
+    (embed.description?.length || 0) +
+    (embed.footer?.text?.length || 0) +
+    (embed.author?.name?.length || 0);
+  for (const field of embed.fields || []) {
+    length += String(field.name).length + String(field.value).length;
+  }
+  return length;
+}
+
+/**
+ * Combines as many pending payloads as fit into one Discord message.
+ * Payloads are only combined if they have the same content.
+ * @param {Array<object>} pending - The pending payloads
+ * @returns {object} - { payload, count }
+ */
+function takeDiscordBatch(pending) {
+  const { maxEmbedsPerMessage, maxEmbedCharacters } =
+    constants.notificationDelivery;
+  const content = pending[0].content;
+  const embeds = [];
+  let length = 0;
+  let count = 0;
+
+  for (const payload of pending) {
+    const payloadEmbeds = payload.embeds || [];
+    const payloadLength = payloadEmbeds.reduce(
+      (sum, embed) => sum + getEmbedLength(embed),
+      0,
+    );
+    if (
+      count > 0 &&
+      (payload.content !== content ||
+        embeds.length + payloadEmbeds.length > maxEmbedsPerMessage ||
+        length + payloadLength > maxEmbedCharacters)
+    ) {
+      break;
+    }
+    embeds.push(...payloadEmbeds);
+    length += payloadLength;
+    count++;
+  }
+
+  return {
+    payload: {
+      ...(content && { content }),
+      embeds,
+      allowed_mentions: ALLOWED_MENTIONS,
+    },
+    count,
+  };
+}
+
+/**
+ * Notification sink for a Discord webhook. Sends the event embeds as they
+ * are and combines bursts into messages with several embeds.
+ */
+class DiscordSink {
+  /**
+   * @param {object} options - Sink options
+   * @param {string} options.url - The Discord webhook URL
+   * @param {string|null} options.customMessage - Replaces the entity's message content (optional)
+   */
+  constructor({ url, customMessage = null }) {
+    this.type = 'discord';
+    this.url = url;
+    this.customMessage = customMessage;
+  }
+
+  /**
+   * Name for logs and metrics; the URL contains the webhook token
+   * @returns {string} - e.g. "discord:1234567890"
+   */
+  get name() {
+    const match = this.url.match(/\/webhooks\/(\d+)\//);
+    return `discord:${match ? match[1] : 'unknown'}`;
+  }
+
+  /**
+   * Sinks with the same key share a delivery queue
+   * @returns {string} - The queue key
+   */
+  get queueKey() {
+    return `discord:${this.url}`;
+  }
+
+  /**
+   * Delivery queue options for this sink
+   * @returns {object} - { takeBatch }
+   */
+  getQueueOptions() {
+    return { takeBatch: takeDiscordBatch };
+  }
+
+  /**
+   * Builds the webhook payload for a notification
+   * @param {object} notification - { eventType, entityId, entityName, embed, content, data }
+   * @returns {object} - The Discord webhook payload
+   */
+  format({ embed, content }) {
+    return {
+      ...(content && { content: this.customMessage || content }),
+      embeds: [embed],
+      allowed_mentions: ALLOWED_MENTIONS,
+    };
+  }
+}
+
+module.exports = DiscordSink;
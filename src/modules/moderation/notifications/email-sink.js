@@ -0,0 +1,99 @@
+const {
+  createSignature,
+  createSignedRequest,
+} = require('../../../lib/utils/signing.js');
+
+/**
+ * Converts the Markdown of event embeds to plain text: links become
+ * "label (url)" and emphasis and code marks are removed
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+function toPlainText(text) {
+  return String(text ?? '')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+    .replace(/\*\*|__|~~|`/g, '');
+}
+
+/**
+ * Notification sink for email. The bot does not speak SMTP: each
+ * notification is formatted as a mail ({ to, subject, text }) and posted to
+ * an HTTPS mail relay, which sends it on. Requests are signed like those of
+ * the webhook sink.
+ */
+class EmailSink {
+  /**
+   * @param {object} options - Sink options
+   * @param {string} options.url - The HTTPS endpoint of the mail relay
+   * @param {string} options.secret - Shared secret for the signature
+   * @param {Array<string>} options.to - Recipient addresses
+   * @param {string|null} options.customMessage - Replaces the entity's message content (optional)
+   */
+  constructor({ url, secret, to, customMessage = null }) {
+    this.type = 'email';
+    this.url = url;
+    this.secret = secret;
+    this.to = to;
+    this.customMessage = customMessage;
+  }
+
+  /**
+   * Name for logs and metrics, without the recipients' addresses
+   * @returns {string} - e.g. "email:mail-relay.example.com"
+   */
+  get name() {
+    return `email:${new URL(this.url).hostname}`;
+  }
+
+  /**
+   * Sinks with the same key share a delivery queue. The relay is called with
+   * the sink's secret, so the key depends on it.
+   * @returns {string} - The queue key
+   */
+  get queueKey() {
+    return `email:${this.url}:${createSignature(this.url, this.secret)}`;
+  }
+
+  /**
+   * Delivery queue options for this sink. Mails are sent one at a time and
+   * signed when sent, so retries carry a fresh timestamp.
+   * @returns {object} - { encode }
+   */
+  getQueueOptions() {
+    return {
+      encode: (payload) => createSignedRequest(payload, this.secret),
+    };
+  }
+
+  /**
+   * Builds the mail for a notification
+   * @param {object} notification - { eventType, entityId, entityName, embed, content, data }
+   * @returns {object} - { to, subject, text }
+   */
+  format({ entityId, entityName, embed, content }) {
+    const lines = [];
+    if (content) {
+      lines.push(toPlainText(this.customMessage || content), '');
+    }
+    if (embed.description) {
+      lines.push(toPlainText(embed.description), '');
+    }
+    for (const field of embed.fields) {
+      lines.push(`${toPlainText(field.name)}: ${toPlainText(field.value)}`);
+    }
+    lines.push(
+      '',
+      embed.footer?.text
+        ? `${embed.footer.text}, ${embed.timestamp}`
+        : embed.timestamp,
+    );
+
+    return {
+      to: this.to,
+      subject: `[${entityName || entityId}] ${toPlainText(embed.title)}`,
+      text: lines.join('\n').trim(),
+    };
+  }
+}
+
+module.exports = EmailSink;
@@ -0,0 +1,132 @@
+/**
+ * @file sinks.js
+ * Notification sinks: where an entity's moderation events are sent. Every
+ * sink has a type, a name without secrets (for logs and metrics), a queueKey
+ * (sinks with the same key share a delivery queue), getQueueOptions() for
+ * the delivery queue and format(notification), which turns an event embed
+ * into the sink's payload.
+ */
+
+const {
+  isValidArray,
+  isValidDiscordWebhookUrl,
+  isValidEmailAddress,
+  isValidHttpsUrl,
+  isValidSlackWebhookUrl,
+  isValidString,
+} = require('../../../lib/utils/validation.js');
+
+const DiscordSink = require('./discord-sink.js');
+const EmailSink = require('./email-sink.js');
+const SlackSink = require('./slack-sink.js');
+const WebhookSink = require('./webhook-sink.js');
+
+// Sinks an entity may configure in notification_sinks
+const MAX_SINKS_PER_ENTITY = 5;
+const MIN_SECRET_LENGTH = 16;
+const MAX_EMAIL_RECIPIENTS = 10;
+// Discord rejects message content over 2000 characters
+const MAX_CUSTOM_MESSAGE_LENGTH = 2000;
+
+const SINK_TYPES = new Map([
+  [
+    'discord',
+    {
+      isValidUrl: isValidDiscordWebhookUrl,
+      create: (rawSink) =>
+        new DiscordSink({
+          url: rawSink.url,
+          customMessage: rawSink.custom_message,
+        }),
+    },
+  ],
+  [
+    'slack',
+    {
+      isValidUrl: isValidSlackWebhookUrl,
+      create: (rawSink) =>
+        new SlackSink({
+          url: rawSink.url,
+          customMessage: rawSink.custom_message,
+        }),
+    },
+  ],
+  [
+    'webhook',
+    {
+      isValidUrl: isValidHttpsUrl,
+      validate: (rawSink) =>
+        isValidString(rawSink.secret, MIN_SECRET_LENGTH, 256)
+          ? null
+          : `a webhook sink needs a secret of at least ${MIN_SECRET_LENGTH} characters`,
+      create: (rawSink) =>
+        new WebhookSink({ url: rawSink.url, secret: rawSink.secret }),
+    },
+  ],
+  [
+    'email',
+    {
+      isValidUrl: isValidHttpsUrl,
+      validate: (rawSink) => {
+        if (!isValidString(rawSink.secret, MIN_SECRET_LENGTH, 256)) {
+          return `an email sink needs a secret of at least ${MIN_SECRET_LENGTH} characters`;
+        }
+        const to = typeof rawSink.to === 'string' ? [rawSink.to] : rawSink.to;
+        return isValidArray(to, 1, MAX_EMAIL_RECIPIENTS) &&
+          to.every(isValidEmailAddress)
+          ? null
+          : `an email sink needs "to": 1 to ${MAX_EMAIL_RECIPIENTS} email addresses`;
+      },
+      create: (rawSink) =>
+        new EmailSink({
+          url: rawSink.url,
+          secret: rawSink.secret,
+          to: typeof rawSink.to === 'string' ? [rawSink.to] : rawSink.to,
+          customMessage: rawSink.custom_message,
+        }),
+    },
+  ],
+]);
+
+/**
+ * Creates a sink from a notification_sinks entry
+ * @param {unknown} rawSink - The entry: { type, url, secret?, to?, custom_message?, events? }
+ * @returns {object} - { sink } or { error }
+ */
+function createSink(rawSink) {
+  if (!rawSink || typeof rawSink !== 'object' || Array.isArray(rawSink)) {
+    return { error: 'sink must be an object' };
+  }
+
+  const sinkType = SINK_TYPES.get(rawSink.type);
+  if (!sinkType) {
+    return {
+      error: `unknown sink type "${rawSink.type}" (expected ${Array.from(SINK_TYPES.keys()).join(', ')})`,
+    };
+  }
+  if (!sinkType.isValidUrl(rawSink.url)) {
+    return { error: `invalid ${rawSink.type} URL` };
+  }
+
+  const error = sinkType.validate?.(rawSink);
+  if (error) {
+    return { error };
+  }
+
+  if (
+    rawSink.custom_message !== undefined &&
+    !isValidString(rawSink.custom_message, 1, MAX_CUSTOM_MESSAGE_LENGTH)
+  ) {
+    return {
+      error: `custom_message must be a string of at most ${MAX_CUSTOM_MESSAGE_LENGTH} characters`,
+    };
+  }
+
+  return { sink: sinkType.create(rawSink) };
+}
+
+module.exports = {
+  MAX_SINKS_PER_ENTITY,
+  SINK_TYPES,
+  createSink,
+};
@@ -0,0 +1,109 @@
+// Slack shows at most this many attachments per message without folding them
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+/**
+ * Converts the Markdown links of event embeds to Slack's link syntax
+ * @param {string} text - Markdown text
+ * @returns {string} - Slack mrkdwn text
+ */
+function toSlackMarkdown(text) {
+  return String(text ?? '').replace(
+    /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g,
+    '<$2|$1>',
+  );
+}
+
+/**
+ * Combines pending payloads with the same text into one Slack message
+ * @param {Array<object>} pending - The pending payloads
+ * @returns {object} - { payload, count }
+ */
+function takeSlackBatch(pending) {
+  const text = pending[0].text;
+  const attachments = [];
+  let count = 0;
+
+  for (const payload of pending) {
+    if (
+      count > 0 &&
+      (payload.text !== text ||
+        attachments.length + payload.attachments.length >
+          MAX_ATTACHMENTS_PER_MESSAGE)
+    ) {
+      break;
+    }
+    attachments.push(...payload.attachments);
+    count++;
+  }
+
+  return { payload: { text, attachments }, count };
+}
+
+/**
+ * Notification sink for a Slack incoming webhook. Event embeds become
+ * message attachments with the same color, fields and footer.
+ */
+class SlackSink {
+  /**
+   * @param {object} options - Sink options
+   * @param {string} options.url - The Slack incoming webhook URL
+   * @param {string|null} options.customMessage - Replaces the entity's message content (optional)
+   */
+  constructor({ url, customMessage = null }) {
+    this.type = 'slack';
+    this.url = url;
+    this.customMessage = customMessage;
+  }
+
+  /**
+   * Name for logs and metrics; the last part of the URL is the secret
+   * @returns {string} - e.g. "slack:T0001/B0001"
+   */
+  get name() {
+    const [team, channel] = this.url.split('/services/')[1]?.split('/') || [];
+    return `slack:${team}/${channel}`;
+  }
+
+  /**
+   * Sinks with the same key share a delivery queue
+   * @returns {string} - The queue key
+   */
+  get queueKey() {
+    return `slack:${this.url}`;
+  }
+
+  /**
+   * Delivery queue options for this sink
+   * @returns {object} - { takeBatch }
+   */
+  getQueueOptions() {
+    return { takeBatch: takeSlackBatch };
+  }
+
+  /**
+   * Builds the webhook payload for a notification
+   * @param {object} notification - { eventType, entityId, entityName, embed, content, data }
+   * @returns {object} - The Slack webhook payload
+   */
+  format({ embed, content }) {
+    return {
+      text: content ? this.customMessage || content : embed.title || '',
+      attachments: [
+        {
+          color: `#${embed.color.toString(16).padStart(6, '0')}`,
+          title: embed.title,
+          text: toSlackMarkdown(embed.description),
+          fields: embed.fields.map((field) => ({
+            title: field.name,
+            value: toSlackMarkdown(field.value),
+            short: Boolean(field.inline),
+          })),
+          footer: embed.footer?.text,
+          ts: Math.floor(Date.parse(embed.timestamp) / 1000),
+        },
+      ],
+    };
+  }
+}
+
+module.exports = SlackSink;
@@ -0,0 +1,302 @@
+const { constants } = require('../../../config');
+const { createApiClient } = require('../../../lib/http/client.js');
+const { botLog } = require('../../../lib/utils');
+
+/**
+ * Reads a rate limit delay in seconds from a header or body value
+ * @param {unknown} value - The raw value
+ * @returns {number|null} - The delay in milliseconds, or null if missing
+ */
+function parseSeconds(value) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0
+    ? Math.ceil(seconds * 1000)
+    : null;
+}
+
+/**
+ * Sends the first pending payload on its own
+ * @param {Array<object>} pending - The pending payloads
+ * @returns {object} - { payload, count }
+ */
+function takeSingle(pending) {
+  return { payload: pending[0], count: 1 };
+}
+
+/**
+ * Delivery queue for one notification webhook. Notifications are sent one
+ * request at a time; sinks that support it combine notifications that arrive
+ * while the webhook is busy or rate limited into one request. Rate limit
+ * headers and 429 responses are honored, and server or network errors are
+ * retried with exponential backoff.
+ */
+class WebhookDeliveryQueue {
+  /**
+   * @param {object} config - The bot config
+   * @param {string} url - The webhook URL
+   * @param {object} options - Queue options
+   * @param {string} options.name - Name for logs and metrics, without secrets
+   * @param {function} options.takeBatch - Picks the pending payloads for the
+   *   next request: (pending) => { payload, count }. Default: one at a time
+   * @param {function} options.encode - Turns a payload into the request body
+   *   and extra headers: (payload) => { body, headers } (optional)
+   * @param {function} options.onDrained - Called when the queue becomes empty (optional)
+   */
+  constructor(config, url, options = {}) {
+    this.config = config;
+    this.url = url;
+    this.name = options.name || 'webhook';
+    this.takeBatchFn = options.takeBatch || takeSingle;
+    this.encode = options.encode || null;
+    this.onDrained = options.onDrained || null;
+    this.client = createApiClient.webhookNotification();
+
+    this.pending = []; // payloads waiting for delivery
+    this.retryBatch = null; // request to send again before the pending ones
+    this.timer = null;
+    this.sending = false;
+    this.blockedUntil = 0; // rate limited until (epoch milliseconds)
+
+    this.metrics = {
+      enqueued: 0,
+      delivered: 0,
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      failed: 0,
+      dropped: 0,
+      lastError: null,
+      lastDeliveredAt: null,
+    };
+  }
+
+  /**
+   * Queue a notification
+   * @param {object} payload - The sink's payload for one notification
+   */
+  enqueue(payload) {
+    this.pending.push(payload);
+    this.metrics.enqueued++;
+
+    if (this.pending.length > constants.notificationDelivery.maxQueueLength) {
+      this.pending.shift();
+      this.metrics.dropped++;
+      botLog(
+        this.config.botId,
+        'warn',
+        `Notification webhook ${this.name} queue is full, dropped the oldest notification`,
+      );
+    }
+
+    this.schedule(constants.notificationDelivery.batchWindow);
+  }
+
+  /**
+   * Check whether nothing is waiting or being sent
+   * @returns {boolean} - True if the queue is empty
+   */
+  isIdle() {
+    return (
+      this.pending.length === 0 && this.retryBatch === null && !this.sending
+    );
+  }
+
+  /**
+   * Schedule the next send, no earlier than the rate limit allows. Does
+   * nothing if a send is already scheduled or in progress.
+   * @param {number} delay - Minimum delay in milliseconds
+   */
+  schedule(delay) {
+    if (this.timer !== null || this.sending) {
+      return;
+    }
+
+    const wait = Math.max(delay, this.blockedUntil - Date.now(), 0);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, wait);
+  }
+
+  /**
+   * Take the pending payloads for the next request
+   * @returns {object|null} - { payload, count, attempts }, or null if nothing is pending
+   */
+  takeBatch() {
+    if (this.pending.length === 0) {
+      return null;
+    }
+
+    const { payload, count } = this.takeBatchFn(this.pending);
+    this.pending.splice(0, count);
+    return { payload, count, attempts: 0 };
+  }
+
+  /**
+   * Send the next request and schedule the one after it
+   */
+  async flush() {
+    const batch = this.retryBatch || this.takeBatch();
+    this.retryBatch = null;
+    if (!batch) {
+      this.onDrained?.(this);
+      return;
+    }
+
+    this.sending = true;
+    let nextDelay = 0;
+    try {
+      nextDelay = await this.deliver(batch);
+    } finally {
+      this.sending = false;
+    }
+
+    if (this.isIdle()) {
+      this.onDrained?.(this);
+    } else {
+      this.schedule(nextDelay);
+    }
+  }
+
+  /**
+   * Send one request and handle the response
+   * @param {object} batch - { payload, count, attempts }
+   * @returns {Promise<number>} - Minimum delay before the next send in milliseconds
+   */
+  async deliver(batch) {
+    batch.attempts++;
+
+    let response;
+    try {
+      const { body, headers } = this.encode
+        ? this.encode(batch.payload)
+        : { body: batch.payload, headers: {} };
+      response = await this.client.send(this.url, body, headers);
+    } catch (error) {
+      return this.retryOrDrop(batch, error.message);
+    }
+
+    // Discord tells ahead of time when the bucket is empty
+    const { status, headers = {}, data } = response;
+    if (headers['x-ratelimit-remaining'] === '0') {
+      const resetAfter = parseSeconds(headers['x-ratelimit-reset-after']);
+      if (resetAfter !== null) {
+        this.blockedUntil = Date.now() + resetAfter;
+      }
+    }
+
+    if (status >= 200 && status < 300) {
+      this.metrics.delivered += batch.count;
+      this.metrics.requests++;
+      this.metrics.lastDeliveredAt = new Date().toISOString();
+      botLog(
+        this.config.botId,
+        'verbose',
+        `Notification webhook ${this.name} delivered ${batch.count} notification(s)`,
+      );
+      return 0;
+    }
+
+    if (status === 429) {
+      // Asked to try again later; this does not count as a failed attempt
+      const retryAfter =
+        parseSeconds(data?.retry_after) ??
+        parseSeconds(headers['retry-after']) ??
+        constants.notificationDelivery.retryBaseDelay;
+      this.blockedUntil = Date.now() + retryAfter;
+      this.metrics.rateLimited++;
+      batch.attempts--;
+      this.retryBatch = batch;
+      botLog(
+        this.config.botId,
+        'verbose',
+        `Notification webhook ${this.name} rate limited, retrying in ${retryAfter} ms`,
+      );
+      return retryAfter;
+    }
+
+    const error = `HTTP ${status}: ${JSON.stringify(data)?.slice(0, 200)}`;
+    if (status >= 500) {
+      return this.retryOrDrop(batch, error);
+    }
+
+    // Other client errors (e.g. 404 for a deleted webhook) will not go away
+    this.drop(batch, error);
+    return 0;
+  }
+
+  /**
+   * Retry a failed message with exponential backoff, or drop it after the
+   * last attempt
+   * @param {object} batch - { payload, count, attempts }
+   * @param {string} error - The error message
+   * @returns {number} - Delay before the retry in milliseconds
+   */
+  retryOrDrop(batch, error) {
+    const { maxAttempts, retryBaseDelay, retryMaxDelay } =
+      constants.notificationDelivery;
+    if (batch.attempts >= maxAttempts) {
+      this.drop(batch, error);
+      return 0;
+    }
+
+    const backoff = Math.min(
+      retryBaseDelay * 2 ** (batch.attempts - 1),
+      retryMaxDelay,
+    );
+    const delay = backoff + Math.floor(Math.random() * retryBaseDelay);
+    this.metrics.retries++;
+    this.metrics.lastError = error;
+    this.retryBatch = batch;
+    botLog(
+      this.config.botId,
+      'warn',
+      `Notification webhook ${this.name} failed (attempt ${batch.attempts}/${maxAttempts}), retrying in ${delay} ms: ${error}`,
+    );
+    return delay;
+  }
+
+  /**
+   * Give up on a request
+   * @param {object} batch - { payload, count, attempts }
+   * @param {string} error - The error message
+   */
+  drop(batch, error) {
+    this.metrics.failed += batch.count;
+    this.metrics.lastError = error;
+    botLog(
+      this.config.botId,
+      'error',
+      `Notification webhook ${this.name} failed, dropped ${batch.count} notification(s): ${error}`,
+    );
+  }
+
+  /**
+   * Delivery metrics for this webhook
+   * @returns {object} - Counters, queue length and rate limit state
+   */
+  getMetrics() {
+    return {
+      name: this.name,
+      queued: this.pending.length + (this.retryBatch?.count || 0),
+      rateLimitedUntil:
+        this.blockedUntil > Date.now()
+          ? new Date(this.blockedUntil).toISOString()
+          : null,
+      ...this.metrics,
+    };
+  }
+
+  /**
+   * Stop sending and discard queued notifications
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.metrics.dropped += this.pending.length + (this.retryBatch?.count || 0);
+    this.pending = [];
+    this.retryBatch = null;
+  }
+}
+
+module.exports = WebhookDeliveryQueue;
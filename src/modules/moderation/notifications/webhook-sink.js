@@ -0,0 +1,84 @@
+const {
+  createSignature,
+  createSignedRequest,
+} = require('../../../lib/utils/signing.js');
+
+/**
+ * Keeps the plain values of event data (strings, numbers and booleans)
+ * @param {object} data - The event data
+ * @returns {object} - The plain values
+ */
+function pickPlainValues(data) {
+  return Object.fromEntries(
+    Object.entries(data || {}).filter(([, value]) =>
+      ['string', 'number', 'boolean'].includes(typeof value),
+    ),
+  );
+}
+
+/**
+ * Notification sink for a generic JSON webhook, e.g. a club's own dashboard.
+ * Every request is signed: X-Signature is "sha256=" followed by the
+ * HMAC-SHA256 of "<X-Signature-Timestamp>.<body>" with the sink's secret.
+ */
+class WebhookSink {
+  /**
+   * @param {object} options - Sink options
+   * @param {string} options.url - The HTTPS endpoint
+   * @param {string} options.secret - Shared secret for the signature
+   */
+  constructor({ url, secret }) {
+    this.type = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  /**
+   * Name for logs and metrics; the path may contain tokens
+   * @returns {string} - e.g. "webhook:dashboard.example.com"
+   */
+  get name() {
+    return `webhook:${new URL(this.url).hostname}`;
+  }
+
+  /**
+   * Sinks with the same key share a delivery queue. Entities may post to the
+   * same endpoint with different secrets, so the key depends on the secret.
+   * @returns {string} - The queue key
+   */
+  get queueKey() {
+    return `webhook:${this.url}:${createSignature(this.url, this.secret)}`;
+  }
+
+  /**
+   * Delivery queue options for this sink. Requests are sent one event at a
+   * time and signed when sent, so retries carry a fresh timestamp.
+   * @returns {object} - { encode }
+   */
+  getQueueOptions() {
+    return {
+      encode: (payload) => createSignedRequest(payload, this.secret),
+    };
+  }
+
+  /**
+   * Builds the JSON payload for a notification
+   * @param {object} notification - { eventType, entityId, entityName, embed, content, data }
+   * @returns {object} - The payload
+   */
+  format({ eventType, entityId, entityName, embed, content, data }) {
+    return {
+      event: eventType,
+      entity_id: entityId,
+      entity_name: entityName || null,
+      timestamp: embed.timestamp,
+      content: content || null,
+      title: embed.title || null,
+      description: embed.description || null,
+      fields: embed.fields.map(({ name, value }) => ({ name, value })),
+      data: pickPlainValues(data),
+    };
+  }
+}
+
+module.exports = WebhookSink;
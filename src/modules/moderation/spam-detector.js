@@ -0,0 +1,257 @@
+const { constants } = require('../../config');
+const { botLog } = require('../../lib/utils');
+const { parseGuidList, parseJsonField } = require('../../lib/utils/parsers');
+
+// Letters only; digits and symbols do not count towards the caps ratio
+const LETTER_PATTERN = /\p{L}/gu;
+const UPPERCASE_PATTERN = /\p{Lu}/gu;
+const DEFAULT_CAPS_MIN_LENGTH = 10;
+
+/**
+ * Spam detector for rate-based moderation rules (flooding, repeated messages,
+ * excessive caps and overly long messages) configured per entity.
+ */
+class SpamDetector {
+  constructor(config, stateManager) {
+    this.config = config;
+    this.stateManager = stateManager;
+    this.entityConfigs = new Map(); // entityId -> { rules, managerGuids, exemptUserGuids }
+  }
+
+  /**
+   * Reads a positive number from a rule setting.
+   * @param {unknown} value - The raw setting
+   * @returns {number|null} - The number or null if missing or invalid
+   */
+  toPositiveNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  }
+
+  /**
+   * Normalizes the spam_rules JSON of a profanity filter config. Rules that are
+   * missing or invalid are disabled.
+   * @param {object|string} rawRules - The raw spam rules
+   * @returns {object|null} - Normalized rules or null if no rule is enabled
+   */
+  normalizeRules(rawRules) {
+    const rules = parseJsonField(rawRules, null);
+    if (!rules || typeof rules !== 'object') return null;
+
+    const maxWindowSeconds = constants.moderation.spamHistoryRetention / 1000;
+    const toWindowSeconds = (value) => {
+      const seconds = this.toPositiveNumber(value);
+      return seconds ? Math.min(seconds, maxWindowSeconds) : null;
+    };
+
+    const normalized = {
+      rateLimit: null,
+      duplicate: null,
+      caps: null,
+      maxLength: this.toPositiveNumber(rules.max_length),
+      muteDurations: constants.moderation.spamMuteDurations,
+    };
+
+    const maxMessages = this.toPositiveNumber(rules.rate_limit?.max_messages);
+    const perSeconds = toWindowSeconds(rules.rate_limit?.per_seconds);
+    if (maxMessages && perSeconds) {
+      normalized.rateLimit = { maxMessages, perSeconds };
+    }
+
+    const maxRepeats = this.toPositiveNumber(rules.duplicate?.max_repeats);
+    const withinSeconds = toWindowSeconds(rules.duplicate?.within_seconds);
+    if (maxRepeats && withinSeconds) {
+      normalized.duplicate = { maxRepeats, withinSeconds };
+    }
+
+    const maxRatio = Number(rules.caps?.max_ratio);
+    if (maxRatio > 0 && maxRatio < 1) {
+      normalized.caps = {
+        maxRatio,
+        minLength:
+          this.toPositiveNumber(rules.caps.min_length) ||
+          DEFAULT_CAPS_MIN_LENGTH,
+      };
+    }
+
+    if (
+      Array.isArray(rules.mute_durations) &&
+      rules.mute_durations.length > 0 &&
+      rules.mute_durations.every((duration) => Number(duration) >= 0)
+    ) {
+      normalized.muteDurations = rules.mute_durations.map(Number);
+    }
+
+    const hasRule =
+      normalized.rateLimit ||
+      normalized.duplicate ||
+      normalized.caps ||
+      normalized.maxLength;
+    return hasRule ? normalized : null;
+  }
+
+  /**
+   * Configure entity with profanity filter config
+   * @param {string} entityId - The entity ID
+   * @param {object} profanityConfig - The profanity filter config
+   */
+  configureEntity(entityId, profanityConfig) {
+    const rules =
+      profanityConfig?.is_active &&
+      this.normalizeRules(profanityConfig.spam_rules);
+    if (!rules) {
+      this.entityConfigs.delete(entityId);
+      return;
+    }
+
+    this.entityConfigs.set(entityId, {
+      rules,
+      managerGuids: Array.isArray(profanityConfig.manager_guids)
+        ? profanityConfig.manager_guids
+        : [],
+      exemptUserGuids: parseGuidList(profanityConfig.exempt_user_guids),
+    });
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `Configured spam rules for entity ${entityId}`,
+    );
+  }
+
+  /**
+   * Normalizes message content for duplicate detection.
+   * @param {string} messageContent - The message content
+   * @returns {string} - Lowercased content with collapsed whitespace
+   */
+  normalizeContent(messageContent) {
+    return messageContent.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Checks a message against the entity's spam rules.
+   * @param {string} messageContent - The message content
+   * @param {string} entityId - The entity ID
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @returns {object|null} - { rule, reason } for the first violated rule, or null
+   */
+  checkMessage(messageContent, entityId, messageAuthorGuid) {
+    if (typeof messageContent !== 'string' || !messageAuthorGuid) return null;
+
+    const entityConfig = this.entityConfigs.get(entityId);
+    if (!entityConfig) return null;
+
+    // Bot, entity managers and exempt users (sponsors, casters) are exempt
+    if (
+      messageAuthorGuid === this.stateManager.getBotCredentials()?.bot_guid ||
+      entityConfig.managerGuids.includes(messageAuthorGuid) ||
+      entityConfig.exemptUserGuids.includes(messageAuthorGuid?.toLowerCase())
+    ) {
+      return null;
+    }
+
+    const { rules } = entityConfig;
+
+    if (rules.maxLength && messageContent.length > rules.maxLength) {
+      return {
+        rule: 'max_length',
+        reason: `Message length ${messageContent.length} exceeds ${rules.maxLength} characters`,
+      };
+    }
+
+    if (rules.caps) {
+      const letters = messageContent.match(LETTER_PATTERN)?.length || 0;
+      const uppercase = messageContent.match(UPPERCASE_PATTERN)?.length || 0;
+      if (
+        letters >= rules.caps.minLength &&
+        uppercase / letters > rules.caps.maxRatio
+      ) {
+        return {
+          rule: 'caps',
+          reason: `${Math.round((uppercase / letters) * 100)}% capital letters`,
+        };
+      }
+    }
+
+    if (!rules.rateLimit && !rules.duplicate) return null;
+
+    const now = Date.now();
+    const windowSeconds = Math.max(
+      rules.rateLimit?.perSeconds || 0,
+      rules.duplicate?.withinSeconds || 0,
+    );
+    const content = this.normalizeContent(messageContent);
+    const history = this.stateManager.addUserMessage(
+      entityId,
+      messageAuthorGuid,
+      { timestamp: now, content },
+      windowSeconds * 1000,
+    );
+
+    if (rules.rateLimit) {
+      const cutoff = now - rules.rateLimit.perSeconds * 1000;
+      const recentCount = history.filter(
+        (entry) => entry.timestamp > cutoff,
+      ).length;
+      if (recentCount > rules.rateLimit.maxMessages) {
+        return {
+          rule: 'rate_limit',
+          reason: `${recentCount} messages in ${rules.rateLimit.perSeconds} seconds`,
+        };
+      }
+    }
+
+    if (rules.duplicate) {
+      const cutoff = now - rules.duplicate.withinSeconds * 1000;
+      const repeatCount = history.filter(
+        (entry) => entry.timestamp > cutoff && entry.content === content,
+      ).length;
+      if (repeatCount > rules.duplicate.maxRepeats) {
+        return {
+          rule: 'duplicate',
+          reason: `Same message ${repeatCount} times in ${rules.duplicate.withinSeconds} seconds`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Records a violation and returns the escalated mute duration. The history
+   * of the user is cleared so that messages already in flight do not escalate
+   * again immediately.
+   * @param {string} entityId - The entity ID
+   * @param {string} messageAuthorGuid - The message author GUID
+   * @returns {object} - { violationCount, muteDurationSeconds }
+   */
+  recordViolation(entityId, messageAuthorGuid) {
+    const muteDurations =
+      this.entityConfigs.get(entityId)?.rules.muteDurations ||
+      constants.moderation.spamMuteDurations;
+
+    this.stateManager.clearUserMessages(entityId, messageAuthorGuid);
+    const violationCount = this.stateManager.incrementSpamViolations(
+      entityId,
+      messageAuthorGuid,
+      constants.moderation.spamViolationReset,
+    );
+
+    return {
+      violationCount,
+      muteDurationSeconds: muteDurations.at(
+        Math.min(violationCount, muteDurations.length) - 1,
+      ),
+    };
+  }
+
+  /**
+   * Clean up entity spam rules
+   * @param {string} entityId - The entity ID
+   */
+  cleanupEntity(entityId) {
+    this.entityConfigs.delete(entityId);
+  }
+}
+
+module.exports = SpamDetector;
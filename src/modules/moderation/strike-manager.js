@@ -0,0 +1,289 @@
+const { apiConfig, constants } = require('../../config');
+const { getRequest, postRequest } = require('../../lib/http/client.js');
+const { botLog } = require('../../lib/utils');
+const { parseJsonField } = require('../../lib/utils/parsers');
+
+/**
+ * Strike manager for escalating moderation of repeat offenders. Strikes are
+ * counted per user and entity, decay over time and are stored through the
+ * database API so they survive restarts.
+ */
+class StrikeManager {
+  constructor(config, stateManager) {
+    this.config = config;
+    this.stateManager = stateManager;
+    this.entityConfigs = new Map(); // entityId -> { ladder, decayMs }
+    this.pendingStrikes = new Map(); // "entityId:userGuid" -> Promise of the last queued change
+    this.pendingSaves = new Map(); // "entityId:userGuid" -> Promise of the last queued save
+  }
+
+  /**
+   * Runs a change of a user's strikes after the changes queued before it, so
+   * that a burst of hits counts every strike
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @param {function} change - Async function making the change
+   * @returns {Promise<*>} - The change's result
+   */
+  queueStrikeChange(entityId, userGuid, change) {
+    const key = `${entityId}:${userGuid}`;
+    const previous = this.pendingStrikes.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(change);
+    this.pendingStrikes.set(key, current);
+    current
+      .finally(() => {
+        if (this.pendingStrikes.get(key) === current) {
+          this.pendingStrikes.delete(key);
+        }
+      })
+      .catch(() => {}); // Failures reach the caller through the return value
+    return current;
+  }
+
+  /**
+   * Normalizes an escalation ladder. Each step is "warn" or a mute duration
+   * in seconds.
+   * @param {unknown} rawLadder - The raw strike_ladder value
+   * @returns {Array<object>|null} - Steps as { type: 'warn' } or { type: 'mute', durationSeconds }, or null if invalid
+   */
+  normalizeLadder(rawLadder) {
+    const ladder = parseJsonField(rawLadder, null);
+    if (!Array.isArray(ladder) || ladder.length === 0) return null;
+
+    const steps = ladder.map((step) => {
+      if (step === 'warn') return { type: 'warn' };
+      const durationSeconds = Number(step);
+      return Number.isInteger(durationSeconds) && durationSeconds >= 0
+        ? { type: 'mute', durationSeconds }
+        : null;
+    });
+    return steps.every(Boolean) ? steps : null;
+  }
+
+  /**
+   * Builds an entity's strike settings. Without a strike_ladder every strike
+   * gets the entity's flat mute duration.
+   * @param {string} entityId - The entity ID
+   * @param {object} profanityConfig - The profanity filter config
+   * @returns {object} - { ladder, decayMs }
+   */
+  buildEntityConfig(entityId, profanityConfig) {
+    const ladder = this.normalizeLadder(profanityConfig.strike_ladder);
+    if (profanityConfig.strike_ladder && !ladder) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `Ignoring invalid strike ladder for entity ${entityId}`,
+      );
+    }
+
+    const decayHours = Number(profanityConfig.strike_decay_hours);
+    return {
+      ladder: ladder || [
+        {
+          type: 'mute',
+          durationSeconds:
+            profanityConfig.mute_duration_seconds ??
+            constants.moderation.bannedWordMuteDuration,
+        },
+      ],
+      decayMs:
+        (decayHours > 0 ? decayHours : constants.moderation.strikeDecayHours) *
+        60 *
+        60 *
+        1000,
+    };
+  }
+
+  /**
+   * Configure entity with profanity filter config
+   * @param {string} entityId - The entity ID
+   * @param {object} profanityConfig - The profanity filter config
+   */
+  configureEntity(entityId, profanityConfig) {
+    if (!profanityConfig?.is_active) {
+      this.entityConfigs.delete(entityId);
+      return;
+    }
+
+    this.entityConfigs.set(
+      entityId,
+      this.buildEntityConfig(entityId, profanityConfig),
+    );
+  }
+
+  /**
+   * Applies decay: one strike expires per decay period since the last strike.
+   * @param {object} strikes - { count, lastStrikeAt }
+   * @param {number} decayMs - The decay period
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - The strike count after decay
+   */
+  applyDecay(strikes, decayMs, now) {
+    if (!strikes.count || !strikes.lastStrikeAt) return 0;
+
+    const expired = Math.floor((now - strikes.lastStrikeAt) / decayMs);
+    return Math.max(0, strikes.count - Math.max(0, expired));
+  }
+
+  /**
+   * Loads a user's strikes, from the cache or the database API.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<object>} - { count, lastStrikeAt }
+   */
+  async loadStrikes(entityId, userGuid) {
+    const cached = this.stateManager.getUserStrikes(entityId, userGuid);
+    if (cached) return cached;
+
+    // A save still on its way would be missing from the loaded count
+    await this.pendingSaves.get(`${entityId}:${userGuid}`);
+
+    try {
+      const result = await getRequest(
+        `${apiConfig.baseUrl}/entities/${entityId}/users/${userGuid}/strikes`,
+      );
+      const strikes = {
+        count: Number(result?.strike_count) || 0,
+        lastStrikeAt: result?.last_strike_at
+          ? Date.parse(result.last_strike_at)
+          : null,
+      };
+      this.stateManager.setUserStrikes(entityId, userGuid, strikes);
+      return strikes;
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to load strikes for user ${userGuid}: ${error.message}`,
+      );
+      return { count: 0, lastStrikeAt: null };
+    }
+  }
+
+  /**
+   * Saves a user's strikes to the cache right away and to the database API
+   * in the background. Saves of the same user are sent in order.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @param {object} strikes - { count, lastStrikeAt }
+   * @returns {Promise<void>} - Resolves when the database API was called
+   */
+  saveStrikes(entityId, userGuid, strikes) {
+    this.stateManager.setUserStrikes(entityId, userGuid, strikes);
+
+    const key = `${entityId}:${userGuid}`;
+    const previous = this.pendingSaves.get(key) || Promise.resolve();
+    const current = previous.then(() =>
+      this.persistStrikes(entityId, userGuid, strikes),
+    );
+    this.pendingSaves.set(key, current);
+    current
+      .finally(() => {
+        if (this.pendingSaves.get(key) === current) {
+          this.pendingSaves.delete(key);
+        }
+      })
+      .catch(() => {}); // persistStrikes() logs its failures
+    return current;
+  }
+
+  /**
+   * Stores a user's strikes through the database API. Failures are logged.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @param {object} strikes - { count, lastStrikeAt }
+   */
+  async persistStrikes(entityId, userGuid, strikes) {
+    try {
+      await postRequest(
+        `${apiConfig.baseUrl}/entities/${entityId}/users/${userGuid}/strikes`,
+        {
+          strike_count: strikes.count,
+          last_strike_at: new Date(strikes.lastStrikeAt).toISOString(),
+        },
+      );
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `[${entityId}] Failed to save strikes for user ${userGuid}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Adds a strike for a user and returns the ladder step to apply. Strikes
+   * past the end of the ladder repeat its last step. Strikes of the same user
+   * are added one after the other; the database API is updated afterwards.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<object>} - { strikeCount, step }
+   */
+  addStrike(entityId, userGuid) {
+    return this.queueStrikeChange(entityId, userGuid, () =>
+      this.applyStrike(entityId, userGuid),
+    );
+  }
+
+  /**
+   * Adds a strike; use addStrike(), which queues it behind pending changes
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<object>} - { strikeCount, step }
+   */
+  async applyStrike(entityId, userGuid) {
+    const entityConfig =
+      this.entityConfigs.get(entityId) || this.buildEntityConfig(entityId, {});
+
+    const strikes = await this.loadStrikes(entityId, userGuid);
+    const now = Date.now();
+    const strikeCount = this.applyDecay(strikes, entityConfig.decayMs, now) + 1;
+    this.saveStrikes(entityId, userGuid, {
+      count: strikeCount,
+      lastStrikeAt: now,
+    });
+
+    const { ladder } = entityConfig;
+    const step = ladder[Math.min(strikeCount, ladder.length) - 1];
+
+    botLog(
+      this.config.botId,
+      'verbose',
+      `[${entityId}] Strike ${strikeCount} for user ${userGuid} (${step.type === 'warn' ? 'warning' : `mute ${step.durationSeconds}s`})`,
+    );
+
+    return { strikeCount, step };
+  }
+
+  /**
+   * Removes one strike from a user, e.g. when a mistaken mute is undone.
+   * The time of the last strike is kept so decay continues as before.
+   * @param {string} entityId - The entity ID
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<number>} - The remaining raw strike count
+   */
+  removeStrike(entityId, userGuid) {
+    return this.queueStrikeChange(entityId, userGuid, async () => {
+      const strikes = await this.loadStrikes(entityId, userGuid);
+      if (!strikes.count) return 0;
+
+      const count = strikes.count - 1;
+      await this.saveStrikes(entityId, userGuid, {
+        count,
+        lastStrikeAt: strikes.lastStrikeAt,
+      });
+      return count;
+    });
+  }
+
+  /**
+   * Clean up entity strike configuration
+   * @param {string} entityId - The entity ID
+   */
+  cleanupEntity(entityId) {
+    this.entityConfigs.delete(entityId);
+  }
+}
+
+module.exports = StrikeManager;
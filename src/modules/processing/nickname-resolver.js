@@ -0,0 +1,119 @@
+const { constants } = require('../../config');
+const { getRequest } = require('../../lib/http/client.js');
+const { botLog } = require('../../lib/utils');
+const LruCache = require('../../lib/utils/lru-cache.js');
+const { renderTemplate } = require('../../lib/utils/templates.js');
+const { isValidString } = require('../../lib/utils/validation.js');
+
+// FACEIT nicknames are far shorter; longer values are not nicknames
+const MAX_NICKNAME_LENGTH = 64;
+
+/**
+ * Nickname resolver that maps user GUIDs to FACEIT nicknames, looked up at
+ * NICKNAME_LOOKUP_URL when it is configured. Nicknames clients send along
+ * with stanzas (XEP-0172) are not used, as anyone could claim any name.
+ */
+class NicknameResolver {
+  constructor(config) {
+    this.config = config;
+    // userGuid -> nickname, or null after a failed lookup
+    this.cache = new LruCache({
+      maxSize: constants.nicknames.cacheSize,
+      ttlMs: constants.nicknames.cacheTtl,
+    });
+    this.pendingLookups = new Map(); // userGuid -> Promise<string|null>
+  }
+
+  /**
+   * Remembers a user's nickname, e.g. from a lookup response.
+   * @param {string} userGuid - The user GUID
+   * @param {string|null} nickname - The nickname; empty values are ignored
+   */
+  remember(userGuid, nickname) {
+    const trimmed = typeof nickname === 'string' ? nickname.trim() : '';
+    if (!userGuid || !isValidString(trimmed, 1, MAX_NICKNAME_LENGTH)) {
+      return;
+    }
+    this.cache.set(userGuid, trimmed);
+  }
+
+  /**
+   * Gets a cached nickname without looking it up.
+   * @param {string} userGuid - The user GUID
+   * @returns {string|null} - The nickname or null if unknown
+   */
+  getCached(userGuid) {
+    return this.cache.get(userGuid) || null;
+  }
+
+  /**
+   * Resolves a user's nickname from the cache or, if unknown, the lookup URL.
+   * Concurrent lookups for the same user share one request.
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<string|null>} - The nickname or null if it cannot be resolved
+   */
+  async resolve(userGuid) {
+    if (!userGuid) return null;
+    if (this.cache.has(userGuid)) {
+      return this.getCached(userGuid);
+    }
+    if (!constants.nicknames.lookupUrl) return null;
+
+    if (!this.pendingLookups.has(userGuid)) {
+      this.pendingLookups.set(
+        userGuid,
+        this.lookup(userGuid).finally(() =>
+          this.pendingLookups.delete(userGuid),
+        ),
+      );
+    }
+    return this.pendingLookups.get(userGuid);
+  }
+
+  /**
+   * Looks a nickname up at the lookup URL. Failures are cached for a while
+   * so an unreachable endpoint does not delay every notification.
+   * @param {string} userGuid - The user GUID
+   * @returns {Promise<string|null>} - The nickname or null if the lookup failed
+   */
+  async lookup(userGuid) {
+    const { lookupUrl, lookupApiKey, lookupTimeout, failedLookupTtl } =
+      constants.nicknames;
+
+    try {
+      const result = await getRequest(
+        renderTemplate(lookupUrl, {
+          user_guid: encodeURIComponent(userGuid),
+        }),
+        {
+          headers: lookupApiKey
+            ? { Authorization: `Bearer ${lookupApiKey}` }
+            : {},
+          timeout: lookupTimeout,
+        },
+      );
+
+      this.remember(userGuid, result?.nickname);
+      const nickname = this.getCached(userGuid);
+      if (nickname) {
+        return nickname;
+      }
+      botLog(
+        this.config.botId,
+        'verbose',
+        `Nickname lookup for ${userGuid} returned no nickname`,
+      );
+    } catch (error) {
+      botLog(
+        this.config.botId,
+        'warn',
+        `Nickname lookup for ${userGuid} failed: ${error.message}`,
+      );
+    }
+
+    this.cache.set(userGuid, null, failedLookupTtl);
+    return null;
+  }
+}
+
+module.exports = NicknameResolver;
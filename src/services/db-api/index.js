@@ -13,6 +13,15 @@ const qs = require('qs');
 const { constants } = require('../../config');
 const { postRequest, handleApiError } = require('../../lib/http/client');
 const { parseJsonField } = require('../../lib/utils/parsers');
+const { verifySignature } = require('../../lib/utils/signing.js');
+const {
+  isSafeWordString,
+  isValidArray,
+} = require('../../lib/utils/validation.js');
+const {
+  isValidSeverity,
+  parseWordPatterns,
+} = require('../../lib/utils/word-patterns.js');
 
 // --- GLOBAL ERROR HANDLING ---
 
@@ -44,6 +53,18 @@ app.use(express.urlencoded({ extended: true }));
 
 const PORT = process.env.DB_API_PORT || 3008;
 
+// --- MODERATION AUDIT LOG ---
+const MODERATION_ACTIONS = new Set([
+  'delete',
+  'mute',
+  'unmute',
+  'warn',
+  'detect',
+]);
+const MODERATION_LOG_DEFAULT_LIMIT = 50;
+const MODERATION_LOG_MAX_LIMIT = 200;
+const ACTION_ID_PATTERN = /^\d+$/;
+
 // --- TOKEN REFRESH RATE LIMITING ---
 // In-memory tracking to avoid refreshing tokens on every config read
 const lastTokenRefreshAt = new Map(); // botId -> timestamp (ms)
@@ -149,6 +170,44 @@ app.get('/bots/:botId/entities', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /bots/:botId/state
+ * @desc    Get the last saved runtime state snapshot of a bot.
+ */
+app.get('/bots/:botId/state', async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const botState = await getBotState(botId);
+    if (botState) {
+      res.json(botState);
+    } else {
+      res.status(404).json({ error: `No saved state for bot ${botId}.` });
+    }
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * @route   POST /bots/:botId/state
+ * @desc    Save the runtime state snapshot of a bot.
+ */
+app.post('/bots/:botId/state', async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { state } = req.body;
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      return res.status(400).json({ error: 'state must be an object' });
+    }
+
+    await saveBotState(botId, state);
+    res.sendStatus(200);
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
 /**
  * @route   GET /entities/:entityId/data
  * @desc    Get detailed data for a specific entity.
@@ -167,6 +226,197 @@ app.get('/entities/:entityId/data', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /entities/:entityId/users/:userGuid/role
+ * @desc    Resolve a user's role (admin, manager or everyone) for an entity.
+ */
+app.get('/entities/:entityId/users/:userGuid/role', async (req, res) => {
+  try {
+    const { entityId, userGuid } = req.params;
+    const role = await getUserRole(entityId, userGuid);
+    res.json({ entity_guid: entityId, user_guid: userGuid, role });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * @route   GET /entities/:entityId/users/:userGuid/strikes
+ * @desc    Get a user's banned word strikes in an entity (zero if none).
+ */
+app.get('/entities/:entityId/users/:userGuid/strikes', async (req, res) => {
+  try {
+    const { entityId, userGuid } = req.params;
+    const strikes = await getUserStrikes(entityId, userGuid);
+    res.json({ entity_guid: entityId, user_guid: userGuid, ...strikes });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * @route   POST /entities/:entityId/users/:userGuid/strikes
+ * @desc    Save a user's banned word strikes in an entity.
+ */
+app.post('/entities/:entityId/users/:userGuid/strikes', async (req, res) => {
+  try {
+    const { entityId, userGuid } = req.params;
+    const { strike_count: strikeCount, last_strike_at: lastStrikeAt } =
+      req.body;
+
+    if (!Number.isInteger(strikeCount) || strikeCount < 0) {
+      return res
+        .status(400)
+        .json({ error: 'strike_count must be a non-negative integer' });
+    }
+    const lastStrikeDate = lastStrikeAt ? new Date(lastStrikeAt) : null;
+    if (lastStrikeDate && Number.isNaN(lastStrikeDate.getTime())) {
+      return res
+        .status(400)
+        .json({ error: 'last_strike_at must be an ISO 8601 date' });
+    }
+
+    await saveUserStrikes(entityId, userGuid, strikeCount, lastStrikeDate);
+    res.sendStatus(200);
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * @route   POST /entities/:entityId/moderation-actions
+ * @desc    Record a moderation action in the audit log.
+ */
+app.post('/entities/:entityId/moderation-actions', async (req, res) => {
+  try {
+    const { entityId } = req.params;
+    const { action, reason } = req.body;
+
+    if (!MODERATION_ACTIONS.has(action)) {
+      return res.status(400).json({
+        error: `action must be one of: ${[...MODERATION_ACTIONS].join(', ')}`,
+      });
+    }
+    if (typeof reason !== 'string' || reason.length === 0) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    const reversesActionId = req.body.reverses_action_id;
+    if (
+      reversesActionId !== undefined &&
+      reversesActionId !== null &&
+      !Number.isInteger(reversesActionId)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'reverses_action_id must be an integer' });
+    }
+    const { severity } = req.body;
+    if (
+      severity !== undefined &&
+      severity !== null &&
+      !isValidSeverity(severity)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'severity must be one of: mild, severe, slur' });
+    }
+
+    const actionId = await insertModerationAction(entityId, req.body);
+    res.status(201).json({ action_id: actionId });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * @route   GET /entities/:entityId/moderation-actions/:actionId
+ * @desc    Get a single moderation action, including the undo that reversed it.
+ */
+app.get(
+  '/entities/:entityId/moderation-actions/:actionId',
+  async (req, res) => {
+    try {
+      const { entityId, actionId } = req.params;
+      if (!ACTION_ID_PATTERN.test(actionId)) {
+        return res.status(400).json({ error: 'actionId must be a number' });
+      }
+
+      const action = await getModerationAction(entityId, actionId);
+      if (action) {
+        res.json(action);
+      } else {
+        res.status(404).json({ error: `Action ${actionId} not found.` });
+      }
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  },
+);
+
+/**
+ * @route   GET /entities/:entityId/moderation-log
+ * @desc    Query the moderation audit log of an entity, newest first.
+ *          Filters: user_guid, action, from, to (ISO 8601). Pagination: limit, offset.
+ */
+app.get('/entities/:entityId/moderation-log', async (req, res) => {
+  try {
+    const { entityId } = req.params;
+    const { user_guid: userGuid, action, from, to } = req.query;
+
+    if (userGuid !== undefined && typeof userGuid !== 'string') {
+      return res
+        .status(400)
+        .json({ error: 'user_guid must be a single value' });
+    }
+    if (action !== undefined && !MODERATION_ACTIONS.has(action)) {
+      return res.status(400).json({
+        error: `action must be one of: ${[...MODERATION_ACTIONS].join(', ')}`,
+      });
+    }
+
+    const fromDate = from !== undefined ? new Date(from) : null;
+    const toDate = to !== undefined ? new Date(to) : null;
+    if (
+      (fromDate && Number.isNaN(fromDate.getTime())) ||
+      (toDate && Number.isNaN(toDate.getTime()))
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'from and to must be ISO 8601 dates' });
+    }
+
+    const limit =
+      req.query.limit !== undefined
+        ? parseInt(req.query.limit, 10)
+        : MODERATION_LOG_DEFAULT_LIMIT;
+    const offset =
+      req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > MODERATION_LOG_MAX_LIMIT ||
+      !Number.isInteger(offset) ||
+      offset < 0
+    ) {
+      return res.status(400).json({
+        error: `limit must be between 1 and ${MODERATION_LOG_MAX_LIMIT} and offset must not be negative`,
+      });
+    }
+
+    const result = await getModerationLog(entityId, {
+      userGuid,
+      action,
+      from: fromDate,
+      to: toDate,
+      limit,
+      offset,
+    });
+    res.json({ entity_guid: entityId, limit, offset, ...result });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
 /**
  * @route   POST /entities/:entityId/update
  * @desc    Trigger an update notification for a bot process.
@@ -271,6 +521,31 @@ app.post('/entities/:entityId/status', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /entities/:entityId/read-only
+ * @desc    Enable or disable read-only mode for an entity.
+ */
+app.post('/entities/:entityId/read-only', async (req, res) => {
+  try {
+    const { entityId } = req.params;
+    const { read_only: readOnly } = req.body;
+
+    if (typeof readOnly !== 'boolean') {
+      return res.status(400).json({ error: 'read_only must be a boolean' });
+    }
+
+    const success = await updateEntityReadOnly(entityId, readOnly);
+    if (success) {
+      console.log(`Successfully set entity ${entityId} read_only=${readOnly}`);
+      res.sendStatus(200);
+    } else {
+      res.status(404).json({ error: `Entity with ID ${entityId} not found.` });
+    }
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
 /**
  * @route   POST /entities/:entityId/unassign
  * @desc    Notify a bot process to drop an entity assignment.
@@ -380,6 +655,282 @@ app.get('/profanity-filter-config/:entityId', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /profanity-filter-config/:entityId/allowed-words
+ * @desc    Add a word or phrase to an entity's banned words allowlist and
+ *          notify the assigned bot process to reload its filter.
+ */
+app.post(
+  '/profanity-filter-config/:entityId/allowed-words',
+  async (req, res) => {
+    try {
+      const { entityId } = req.params;
+      const word =
+        typeof req.body.word === 'string'
+          ? req.body.word.trim().replace(/\s+/g, ' ').toLowerCase()
+          : '';
+
+      if (!isSafeWordString(word)) {
+        return res.status(400).json({
+          error:
+            'word must be 1-100 letters, numbers, spaces or basic punctuation',
+        });
+      }
+
+      const added = await addAllowedWord(entityId, word);
+      if (added === null) {
+        return res.status(404).json({
+          error: `No profanity filter config found for entity ${entityId}.`,
+        });
+      }
+
+      if (added) {
+        const botId = await getBotIdForEntity(entityId);
+        if (botId) {
+          const botApiPort = parseInt(botId, 10) + 4000;
+          await postRequest(
+            `http://localhost:${botApiPort}/update/${entityId}`,
+            {},
+          ).catch((error) => {
+            console.error(
+              `Failed to notify bot ${botId} of allowlist change:`,
+              error.message,
+            );
+          });
+        }
+      }
+
+      res.json({ entity_guid: entityId, word, added });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  },
+);
+
+/**
+ * @route   PUT /profanity-filter-config/:entityId/custom-words
+ * @desc    Replace an entity's custom banned words and notify the assigned bot
+ *          process to reload its filter. Entries may use wildcards ("*bet"),
+ *          phrases ('"free skins"') and whole message entries ("=gg ez");
+ *          invalid entries are reported and nothing is saved.
+ */
+app.put('/profanity-filter-config/:entityId/custom-words', async (req, res) => {
+  try {
+    const { entityId } = req.params;
+    const { words } = req.body;
+
+    if (!isValidArray(words)) {
+      return res.status(400).json({
+        error: 'words must be an array of at most 1000 entries',
+      });
+    }
+
+    const { errors } = parseWordPatterns(words);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `${errors.length} of ${words.length} custom words are invalid`,
+        invalid_words: errors,
+      });
+    }
+
+    const customWords = [
+      ...new Set(words.map((word) => word.trim().replace(/\s+/g, ' '))),
+    ];
+    const updated = await setCustomWords(entityId, customWords);
+    if (!updated) {
+      return res.status(404).json({
+        error: `No profanity filter config found for entity ${entityId}.`,
+      });
+    }
+
+    const botId = await getBotIdForEntity(entityId);
+    if (botId) {
+      const botApiPort = parseInt(botId, 10) + 4000;
+      await postRequest(
+        `http://localhost:${botApiPort}/update/${entityId}`,
+        {},
+      ).catch((error) => {
+        console.error(
+          `Failed to notify bot ${botId} of custom words change:`,
+          error.message,
+        );
+      });
+    }
+
+    res.json({ entity_guid: entityId, words: customWords });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// --- UNDO LINKS ---
+// Pages behind the signed "undo" links in Discord notifications. Only these
+// routes need to be reachable from outside (UNDO_LINK_BASE_URL).
+
+/**
+ * Escapes text for use in HTML.
+ * @param {unknown} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Sends a minimal HTML page.
+ * @param {object} res - The Express response object
+ * @param {number} status - HTTP status
+ * @param {string} title - Page title (plain text)
+ * @param {string} body - Page body (HTML)
+ */
+function sendUndoPage(res, status, title, body) {
+  res
+    .status(status)
+    .type('html')
+    .send(
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>` +
+        `<body style="font-family: sans-serif; max-width: 40em; margin: 2em auto;"><h1>${escapeHtml(title)}</h1>${body}</body></html>`,
+    );
+}
+
+/**
+ * Checks the signature and expiry of an undo link.
+ * @param {string} entityId - The ID of the entity.
+ * @param {string} actionId - The ID of the mute.
+ * @param {string} expires - When the link expires (Unix seconds), from the link.
+ * @param {string} token - The signature from the link.
+ * @returns {boolean} True if undo links are enabled, the signature is valid
+ *   and the link has not expired.
+ */
+function isValidUndoToken(entityId, actionId, expires, token) {
+  return (
+    ACTION_ID_PATTERN.test(actionId) &&
+    /^\d{1,12}$/.test(String(expires)) &&
+    Number(expires) * 1000 > Date.now() &&
+    verifySignature(
+      `${entityId}:${actionId}:${expires}`,
+      token,
+      constants.undoLinks.secret,
+    )
+  );
+}
+
+/**
+ * @route   GET /undo/:entityId/:actionId
+ * @desc    Confirmation page for undoing an automated mute (signed link).
+ */
+app.get('/undo/:entityId/:actionId', async (req, res) => {
+  try {
+    const { entityId, actionId } = req.params;
+    const { expires, token } = req.query;
+    if (!isValidUndoToken(entityId, actionId, expires, token)) {
+      return sendUndoPage(
+        res,
+        403,
+        'Invalid link',
+        '<p>This undo link is not valid or has expired.</p>',
+      );
+    }
+
+    const action = await getModerationAction(entityId, actionId);
+    if (!action) {
+      return sendUndoPage(
+        res,
+        404,
+        'Not found',
+        '<p>This mute no longer exists.</p>',
+      );
+    }
+    if (action.reversed_by_action_id) {
+      return sendUndoPage(
+        res,
+        200,
+        'Already undone',
+        '<p>This mute was already undone.</p>',
+      );
+    }
+
+    sendUndoPage(
+      res,
+      200,
+      'Undo automated mute',
+      `<p>User <code>${escapeHtml(action.user_guid)}</code> was muted for ${escapeHtml(action.duration_seconds)} seconds (${escapeHtml(action.reason)}).</p>` +
+        (action.message_content
+          ? `<blockquote>${escapeHtml(action.message_content)}</blockquote>`
+          : '') +
+        `<form method="post"><input type="hidden" name="expires" value="${escapeHtml(expires)}">` +
+        `<input type="hidden" name="token" value="${escapeHtml(token)}">` +
+        `<p><label>Allow this word or phrase from now on (optional):<br><input type="text" name="allowed_word" maxlength="100"></label></p>` +
+        '<p><button type="submit">Unmute user</button></p></form>',
+    );
+  } catch (error) {
+    console.error('Error rendering undo page:', error.message);
+    sendUndoPage(res, 500, 'Error', '<p>Something went wrong.</p>');
+  }
+});
+
+/**
+ * @route   POST /undo/:entityId/:actionId
+ * @desc    Undo an automated mute through the assigned bot process (signed link).
+ */
+app.post('/undo/:entityId/:actionId', async (req, res) => {
+  try {
+    const { entityId, actionId } = req.params;
+    const { expires, token, allowed_word: allowedWord } = req.body;
+    if (!isValidUndoToken(entityId, actionId, expires, token)) {
+      return sendUndoPage(
+        res,
+        403,
+        'Invalid link',
+        '<p>This undo link is not valid or has expired.</p>',
+      );
+    }
+
+    const botId = await getBotIdForEntity(entityId);
+    if (!botId) {
+      return sendUndoPage(
+        res,
+        404,
+        'Not available',
+        '<p>No bot is assigned to this entity.</p>',
+      );
+    }
+
+    const botApiPort = parseInt(botId, 10) + 4000;
+    const result = await postRequest(
+      `http://localhost:${botApiPort}/undo/${entityId}/${actionId}`,
+      { allowed_word: typeof allowedWord === 'string' ? allowedWord : null },
+    );
+
+    if (!result?.success) {
+      return sendUndoPage(
+        res,
+        409,
+        'Not undone',
+        `<p>${escapeHtml(result?.message || 'The mute could not be undone.')}</p>`,
+      );
+    }
+
+    sendUndoPage(
+      res,
+      200,
+      'Mute undone',
+      `<p>User <code>${escapeHtml(result.userGuid)}</code> was unmuted.</p>` +
+        (result.allowlisted
+          ? `<p>"${escapeHtml(allowedWord)}" is now allowed.</p>`
+          : ''),
+    );
+  } catch (error) {
+    console.error('Error undoing mute:', error.message);
+    sendUndoPage(res, 502, 'Error', '<p>The bot could not be reached.</p>');
+  }
+});
+
 // --- DATABASE HELPER FUNCTIONS ---
 
 /**
@@ -399,6 +950,37 @@ async function getBotCredentials(botId) {
   };
 }
 
+/**
+ * Fetches the saved runtime state snapshot of a bot.
+ * @param {string} botId - The ID of the bot.
+ * @returns {Promise<object|null>} The snapshot and its update time, or null if none was saved.
+ */
+async function getBotState(botId) {
+  const query =
+    'SELECT state, latest_update_timestamp FROM bot_state WHERE bot_id=?';
+  const result = await pool.query(query, [botId]);
+  if (!result[0]) return null;
+
+  return {
+    state: parseJsonField(result[0].state, {}),
+    updated_at: result[0].latest_update_timestamp,
+  };
+}
+
+/**
+ * Saves (inserts or replaces) the runtime state snapshot of a bot.
+ * @param {string} botId - The ID of the bot.
+ * @param {object} state - The state snapshot.
+ * @returns {Promise<void>}
+ */
+async function saveBotState(botId, state) {
+  const query = `
+    INSERT INTO bot_state (bot_id, state) VALUES (?, ?)
+    ON DUPLICATE KEY UPDATE state = VALUES(state)
+  `;
+  await pool.query(query, [botId, JSON.stringify(state)]);
+}
+
 /**
  * Fetches all entities associated with a bot and formats them for use.
  * @param {string} botId - The ID of the bot.
@@ -441,7 +1023,8 @@ async function getEntityData(entityId) {
       e.entity_timers, 
       e.timer_counter_max, 
       e.read_only, 
-      wm.message as welcome_message 
+      wm.message as welcome_message,
+      wm.dedupe_window_seconds as welcome_dedupe_seconds
     FROM entities e 
     LEFT JOIN welcome_messages wm ON e.entity_guid = wm.entity_guid 
     WHERE e.entity_guid=? LIMIT 1
@@ -461,10 +1044,214 @@ async function getEntityData(entityId) {
     timer_counter_max: entity.timer_counter_max || 30,
     read_only: !!entity.read_only,
     welcome_message: entity.welcome_message || null,
+    welcome_dedupe_seconds: entity.welcome_dedupe_seconds ?? null,
     parent_guid: entity.entity_parent_id || null,
   };
 }
 
+/**
+ * Resolves the role of a user for an entity.
+ * Bot admins come from the admins table, managers from user_entity_relations.
+ * @param {string} entityId - The ID of the entity.
+ * @param {string} userGuid - The GUID of the user.
+ * @returns {Promise<string>} 'admin', 'manager' or 'everyone'.
+ */
+async function getUserRole(entityId, userGuid) {
+  const adminQuery = 'SELECT user_guid FROM admins WHERE user_guid=? LIMIT 1';
+  const adminResult = await pool.query(adminQuery, [userGuid]);
+  if (adminResult[0]) return 'admin';
+
+  const managerQuery = `
+    SELECT user_guid
+    FROM user_entity_relations
+    WHERE entity_guid = ? AND user_guid = ?
+    LIMIT 1
+  `;
+  const managerResult = await pool.query(managerQuery, [entityId, userGuid]);
+  if (managerResult[0]) return 'manager';
+
+  return 'everyone';
+}
+
+/**
+ * Fetches a user's banned word strikes in an entity.
+ * @param {string} entityId - The ID of the entity.
+ * @param {string} userGuid - The GUID of the user.
+ * @returns {Promise<object>} The strike count and last strike time (zero and null if none).
+ */
+async function getUserStrikes(entityId, userGuid) {
+  const query = `
+    SELECT strike_count, last_strike_timestamp
+    FROM user_strikes
+    WHERE entity_guid = ? AND user_guid = ?
+  `;
+  const result = await pool.query(query, [entityId, userGuid]);
+  if (!result[0]) return { strike_count: 0, last_strike_at: null };
+
+  return {
+    strike_count: result[0].strike_count,
+    last_strike_at: result[0].last_strike_timestamp,
+  };
+}
+
+/**
+ * Saves (inserts or replaces) a user's banned word strikes in an entity.
+ * @param {string} entityId - The ID of the entity.
+ * @param {string} userGuid - The GUID of the user.
+ * @param {number} strikeCount - The strike count.
+ * @param {Date|null} lastStrikeAt - When the last strike was given.
+ * @returns {Promise<void>}
+ */
+async function saveUserStrikes(entityId, userGuid, strikeCount, lastStrikeAt) {
+  const query = `
+    INSERT INTO user_strikes (entity_guid, user_guid, strike_count, last_strike_timestamp)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      strike_count = VALUES(strike_count),
+      last_strike_timestamp = VALUES(last_strike_timestamp)
+  `;
+  await pool.query(query, [entityId, userGuid, strikeCount, lastStrikeAt]);
+}
+
+/**
+ * Inserts a moderation action into the audit log.
+ * @param {string} entityId - The ID of the entity.
+ * @param {object} entry - The action as sent to POST /entities/:entityId/moderation-actions.
+ * @returns {Promise<number>} The ID of the new action.
+ */
+async function insertModerationAction(entityId, entry) {
+  const query = `
+    INSERT INTO moderation_actions
+      (entity_guid, action, reason, user_guid, user_nickname, moderator_guid,
+       moderator_nickname, message_id, message_content, duration_seconds,
+       success, details, reverses_action_id, matched_word, severity)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  const durationSeconds = parseInt(entry.duration_seconds, 10);
+  const result = await pool.query(query, [
+    entityId,
+    entry.action,
+    entry.reason,
+    entry.user_guid || null,
+    typeof entry.user_nickname === 'string'
+      ? entry.user_nickname.substring(0, 64)
+      : null,
+    entry.moderator_guid || null,
+    typeof entry.moderator_nickname === 'string'
+      ? entry.moderator_nickname.substring(0, 64)
+      : null,
+    entry.message_id || null,
+    entry.message_content || null,
+    Number.isInteger(durationSeconds) ? durationSeconds : null,
+    entry.success === false ? 0 : 1,
+    typeof entry.details === 'string' ? entry.details.substring(0, 500) : null,
+    entry.reverses_action_id ?? null,
+    typeof entry.matched_word === 'string'
+      ? entry.matched_word.substring(0, 100)
+      : null,
+    entry.severity || null,
+  ]);
+  return Number(result.insertId);
+}
+
+/**
+ * Queries the moderation audit log of an entity, newest first.
+ * @param {string} entityId - The ID of the entity.
+ * @param {object} filters - { userGuid, action, from, to, limit, offset }
+ * @returns {Promise<object>} The total number of matching actions and one page of them.
+ */
+async function getModerationLog(entityId, filters) {
+  const conditions = ['entity_guid = ?'];
+  const params = [entityId];
+
+  if (filters.userGuid) {
+    conditions.push('user_guid = ?');
+    params.push(filters.userGuid);
+  }
+  if (filters.action) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+  if (filters.from) {
+    conditions.push('creation_timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('creation_timestamp < ?');
+    params.push(filters.to);
+  }
+
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(
+    `SELECT COUNT(*) AS total FROM moderation_actions WHERE ${where}`,
+    params,
+  );
+  const rows = await pool.query(
+    `
+      SELECT action_id, action, reason, user_guid, user_nickname,
+             moderator_guid, moderator_nickname, message_id, message_content,
+             duration_seconds, success, details, reverses_action_id,
+             matched_word, severity,
+             creation_timestamp AS created_at
+      FROM moderation_actions
+      WHERE ${where}
+      ORDER BY creation_timestamp DESC, action_id DESC
+      LIMIT ? OFFSET ?
+    `,
+    [...params, filters.limit, filters.offset],
+  );
+
+  return {
+    total: Number(countResult[0].total),
+    actions: rows.map(formatModerationAction),
+  };
+}
+
+/**
+ * Converts a moderation_actions row to its API representation.
+ * @param {object} row - The database row.
+ * @returns {object} The action.
+ */
+function formatModerationAction(row) {
+  return {
+    ...row,
+    action_id: Number(row.action_id),
+    success: Boolean(row.success),
+    reverses_action_id:
+      row.reverses_action_id !== null ? Number(row.reverses_action_id) : null,
+    ...(row.reversed_by_action_id !== undefined && {
+      reversed_by_action_id:
+        row.reversed_by_action_id !== null
+          ? Number(row.reversed_by_action_id)
+          : null,
+    }),
+  };
+}
+
+/**
+ * Fetches a single moderation action and the undo that reversed it, if any.
+ * @param {string} entityId - The ID of the entity.
+ * @param {string} actionId - The ID of the action.
+ * @returns {Promise<object|null>} The action or null if not found.
+ */
+async function getModerationAction(entityId, actionId) {
+  const query = `
+    SELECT ma.action_id, ma.action, ma.reason, ma.user_guid, ma.user_nickname,
+           ma.moderator_guid, ma.moderator_nickname, ma.message_id,
+           ma.message_content, ma.duration_seconds, ma.success, ma.details,
+           ma.reverses_action_id, ma.matched_word, ma.severity,
+           ma.creation_timestamp AS created_at,
+           (SELECT MIN(undo.action_id)
+            FROM moderation_actions undo
+            WHERE undo.reverses_action_id = ma.action_id AND undo.success = 1
+           ) AS reversed_by_action_id
+    FROM moderation_actions ma
+    WHERE ma.entity_guid = ? AND ma.action_id = ?
+  `;
+  const result = await pool.query(query, [entityId, actionId]);
+  return result[0] ? formatModerationAction(result[0]) : null;
+}
+
 /**
  * Finds which bot is assigned to a given entity.
  * @param {string} entityId - The ID of the entity.
@@ -497,6 +1284,26 @@ async function updateEntityStatus(entityId, status) {
   }
 }
 
+/**
+ * Updates the read-only flag of an entity in the database.
+ * @param {string} entityId - The ID of the entity.
+ * @param {boolean} readOnly - Whether the entity chat is read-only.
+ * @returns {Promise<boolean>} True if update was successful, false otherwise.
+ */
+async function updateEntityReadOnly(entityId, readOnly) {
+  try {
+    const query = 'UPDATE entities SET read_only = ? WHERE entity_guid = ?';
+    const result = await pool.query(query, [readOnly ? 1 : 0, entityId]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error(
+      `Failed to update entity read-only flag for ${entityId}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
 /**
  * Fetches a banned words preset by ID.
  * @param {string} presetId - The ID of the preset.
@@ -505,7 +1312,7 @@ async function updateEntityStatus(entityId, status) {
 async function getPreset(presetId) {
   try {
     const query = `
-      SELECT preset_id, preset_name, preset_description, language, words, is_active
+      SELECT preset_id, preset_name, preset_description, language, severity, words, is_active
       FROM banned_words_presets
       WHERE preset_id = ? AND is_active = 1
     `;
@@ -529,8 +1336,12 @@ async function getProfanityFilterConfig(entityId) {
   try {
     // First get the profanity filter config
     const configQuery = `
-      SELECT entity_guid, banned_words_preset_id, custom_words, discord_webhook_url, 
-             discord_custom_message, message_reply, mute_duration_seconds, is_active
+      SELECT entity_guid, banned_words_preset_id, banned_words_preset_ids,
+             custom_words, discord_webhook_url,
+             discord_custom_message, message_reply, mute_duration_seconds, spam_rules,
+             link_rules, strike_ladder, strike_decay_hours, enforcement_mode,
+             severity_actions, discord_events, notification_sinks,
+             allowed_words, exempt_user_guids, is_active
       FROM profanity_filter_config
       WHERE entity_guid = ? AND is_active = 1
     `;
@@ -561,6 +1372,44 @@ async function getProfanityFilterConfig(entityId) {
   }
 }
 
+/**
+ * Adds a word or phrase to an entity's banned words allowlist.
+ * @param {string} entityId - The ID of the entity.
+ * @param {string} word - The normalized word or phrase.
+ * @returns {Promise<boolean|null>} True if added, false if already allowed, null if the entity has no config.
+ */
+async function addAllowedWord(entityId, word) {
+  const result = await pool.query(
+    'SELECT allowed_words FROM profanity_filter_config WHERE entity_guid = ?',
+    [entityId],
+  );
+  if (!result[0]) return null;
+
+  const allowedWords = parseJsonField(result[0].allowed_words, []);
+  const words = Array.isArray(allowedWords) ? allowedWords : [];
+  if (words.includes(word)) return false;
+
+  await pool.query(
+    'UPDATE profanity_filter_config SET allowed_words = ? WHERE entity_guid = ?',
+    [JSON.stringify([...words, word]), entityId],
+  );
+  return true;
+}
+
+/**
+ * Replaces an entity's custom banned words.
+ * @param {string} entityId - The ID of the entity.
+ * @param {Array<string>} words - The validated entries.
+ * @returns {Promise<boolean>} True if updated, false if the entity has no config.
+ */
+async function setCustomWords(entityId, words) {
+  const result = await pool.query(
+    'UPDATE profanity_filter_config SET custom_words = ? WHERE entity_guid = ?',
+    [JSON.stringify(words), entityId],
+  );
+  return result.affectedRows > 0;
+}
+
 /**
  * Refreshes the FACEIT access token for a bot.
  * @param {string} botId - The ID of the bot.
@@ -15,6 +15,7 @@ const {
 } = require('../../config');
 const { isStaging, isVerboseLoggingEnabled } = require('../../config');
 const StateManager = require('../../core/state-manager.js');
+const { createStateStore } = require('../../core/state-store.js');
 const { postRequest, getRequest } = require('../../lib/http/client.js');
 const { botLog, idManager } = require('../../lib/utils');
 const xmppActions = require('../../lib/xmpp/actions.js');
@@ -23,13 +24,23 @@ const {
   leaveRoomForEntity,
 } = require('../../lib/xmpp/utils.js');
 const Commands = require('../../modules/messaging/commands.js');
+const MessageScheduler = require('../../modules/messaging/message-scheduler.js');
+const ModeratorCommands = require('../../modules/messaging/moderator-commands.js');
+const Permissions = require('../../modules/messaging/permissions.js');
+const PinnedMessages = require('../../modules/messaging/pinned-messages.js');
 const TimedMessages = require('../../modules/messaging/timed-messages.js');
+const WelcomeMessages = require('../../modules/messaging/welcome-messages.js');
+const ModerationAuditLog = require('../../modules/moderation/audit-log.js');
 const BannedWordsManager = require('../../modules/moderation/banned-words/banned-words-manager.js');
 const DiscordWebhookManager = require('../../modules/moderation/discord/discord-webhook-manager.js');
+const LinkFilter = require('../../modules/moderation/link-filter.js');
 const Moderation = require('../../modules/moderation/moderation.js');
+const SpamDetector = require('../../modules/moderation/spam-detector.js');
+const StrikeManager = require('../../modules/moderation/strike-manager.js');
 const DebugHandler = require('../../modules/monitoring/debug-handler.js');
 const HealthMonitor = require('../../modules/monitoring/health-monitor.js');
 const MessageProcessor = require('../../modules/processing/message-processor.js');
+const NicknameResolver = require('../../modules/processing/nickname-resolver.js');
 
 // --- CONFIGURATION & STATE ---
 
@@ -49,6 +60,9 @@ const config = createConfig(botId);
 // Initialize StateManager for centralized state management
 const stateManager = new StateManager(config);
 
+// Store for per-room counters that survive restarts (null when disabled)
+const stateStore = createStateStore(config);
+
 // Set up real-time update listeners for command configuration changes
 stateManager.onStateChange('entity:updated', (data) => {
   const { entityId, entityData, wasNew } = data;
@@ -256,6 +270,11 @@ async function configureEntityProfanityFilter(entityId) {
         // Clean up banned words configuration
         bannedWordsManager.cleanupEntity(entityId);
 
+        // Clean up spam, link and strike rules
+        spamDetector.cleanupEntity(entityId);
+        linkFilter.cleanupEntity(entityId);
+        strikeManager.cleanupEntity(entityId);
+
         // Clean up Discord webhook configuration
         discordWebhookManager.cleanupWebhook(entityId);
 
@@ -271,6 +290,15 @@ async function configureEntityProfanityFilter(entityId) {
       // Configure banned words
       await bannedWordsManager.configureEntity(entityId, profanityConfig);
 
+      // Configure flood and spam rules
+      spamDetector.configureEntity(entityId, profanityConfig);
+
+      // Configure link and invite filtering
+      linkFilter.configureEntity(entityId, profanityConfig);
+
+      // Configure strike escalation
+      strikeManager.configureEntity(entityId, profanityConfig);
+
       // Get entity data to get the entity name
       const entityData = await getRequest(
         `${apiConfig.baseUrl}/entities/${entityId}/data`,
@@ -299,6 +327,11 @@ async function configureEntityProfanityFilter(entityId) {
       // Clean up banned words configuration
       bannedWordsManager.cleanupEntity(entityId);
 
+      // Clean up spam, link and strike rules
+      spamDetector.cleanupEntity(entityId);
+      linkFilter.cleanupEntity(entityId);
+      strikeManager.cleanupEntity(entityId);
+
       // Clean up Discord webhook configuration
       discordWebhookManager.cleanupWebhook(entityId);
 
@@ -317,6 +350,11 @@ async function configureEntityProfanityFilter(entityId) {
       // Clean up banned words configuration
       bannedWordsManager.cleanupEntity(entityId);
 
+      // Clean up spam, link and strike rules
+      spamDetector.cleanupEntity(entityId);
+      linkFilter.cleanupEntity(entityId);
+      strikeManager.cleanupEntity(entityId);
+
       // Clean up Discord webhook configuration
       discordWebhookManager.cleanupWebhook(entityId);
 
@@ -334,20 +372,70 @@ async function configureEntityProfanityFilter(entityId) {
 
 // Initialize modules
 const messageProcessor = new MessageProcessor(config, stateManager, idManager);
+const nicknameResolver = new NicknameResolver(config);
 const bannedWordsManager = new BannedWordsManager(config, stateManager);
-const discordWebhookManager = new DiscordWebhookManager(config, stateManager);
+const spamDetector = new SpamDetector(config, stateManager);
+const linkFilter = new LinkFilter(config, stateManager);
+const strikeManager = new StrikeManager(config, stateManager);
+const auditLog = new ModerationAuditLog(config, nicknameResolver);
+const discordWebhookManager = new DiscordWebhookManager(
+  config,
+  stateManager,
+  nicknameResolver,
+);
 const profanityFilterConfigs = new Map();
 const moderation = new Moderation({
   config,
   stateManager,
   xmppActions,
   bannedWordsManager,
+  strikeManager,
+  auditLog,
+  linkFilter,
+  spamDetector,
   discordWebhookManager,
   profanityFilterConfigs,
   xmppConfig,
 });
-const timedMessages = new TimedMessages(config, stateManager, xmppActions);
-const commands = new Commands(config, stateManager, xmppActions);
+const pinnedMessages = new PinnedMessages(config, stateManager, xmppActions);
+const timedMessages = new TimedMessages(
+  config,
+  stateManager,
+  xmppActions,
+  pinnedMessages,
+);
+const messageScheduler = new MessageScheduler(
+  config,
+  stateManager,
+  xmppActions,
+  pinnedMessages,
+);
+const welcomeMessages = new WelcomeMessages(
+  config,
+  stateManager,
+  xmppActions,
+  idManager,
+  nicknameResolver,
+);
+const permissions = new Permissions(config, stateManager);
+const commands = new Commands(
+  config,
+  stateManager,
+  xmppActions,
+  permissions,
+  nicknameResolver,
+);
+const moderatorCommands = new ModeratorCommands({
+  config,
+  stateManager,
+  xmppActions,
+  commands,
+  permissions,
+  moderation,
+  discordWebhookManager,
+  pinnedMessages,
+  nicknameResolver,
+});
 const healthMonitor = new HealthMonitor(config, stateManager);
 const debugHandler = new DebugHandler(config, stateManager, xmppConfig);
 
@@ -599,6 +687,9 @@ function handleXmppOffline() {
   stateManager.setReconnecting(false); // Reset reconnection flag when offline event fires
   stateManager.setBotJid(null);
 
+  // Occupant lists are resent after reconnecting; don't treat them as joins
+  stateManager.clearRoomOccupants();
+
   // Clear any existing intervals to prevent conflicts
   clearInterval(stateManager.getStanzaQueueIntervalId());
   clearInterval(stateManager.getConnectionHealthCheckId());
@@ -618,6 +709,7 @@ function handleXmppOffline() {
       'log',
       'XMPP client is offline. Scheduling reconnect...',
     );
+    discordWebhookManager.handleConnectionLost();
 
     // Schedule reconnect with delay, but respect circuit breaker and backoff
     setTimeout(() => {
@@ -646,6 +738,7 @@ async function handleXmppOnline(address) {
 
   // Reset reconnection state since connection was successful
   resetReconnectionState();
+  discordWebhookManager.handleConnectionRestored();
 
   botLog(
     config.botId,
@@ -850,6 +943,7 @@ function handleStanza(stanza) {
         `Received presence stanza from ${stanza.attrs.from}: ${stanza.attrs.type || 'available'}`,
       );
     }
+    welcomeMessages.processPresence(stanza, queueStanza);
   } else {
     // Log any other unhandled stanza types for debugging
     if (isVerboseLoggingEnabled) {
@@ -951,12 +1045,20 @@ function handleIQGet(stanza) {
 async function handleGroupChatMessage(stanza) {
   stateManager.updateLastActivityTime(); // Update activity time on message reception
 
+  // Pin announcements once their echo carries the server-assigned stanza ID
+  if (pinnedMessages.handleOwnMessage(stanza, queueStanza)) return;
+
   // Process message validation and extraction
   const messageData = messageProcessor.validateMessage(stanza);
   if (!messageData) return;
 
-  const { messageContent, roomJid, roomId, _messageAuthorGuid, _messageId } =
-    messageData;
+  const { roomJid, roomId } = messageData;
+
+  // Use the author's looked up nickname. A <nick> in the message is set by
+  // the sender's client, so anyone could claim any name.
+  messageData.messageAuthorNickname = nicknameResolver.getCached(
+    messageData.messageAuthorGuid,
+  );
 
   // Check if message is from a valid entity
   if (!messageProcessor.isValidEntity(roomId, roomJid)) {
@@ -969,6 +1071,29 @@ async function handleGroupChatMessage(stanza) {
     return;
   }
 
+  // Remember the message so moderators can purge it later
+  stateManager.addRecentMessage(
+    roomId,
+    {
+      messageId: messageData.messageId,
+      messageAuthorGuid: messageData.messageAuthorGuid,
+      timestamp: Date.now(),
+    },
+    constants.moderation.recentMessageHistorySize,
+  );
+
+  // Built-in moderator commands run before moderation so managers can use
+  // them in read-only rooms
+  if (
+    await moderatorCommands.processCommands(
+      messageData,
+      roomConfig,
+      queueStanza,
+    )
+  ) {
+    return;
+  }
+
   // Process moderation (banned words, read-only mode)
   if (
     await moderation.processModeration(messageData, roomConfig, queueStanza)
@@ -977,10 +1102,11 @@ async function handleGroupChatMessage(stanza) {
   }
 
   // Process timed messages
+  messageScheduler.recordActivity(roomId);
   timedMessages.processTimedMessages(roomId, roomConfig, queueStanza);
 
   // Process commands
-  commands.processCommands(messageContent, roomId, roomConfig, queueStanza);
+  await commands.processCommands(messageData, roomConfig, queueStanza);
 }
 
 /**
@@ -1139,6 +1265,11 @@ function handleEntityUnassignment(req, res) {
     // Clean up banned words for unassigned entity
     bannedWordsManager.cleanupEntity(entityId);
 
+    // Clean up spam, link and strike rules for unassigned entity
+    spamDetector.cleanupEntity(entityId);
+    linkFilter.cleanupEntity(entityId);
+    strikeManager.cleanupEntity(entityId);
+
     // Clean up Discord webhook for unassigned entity
     discordWebhookManager.cleanupWebhook(entityId);
 
@@ -1218,6 +1349,46 @@ async function handlePresetRefresh(req, res) {
   }
 }
 
+/**
+ * Handles POST /undo/:entityId/:actionId - Undoes an automated mute.
+ * Responds with the outcome; a refused undo is { success: false, error, message }.
+ */
+async function handleModerationUndo(req, res) {
+  try {
+    const { entityId, actionId } = req.params;
+    const { moderator_guid: moderatorGuid, allowed_word: allowedWord } =
+      req.body;
+
+    if (!/^\d+$/.test(actionId)) {
+      res
+        .status(400)
+        .json({ success: false, error: 'actionId must be a number' });
+      return;
+    }
+
+    if (!stateManager.hasEntity(entityId)) {
+      res.json({
+        success: false,
+        error: 'not_found',
+        message: `Entity ${entityId} is not assigned to this bot.`,
+      });
+      return;
+    }
+
+    const result = await moderation.undoMute(entityId, actionId, {
+      moderatorGuid: typeof moderatorGuid === 'string' ? moderatorGuid : null,
+      allowedWord:
+        typeof allowedWord === 'string' && allowedWord.trim()
+          ? allowedWord.trim()
+          : null,
+    });
+    res.json(result);
+  } catch (error) {
+    botLog(config.botId, 'error', `Error undoing moderation action: ${error}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
 /**
  * Handles GET /reconnection-state - Returns current reconnection and connection status.
  */
@@ -1245,6 +1416,16 @@ function handleReconnectionState(req, res) {
   }
 }
 
+/**
+ * Handles GET /discord-delivery - Returns Discord webhook delivery metrics.
+ */
+function handleDiscordDelivery(req, res) {
+  res.json({
+    success: true,
+    ...discordWebhookManager.getDeliveryMetrics(),
+  });
+}
+
 /**
  * Handles POST /exit-process - Initiates graceful process exit.
  */
@@ -1276,7 +1457,9 @@ function startApiService() {
   app.post('/assign/:entityId', handleEntityAssignment);
   app.post('/unassign/:entityId', handleEntityUnassignment);
   app.post('/refresh-preset/:presetId', handlePresetRefresh);
+  app.post('/undo/:entityId/:actionId', handleModerationUndo);
   app.get('/reconnection-state', handleReconnectionState);
+  app.get('/discord-delivery', handleDiscordDelivery);
   app.post('/exit-process', handleProcessExit);
 
   const port = parseInt(config.botId, 10) + constants.bot.baseApiPort;
@@ -1287,6 +1470,83 @@ function startApiService() {
   );
 }
 
+/**
+ * Restores per-room counters from the state store.
+ */
+async function restoreCounterState() {
+  if (!stateStore) return;
+
+  try {
+    const snapshot = await stateStore.load();
+    if (snapshot) {
+      stateManager.restoreCounterSnapshot(snapshot);
+    } else {
+      botLog(
+        config.botId,
+        'log',
+        `No saved counter state found in ${stateStore.name} store`,
+      );
+    }
+  } catch (error) {
+    botLog(
+      config.botId,
+      'warn',
+      `Failed to restore counter state from ${stateStore.name} store: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Saves per-room counters to the state store.
+ */
+async function saveCounterState() {
+  if (!stateStore) return;
+
+  try {
+    await stateStore.save(stateManager.getCounterSnapshot());
+    botLog(
+      config.botId,
+      'verbose',
+      `Saved counter state to ${stateStore.name} store`,
+    );
+  } catch (error) {
+    botLog(
+      config.botId,
+      'warn',
+      `Failed to save counter state to ${stateStore.name} store: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Starts periodic counter snapshots so that an unclean exit loses at most one interval.
+ */
+function startStateSnapshots() {
+  if (!stateStore) return;
+
+  clearInterval(stateManager.getStateSnapshotIntervalId());
+  stateManager.setStateSnapshotIntervalId(
+    setInterval(saveCounterState, constants.timing.stateSnapshotInterval),
+  );
+}
+
+/**
+ * Starts the interval that sends interval and cron timers and unpins expired
+ * announcements. It runs independently of the XMPP connection and only sends
+ * while online, so missed runs are caught up once after a reconnect instead of
+ * piling up in the stanza queue.
+ */
+function startMessageScheduler() {
+  clearInterval(stateManager.getMessageSchedulerIntervalId());
+  stateManager.setMessageSchedulerIntervalId(
+    setInterval(() => {
+      if (stateManager.getXmppClient()?.status !== 'online') return;
+      messageScheduler.processScheduledMessages(queueStanza);
+      pinnedMessages.processExpiredPins(queueStanza);
+    }, constants.timing.scheduledMessageCheck),
+  );
+}
+
 /**
  * Periodically fetches the full list of entities for the bot to check for new rooms to join.
  */
@@ -1340,6 +1600,11 @@ function scheduleEntityUpdates() {
               // Clean up banned words for removed entity
               bannedWordsManager.cleanupEntity(entityId);
 
+              // Clean up spam, link and strike rules for removed entity
+              spamDetector.cleanupEntity(entityId);
+              linkFilter.cleanupEntity(entityId);
+              strikeManager.cleanupEntity(entityId);
+
               // Clean up Discord webhook for removed entity
               discordWebhookManager.cleanupWebhook(entityId);
 
@@ -1413,12 +1678,17 @@ async function main() {
       }
     }
 
+    // Restore timer counters and rotation saved before the last restart
+    await restoreCounterState();
+
     // Configure profanity filter for initial entities
     for (const [entityId, _entity] of stateManager.getAllEntities().entries()) {
       await configureEntityProfanityFilter(entityId);
     }
 
     startApiService();
+    startMessageScheduler();
+    startStateSnapshots();
 
     if (isStaging) {
       scheduleEntityUpdates();
@@ -1477,12 +1747,24 @@ async function shutdown(signal) {
   clearInterval(stateManager.getStanzaQueueIntervalId());
   clearInterval(stateManager.getConnectionHealthCheckId());
   clearInterval(stateManager.getProcessWatchdogId()); // Clear process watchdog interval
+  clearInterval(stateManager.getMessageSchedulerIntervalId());
+  clearInterval(stateManager.getStateSnapshotIntervalId());
+
+  // Persist counters before entity data is cleaned up
+  await saveCounterState();
 
   // Clean up banned words manager
   for (const entityId of stateManager.getEntityKeys()) {
     bannedWordsManager.cleanupEntity(entityId);
   }
 
+  // Clean up spam detector, link filter and strike manager
+  for (const entityId of stateManager.getEntityKeys()) {
+    spamDetector.cleanupEntity(entityId);
+    linkFilter.cleanupEntity(entityId);
+    strikeManager.cleanupEntity(entityId);
+  }
+
   // Clean up Discord webhook manager
   for (const entityId of stateManager.getEntityKeys()) {
     discordWebhookManager.cleanupWebhook(entityId);